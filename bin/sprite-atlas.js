@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * sprite-atlas command - see src/cli/spriteAtlasCli.js
+ */
+
+import { runCli } from '../src/cli/spriteAtlasCli.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -0,0 +1,338 @@
+/**
+ * Command-line packer and unpacker for Node.js. Uses the same core modules and PNG
+ * codec as the browser tool, so both write identical files for the same input and settings.
+ * @module cli/spriteAtlasCli
+ */
+
+import { readFile, writeFile, readdir, mkdir, access } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { packAtlas, parseScaleList } from '../core/atlasPacker.js';
+import { unpackAtlas, resolvePageImages } from '../core/atlasUnpacker.js';
+import { parseMetadata } from '../core/imageLoader.js';
+import { getAvailableAlgorithms } from '../core/packingAlgorithms.js';
+import { encodePng, encodeIndexedPng, decodePng } from '../utils/pngCodec.js';
+import { quantizeRaster } from '../utils/quantize.js';
+import { formatByteSize } from '../utils/download.js';
+import { exportMetadata, getMetadataExporters } from '../utils/metadataExporters.js';
+import { getResampleFilters } from '../utils/resample.js';
+
+/**
+ * Pack settings the browser tool starts with; the CLI uses the same so its output matches
+ */
+const DEFAULT_PACK_OPTIONS = {
+    padding: 1,
+    extrude: 0,
+    maxAtlasSize: 1024,
+    powerOfTwo: false,
+    algorithm: 'shelf',
+    maxRectsHeuristic: 'best-short-side',
+    multiPage: true,
+    trim: false,
+    alphaThreshold: 0,
+    allowRotation: false,
+    dedupe: true,
+    alphaBleed: true,
+    premultiplyAlpha: false,
+    scales: null,
+    scaleFilter: 'bilinear'
+};
+
+const USAGE = `Usage:
+  sprite-atlas pack <dir> -o <out-dir> [options]
+  sprite-atlas unpack <atlas.png> <metadata> -o <out-dir>
+
+Pack options:
+  --padding <px>       Space between sprites (default: 1)
+  --extrude <px>       Repeat sprite edges into the gutter (default: 0)
+  --max-size <px>      Maximum page width and height (default: 1024)
+  --pot                Round page sizes up to powers of two
+  --no-bleed           Leave transparent pixels black instead of alpha bleeding
+  --premultiply        Write pages with premultiplied alpha
+  --algorithm <id>     ${getAvailableAlgorithms().map(algorithm => algorithm.id).join(', ')} (default: shelf)
+  --format <id>        ${getMetadataExporters().map(exporter => exporter.id).join(', ')} (default: native)
+  --scales <list>      Scale variants to write from one layout, e.g. 1,0.5 (default: source size only)
+  --filter <id>        ${getResampleFilters().map(filter => filter.id).join(', ')} for scale variants (default: bilinear)
+  --colors <n>         Write pages as indexed PNGs with at most n (2-256) colours (default: full RGBA)
+  --dither             Dither pages written with --colors
+
+Every PNG under <dir> is packed; sprite names are paths relative to <dir> without ".png".`;
+
+/**
+ * Runs the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCli(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                output: { type: 'string', short: 'o' },
+                padding: { type: 'string' },
+                extrude: { type: 'string' },
+                'max-size': { type: 'string' },
+                pot: { type: 'boolean' },
+                'no-bleed': { type: 'boolean' },
+                premultiply: { type: 'boolean' },
+                algorithm: { type: 'string' },
+                format: { type: 'string' },
+                scales: { type: 'string' },
+                filter: { type: 'string' },
+                colors: { type: 'string' },
+                dither: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...inputs] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? 0 : 1;
+    }
+
+    try {
+        if (command === 'pack' && inputs.length === 1 && values.output) {
+            await runPack(inputs[0], values.output, values);
+        } else if (command === 'unpack' && inputs.length === 2 && values.output) {
+            await runUnpack(inputs[0], inputs[1], values.output);
+        } else {
+            console.error(USAGE);
+            return 1;
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+
+    return 0;
+}
+
+/**
+ * Packs every PNG under a folder and writes the pages and metadata
+ * @param {string} inputDir
+ * @param {string} outputDir
+ * @param {Object<string, string|boolean>} values - Parsed command-line options
+ */
+async function runPack(inputDir, outputDir, values) {
+    const options = parsePackOptions(values);
+    const colors = values.colors !== undefined ? parseWholeNumber(values.colors, '--colors') : 0;
+    if (colors === 1 || colors > 256) {
+        throw new Error('--colors must be from 2 to 256.');
+    }
+    const files = await findPngFiles(inputDir);
+
+    if (files.length === 0) {
+        throw new Error(`No PNG files found in "${inputDir}".`);
+    }
+
+    const sprites = [];
+    for (const file of files) {
+        const image = await readPng(path.join(inputDir, file));
+        sprites.push({ name: file.replace(/\.png$/i, ''), image, width: image.width, height: image.height });
+    }
+
+    const result = packAtlas(sprites, options);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    const written = [];
+    await mkdir(outputDir, { recursive: true });
+
+    for (const { images, metadata } of result.result.variants) {
+        const exported = exportMetadata(metadata, values.format || 'native');
+        if (!exported.success) {
+            throw new Error(exported.error);
+        }
+
+        for (let i = 0; i < images.length; i++) {
+            const filename = metadata.meta.pages[i].image;
+            const rgba = encodePng(images[i]);
+            if (colors === 0) {
+                await writeFile(path.join(outputDir, filename), rgba);
+                continue;
+            }
+
+            const indexed = encodeIndexedPng(quantizeRaster(images[i], { colors, dither: Boolean(values.dither) }));
+            await writeFile(path.join(outputDir, filename), indexed);
+            const change = Math.round((1 - indexed.length / rgba.length) * 100);
+            console.log(`${filename}: ${formatByteSize(indexed.length)} as a ${colors}-colour indexed PNG ` +
+                `vs ${formatByteSize(rgba.length)} RGBA (${change >= 0 ? `${change}% smaller` : `${-change}% larger`})`);
+        }
+        for (const file of exported.result) {
+            // Same formatting as the browser's JSON downloads
+            await writeFile(path.join(outputDir, file.filename), JSON.stringify(file.data, null, 2));
+        }
+
+        written.push(...metadata.meta.pages.map(page => page.image), ...exported.result.map(file => file.filename));
+    }
+
+    const { images } = result.result;
+    const sizes = images.map(image => `${image.width}×${image.height}`).join(', ');
+    console.log(`Packed ${sprites.length} sprite(s) into ${images.length} page(s) (${sizes}).`);
+    console.log(`Wrote ${written.join(', ')} to ${outputDir}`);
+}
+
+/**
+ * Extracts every frame of an atlas as PNG files
+ * @param {string} atlasPath - Atlas page image; other pages are looked up next to it
+ * @param {string} metadataPath - Metadata file in any supported format
+ * @param {string} outputDir
+ */
+async function runUnpack(atlasPath, metadataPath, outputDir) {
+    const metadata = parseMetadata(await readFile(metadataPath, 'utf8'), path.basename(metadataPath));
+
+    const images = [{ name: path.basename(atlasPath), image: await readPng(atlasPath) }];
+    for (const page of (metadata.meta && metadata.meta.pages) || []) {
+        const pagePath = path.join(path.dirname(atlasPath), page.image);
+        if (images.some(entry => entry.name === page.image) || !(await fileExists(pagePath))) continue;
+        images.push({ name: page.image, image: await readPng(pagePath) });
+    }
+
+    const pageImages = resolvePageImages(images, metadata);
+    if (!pageImages.success) {
+        throw new Error(pageImages.error);
+    }
+
+    const result = await unpackAtlas(pageImages.result, metadata);
+    if (!result.success) {
+        throw new Error(result.error);
+    }
+
+    for (const sprite of result.result) {
+        const filePath = path.join(outputDir, `${toSafeRelativePath(sprite.name)}.png`);
+        await mkdir(path.dirname(filePath), { recursive: true });
+        await writeFile(filePath, new Uint8Array(await sprite.blob.arrayBuffer()));
+    }
+
+    // Keep the animation groups next to the sprites, as sprites.zip does
+    if (metadata.animations) {
+        await writeFile(path.join(outputDir, 'animations.json'), JSON.stringify(metadata.animations, null, 2));
+    }
+
+    console.log(`Extracted ${result.result.length} sprite(s) to ${outputDir}`);
+}
+
+/**
+ * Turns the command-line values into packer options
+ * @param {Object<string, string|boolean>} values
+ * @returns {Partial<import('../core/atlasPacker.js').PackerOptions>}
+ * @throws {Error} If a value is invalid
+ */
+function parsePackOptions(values) {
+    const options = { ...DEFAULT_PACK_OPTIONS };
+
+    if (values.padding !== undefined) {
+        options.padding = parseWholeNumber(values.padding, '--padding');
+    }
+    if (values.extrude !== undefined) {
+        options.extrude = parseWholeNumber(values.extrude, '--extrude');
+    }
+    if (values['max-size'] !== undefined) {
+        options.maxAtlasSize = parseWholeNumber(values['max-size'], '--max-size');
+    }
+    if (values.pot) {
+        options.powerOfTwo = true;
+    }
+    if (values['no-bleed']) {
+        options.alphaBleed = false;
+    }
+    if (values.premultiply) {
+        options.premultiplyAlpha = true;
+    }
+    if (values.algorithm !== undefined) {
+        options.algorithm = values.algorithm;
+    }
+    if (values.scales !== undefined) {
+        options.scales = parseScaleList(values.scales);
+    }
+    if (values.filter !== undefined) {
+        options.scaleFilter = values.filter;
+    }
+
+    // Like the browser, each algorithm packs in its preferred sprite order
+    const algorithm = getAvailableAlgorithms().find(candidate => candidate.id === options.algorithm);
+    if (!algorithm) {
+        throw new Error(`Unknown packing algorithm "${options.algorithm}".`);
+    }
+    options.sortBy = algorithm.defaultSort;
+
+    return options;
+}
+
+/**
+ * Parses a whole number of 0 or more
+ * @param {string} text
+ * @param {string} flag - Option name for the error message
+ * @returns {number}
+ */
+function parseWholeNumber(text, flag) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${flag} must be a whole number of 0 or more.`);
+    }
+    return value;
+}
+
+/**
+ * Lists the PNG files under a folder, recursively, as sorted '/'-separated relative paths
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function findPngFiles(dir) {
+    const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+
+    return entries
+        .filter(entry => entry.isFile() && /\.png$/i.test(entry.name))
+        .map(entry => path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'))
+        .sort();
+}
+
+/**
+ * Reads and decodes a PNG file
+ * @param {string} filePath
+ * @returns {Promise<import('../utils/raster.js').Raster>}
+ */
+async function readPng(filePath) {
+    try {
+        return decodePng(new Uint8Array(await readFile(filePath)));
+    } catch (error) {
+        throw new Error(`Failed to read "${filePath}": ${error.message}`);
+    }
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filePath) {
+    try {
+        await access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Keeps a frame name inside the output folder: forward slashes, no empty, '.' or '..' segments
+ * (the same cleanup ZIP entry names get)
+ * @param {string} name
+ * @returns {string}
+ */
+function toSafeRelativePath(name) {
+    return name
+        .replace(/\\/g, '/')
+        .split('/')
+        .filter(segment => segment !== '' && segment !== '.' && segment !== '..')
+        .join('/') || '_';
+}
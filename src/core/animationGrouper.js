@@ -0,0 +1,186 @@
+/**
+ * Animation grouping - finds numbered frame sequences in sprite names
+ * @module core/animationGrouper
+ */
+
+/**
+ * @typedef {'loop'|'once'|'ping-pong'} LoopMode
+ */
+
+/**
+ * @typedef {Object} AnimationGroup
+ * @property {string[]} frames - Frame names in playback order
+ * @property {number} [fps] - Playback speed in frames per second
+ * @property {LoopMode} [loop] - What happens after the last frame
+ */
+
+/**
+ * @typedef {Object<string, AnimationGroup>} AnimationMap
+ */
+
+/**
+ * Trailing frame number, e.g. "idle_1", "run-001", "hero/walk/07"
+ */
+const FRAME_NUMBER_PATTERN = /^(.*?)(\d+)$/;
+
+/**
+ * Gets the available loop modes
+ * @returns {{ id: LoopMode, name: string, description: string }[]}
+ */
+export function getLoopModes() {
+    return [
+        {
+            id: 'loop',
+            name: 'Loop',
+            description: 'Start again from the first frame'
+        },
+        {
+            id: 'once',
+            name: 'Once',
+            description: 'Stop on the last frame'
+        },
+        {
+            id: 'ping-pong',
+            name: 'Ping-Pong',
+            description: 'Play forwards, then backwards, and repeat'
+        }
+    ];
+}
+
+/**
+ * Compares strings with runs of digits ordered by numeric value ("run-2" < "run-10")
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function naturalCompare(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }) || a.localeCompare(b);
+}
+
+/**
+ * Finds numbered frame sequences such as idle_1..idle_8 or run-001..run-012.
+ * Names that differ only in their trailing number form a group named after the
+ * shared prefix (without the trailing separator); groups need at least two frames.
+ * Frames are ordered by numeric value.
+ *
+ * @param {string[]} names - Sprite names
+ * @returns {AnimationMap}
+ */
+export function detectAnimations(names) {
+    const sequences = new Map();
+
+    for (const name of names) {
+        const match = name.match(FRAME_NUMBER_PATTERN);
+        if (!match) continue;
+
+        // "hero/run/01" groups as "hero/run"; numbered files at the root as "default"
+        const groupName = match[1].replace(/[\s_\-./]+$/, '') || 'default';
+        if (!sequences.has(groupName)) {
+            sequences.set(groupName, []);
+        }
+        sequences.get(groupName).push({ name, number: parseInt(match[2], 10) });
+    }
+
+    const animations = {};
+    const groupNames = [...sequences.keys()].sort(naturalCompare);
+
+    for (const groupName of groupNames) {
+        const frames = sequences.get(groupName);
+        if (frames.length < 2) continue;
+
+        frames.sort((a, b) => a.number - b.number || naturalCompare(a.name, b.name));
+        animations[groupName] = { frames: frames.map(frame => frame.name) };
+    }
+
+    return animations;
+}
+
+/**
+ * Expands a frame pattern against sprite names. `*` matches any run of characters;
+ * a pattern without `*` must match a name exactly.
+ *
+ * @param {string} pattern - e.g. "hero/idle_*"
+ * @param {string[]} names - Sprite names
+ * @returns {string[]} Matching names in natural order
+ */
+export function expandFramePattern(pattern, names) {
+    if (!pattern.includes('*')) {
+        return names.includes(pattern) ? [pattern] : [];
+    }
+
+    const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp(`^${source}$`);
+    return names.filter(name => regex.test(name)).sort(naturalCompare);
+}
+
+/**
+ * Drops frames that aren't in the atlas, and groups left without frames
+ * @param {AnimationMap} animations
+ * @param {string[]} names - Frame names present in the atlas
+ * @returns {AnimationMap}
+ */
+export function resolveAnimations(animations, names) {
+    const available = new Set(names);
+    const result = {};
+
+    for (const [groupName, group] of Object.entries(animations)) {
+        const frames = group.frames.filter(frame => available.has(frame));
+        if (frames.length === 0) continue;
+
+        result[groupName] = { ...group, frames };
+    }
+
+    return result;
+}
+
+/**
+ * Combines detected groups with explicitly defined ones. Explicit groups win:
+ * a detected group is dropped when it has the same name as an explicit group
+ * or shares any frame with one.
+ *
+ * @param {AnimationMap} detected
+ * @param {AnimationMap} explicit
+ * @returns {AnimationMap}
+ */
+export function mergeAnimations(detected, explicit) {
+    const claimed = new Set(Object.values(explicit).flatMap(group => group.frames));
+    const result = {};
+
+    for (const [groupName, group] of Object.entries(detected)) {
+        if (groupName in explicit || group.frames.some(frame => claimed.has(frame))) continue;
+        result[groupName] = group;
+    }
+
+    return { ...result, ...explicit };
+}
+
+/**
+ * Works out the frame that follows during playback
+ * @param {number} index - Current frame index
+ * @param {1|-1} direction - Current playback direction (only ping-pong plays backwards)
+ * @param {number} count - Number of frames in the sequence
+ * @param {LoopMode} loop - Loop mode
+ * @returns {{ index: number, direction: 1|-1, finished: boolean }} `finished` is set when a 'once' sequence has ended
+ */
+export function advanceFrame(index, direction, count, loop) {
+    if (count <= 1) {
+        return { index: 0, direction: 1, finished: loop === 'once' };
+    }
+
+    if (loop === 'once') {
+        return index >= count - 1
+            ? { index: count - 1, direction: 1, finished: true }
+            : { index: index + 1, direction: 1, finished: false };
+    }
+
+    if (loop === 'ping-pong') {
+        // Turn around at either end without showing the end frame twice
+        const next = index + direction;
+        if (next < 0 || next >= count) {
+            return { index: index - direction, direction: -direction, finished: false };
+        }
+        return { index: next, direction, finished: false };
+    }
+
+    return { index: (index + 1) % count, direction: 1, finished: false };
+}
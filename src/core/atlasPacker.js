@@ -3,8 +3,14 @@
  * @module core/atlasPacker
  */
 
-import { createCanvas, nextPowerOfTwo } from '../utils/imageUtils.js';
-import { shelfPack } from './packingAlgorithms.js';
+import { getImagePixels, nextPowerOfTwo } from '../utils/imageUtils.js';
+import { createRaster, copyRasterRect, extrudeRasterEdges, bleedRasterAlpha, premultiplyRasterAlpha } from '../utils/raster.js';
+import { shelfPack, binaryTreePack, maxRectsPack } from './packingAlgorithms.js';
+import { trimSprite } from './spriteTrimmer.js';
+import { findDuplicateSprites } from './duplicateFinder.js';
+import { detectAnimations, resolveAnimations, mergeAnimations } from './animationGrouper.js';
+import { getPivotError, getNineSliceError, scaleNineSlice } from './frameEditor.js';
+import { resampleRaster, getResampleFilters } from '../utils/resample.js';
 
 /**
  * @typedef {import('./imageLoader.js').SpriteInput} SpriteInput
@@ -14,31 +20,301 @@ import { shelfPack } from './packingAlgorithms.js';
 /**
  * @typedef {Object} PackerOptions
  * @property {number} padding - Padding between sprites (default: 1)
+ * @property {number} extrude - Pixels of each sprite's edge repeated outward into the gutter, on top of the
+ *   padding; frames still cover only the sprite itself (default: 0)
  * @property {number} maxAtlasSize - Maximum atlas dimension (default: 2048)
  * @property {boolean} powerOfTwo - Force dimensions to power of two (default: false)
+ * @property {string} algorithm - Packing algorithm id (default: 'shelf')
+ * @property {string} maxRectsHeuristic - MaxRects placement heuristic id (default: 'best-short-side')
+ * @property {string} [sortBy] - Sprite sort strategy id (default: the algorithm's own order)
+ * @property {boolean} multiPage - Spill sprites onto extra pages when one page is full (default: true)
+ * @property {boolean} trim - Pack only the non-transparent area of each sprite (default: false)
+ * @property {number} alphaThreshold - Alpha at or below which a pixel counts as transparent when trimming (default: 0)
+ * @property {boolean} allowRotation - Let the packer rotate sprites 90° clockwise when that fits better (default: false)
+ * @property {boolean} dedupe - Draw pixel-identical sprites once and alias the copies (default: false)
+ * @property {boolean} alphaBleed - Give fully transparent pixels the colour of the nearest visible pixel
+ *   instead of black (default: false)
+ * @property {boolean} premultiplyAlpha - Multiply colours by alpha and mark the metadata with
+ *   `meta.premultipliedAlpha`; alpha bleeding is skipped, as it makes no difference then (default: false)
+ * @property {boolean} detectAnimations - Group numbered sprite names into animations (default: true)
+ * @property {import('./animationGrouper.js').AnimationMap|null} animations - Hand-defined animation groups;
+ *   they replace detected groups with the same name or overlapping frames (default: null)
+ * @property {Object<string, import('./frameEditor.js').FrameProperties>|null} frameProperties - Pivots and
+ *   9-slice borders by sprite name, copied onto the frames (default: null)
+ * @property {number[]|null} scales - Scale variants to draw from the one layout, e.g. [1, 0.5]; each gets
+ *   its own pages and metadata with `meta.scale` and `@<scale>x` file names. Null draws the sprites
+ *   at source size with plain file names (default: null)
+ * @property {string} scaleFilter - Resampling filter id for scale variants (default: 'bilinear')
+ * @property {function(PackProgress): void} [onProgress] - Called as trimming, packing and drawing advance
  */
 
 /**
+ * @typedef {Object} PackProgress
+ * @property {'trim'|'pack'|'draw'} stage - Step being worked on
+ * @property {number} completed - Sprites trimmed, sprites placed or pages drawn so far
+ * @property {number} total - Number of sprites or pages (of all scale variants) the step covers
+ */
+
+/**
+ * @typedef {Object} ScaleVariant
+ * @property {number} scale - Size factor relative to the source sprites
+ * @property {import('../utils/raster.js').Raster[]} images - Atlas pages, indexed by frame.page
+ * @property {AtlasMetadata} metadata - Metadata for these pages
+ */
+
+/**
+ * Pages are rasters rather than canvases (the `canvas` and `canvases` fields were replaced by
+ * `image` and `images`); draw them with imageUtils.rasterToCanvas to display them.
  * @typedef {Object} PackerResult
- * @property {HTMLCanvasElement} canvas - The generated atlas canvas
+ * @property {import('../utils/raster.js').Raster} image - The first atlas page
+ * @property {import('../utils/raster.js').Raster[]} images - All atlas pages, indexed by frame.page
  * @property {AtlasMetadata} metadata - The atlas metadata
+ * @property {ScaleVariant[]} variants - Every scale in the order asked for, the first being the one
+ *   above; a single scale-1 entry without scale variants
  */
 
 const DEFAULT_OPTIONS = {
     padding: 1,
+    extrude: 0,
     maxAtlasSize: 2048,
-    powerOfTwo: false
+    powerOfTwo: false,
+    algorithm: 'shelf',
+    maxRectsHeuristic: 'best-short-side',
+    multiPage: true,
+    trim: false,
+    alphaThreshold: 0,
+    allowRotation: false,
+    dedupe: false,
+    alphaBleed: false,
+    premultiplyAlpha: false,
+    detectAnimations: true,
+    animations: null,
+    frameProperties: null,
+    scales: null,
+    scaleFilter: 'bilinear'
+};
+
+/**
+ * Largest scale variant factor
+ */
+const MAX_SCALE = 4;
+
+/**
+ * Allowance for floating-point error when layout coordinates are scaled and rounded
+ */
+const SCALE_EPSILON = 1e-9;
+
+/**
+ * Packing functions keyed by algorithm id (see getAvailableAlgorithms)
+ */
+const ALGORITHMS = {
+    'shelf': shelfPack,
+    'binary-tree': binaryTreePack,
+    'maxrects': maxRectsPack
 };
 
 /**
- * Packs multiple sprites into a single texture atlas
+ * Gets the image filename for an atlas page
+ * @param {number} pageIndex - Zero-based page index
+ * @param {number} pageCount - Total number of pages
+ * @param {number} [scale] - Scale variant; adds an `@<scale>x` suffix
+ * @returns {string} 'atlas.png' for single-page atlases, 'atlas-N.png' otherwise (e.g. 'atlas-1@0.5x.png')
+ */
+export function getPageFileName(pageIndex, pageCount, scale) {
+    const suffix = scale === undefined ? '' : `@${scale}x`;
+    return pageCount > 1 ? `atlas-${pageIndex}${suffix}.png` : `atlas${suffix}.png`;
+}
+
+/**
+ * Reads a list of scale variants as typed by users, e.g. "1, 0.5" or "@2x @1x"
+ * @param {string} text
+ * @returns {number[]|null} The scales (invalid entries become NaN, which packAtlas reports),
+ *   or null for an empty list
+ */
+export function parseScaleList(text) {
+    const scales = text.split(/[\s,]+/)
+        .filter(Boolean)
+        .map(entry => Number(entry.replace(/^@/, '').replace(/x$/i, '')));
+    return scales.length > 0 ? scales : null;
+}
+
+/**
+ * Gets a sprite's untrimmed size and the area of it that is packed, upright, at a scale.
+ * Edges are rounded rather than sizes, so a trimmed area stays inside its sprite at every scale.
+ * @param {SpriteInput} sprite - The sprite (trimmed or not)
+ * @param {number} scale
+ * @returns {{ sourceW: number, sourceH: number, x: number, y: number, w: number, h: number }}
+ */
+function getScaledArea(sprite, scale) {
+    const trim = sprite.trim;
+    const area = {
+        sourceW: trim ? trim.sourceW : sprite.width,
+        sourceH: trim ? trim.sourceH : sprite.height,
+        x: trim ? trim.x : 0,
+        y: trim ? trim.y : 0,
+        w: sprite.width,
+        h: sprite.height
+    };
+    if (scale === 1) return area;
+
+    const sourceW = Math.max(1, Math.round(area.sourceW * scale));
+    const sourceH = Math.max(1, Math.round(area.sourceH * scale));
+    const x = Math.min(sourceW - 1, Math.round(area.x * scale));
+    const y = Math.min(sourceH - 1, Math.round(area.y * scale));
+
+    return {
+        sourceW,
+        sourceH,
+        x,
+        y,
+        w: Math.max(1, Math.min(sourceW, Math.round((area.x + area.w) * scale)) - x),
+        h: Math.max(1, Math.min(sourceH, Math.round((area.y + area.h) * scale)) - y)
+    };
+}
+
+/**
+ * Builds the metadata frame for a packed sprite
+ * @param {import('./imageLoader.js').PackedFrame} frame - Frame placed in the scaled layout
+ * @param {SpriteInput} sprite - The sprite (trimmed or not) drawn into the frame
+ * @param {number} pageIndex - Page holding the frame
+ * @param {number} scale - Scale the frame is drawn at
+ * @param {PackerOptions['frameProperties']} frameProperties - Pivots and 9-slice borders by sprite name
+ * @returns {import('./imageLoader.js').PackedFrame}
+ */
+function buildFrame(frame, sprite, pageIndex, scale, frameProperties) {
+    const packedFrame = { ...frame, page: pageIndex };
+    const trim = sprite.trim;
+    const area = getScaledArea(sprite, scale);
+
+    // Trim fields describe the upright sprite, even for rotated frames
+    if (trim) {
+        packedFrame.trimmed = sprite.width !== trim.sourceW || sprite.height !== trim.sourceH;
+        packedFrame.sourceSize = { w: area.sourceW, h: area.sourceH };
+        packedFrame.spriteSourceSize = { x: area.x, y: area.y, w: area.w, h: area.h };
+    }
+
+    const properties = frameProperties && frameProperties[frame.name];
+    if (properties && properties.pivot) {
+        packedFrame.pivot = { ...properties.pivot };
+    }
+    if (properties && properties.nineSlice) {
+        packedFrame.nineSlice = scaleNineSlice(properties.nineSlice, scale, { w: area.sourceW, h: area.sourceH });
+    }
+
+    return packedFrame;
+}
+
+/**
+ * Wraps a sprite in the box the packing algorithm places for it: the sprite, its extruded
+ * edges and, with scale variants, enough extra that the sprite still fits its slot at every scale
+ * @param {SpriteInput} sprite
+ * @param {number[]} scales
+ * @param {number} extrude - Pixels added on every side at each scale
+ * @returns {SpriteInput} Copy of the sprite with the box size that remembers the original
+ */
+function toPackingBox(sprite, scales, extrude) {
+    let width = 0;
+    let height = 0;
+
+    for (const scale of scales) {
+        const area = getScaledArea(sprite, scale);
+        width = Math.max(width, Math.ceil((area.w + extrude * 2) / scale));
+        height = Math.max(height, Math.ceil((area.h + extrude * 2) / scale));
+    }
+
+    return { ...sprite, width, height, original: sprite };
+}
+
+/**
+ * Draws the packed layout at one scale. Box corners scale down to whole pixels, so a
+ * box of each sprite (sized by toPackingBox) still holds it and keeps the padding.
+ *
+ * @param {Array<import('./packingAlgorithms.js').PackingResult>} pages - Packed layout, in boxes
+ * @param {Map<SpriteInput, SpriteInput[]>} aliases - Duplicates of each drawn sprite
+ * @param {number} scale
+ * @param {PackerOptions} opts
+ * @param {function(): void} onPageDrawn - Called after each page
+ * @returns {{ images: import('../utils/raster.js').Raster[], frames: import('./imageLoader.js').PackedFrame[], pages: import('./imageLoader.js').AtlasPage[] }}
+ */
+function drawScaleVariant(pages, aliases, scale, opts, onPageDrawn) {
+    const images = [];
+    const allFrames = [];
+    const pageInfo = [];
+
+    for (let pageIndex = 0; pageIndex < pages.length; pageIndex++) {
+        const { frames, width, height, sprites: packedSprites } = pages[pageIndex];
+
+        // Calculate final dimensions
+        let finalWidth = Math.ceil(width * scale - SCALE_EPSILON);
+        let finalHeight = Math.ceil(height * scale - SCALE_EPSILON);
+
+        if (opts.powerOfTwo) {
+            finalWidth = nextPowerOfTwo(finalWidth);
+            finalHeight = nextPowerOfTwo(finalHeight);
+        }
+
+        // Copy all sprites onto the page; pixels are copied exactly, without canvas premultiplication
+        const page = createRaster(finalWidth, finalHeight);
+
+        for (let i = 0; i < frames.length; i++) {
+            const box = frames[i];
+            const sprite = packedSprites[i];
+            const area = getScaledArea(sprite, scale);
+            const frame = {
+                ...box,
+                x: Math.floor(box.x * scale + SCALE_EPSILON) + opts.extrude,
+                y: Math.floor(box.y * scale + SCALE_EPSILON) + opts.extrude,
+                w: box.rotated ? area.h : area.w,
+                h: box.rotated ? area.w : area.h
+            };
+
+            // The whole sprite is resampled before its kept area is cut out, so trimmed
+            // edges blend with the same neighbours as untrimmed ones
+            const pixels = scale === 1
+                ? getImagePixels(sprite.image)
+                : resampleRaster(getImagePixels(sprite.image), area.sourceW, area.sourceH, opts.scaleFilter);
+
+            // Rotated sprites turn 90° clockwise: their top-left lands at the frame's top-right
+            copyRasterRect(pixels, area, page, frame.x, frame.y, frame.rotated ? 'cw' : 'none');
+            extrudeRasterEdges(page, frame, opts.extrude);
+
+            allFrames.push(buildFrame(frame, sprite, pageIndex, scale, opts.frameProperties));
+
+            for (const alias of aliases.get(sprite) || []) {
+                allFrames.push({
+                    ...buildFrame({ ...frame, name: alias.name }, alias, pageIndex, scale, opts.frameProperties),
+                    aliasOf: sprite.name
+                });
+            }
+        }
+
+        // Done once per page, after every sprite and its extruded edges are in place
+        if (opts.premultiplyAlpha) {
+            premultiplyRasterAlpha(page);
+        } else if (opts.alphaBleed) {
+            bleedRasterAlpha(page);
+        }
+
+        images.push(page);
+        onPageDrawn();
+        pageInfo.push({
+            image: getPageFileName(pageIndex, pages.length, opts.scales ? scale : undefined),
+            size: {
+                w: finalWidth,
+                h: finalHeight
+            }
+        });
+    }
+
+    return { images, frames: allFrames, pages: pageInfo };
+}
+
+/**
+ * Packs multiple sprites into one or more texture atlas pages
  * 
  * @param {SpriteInput[]} sprites - Sprites to pack
  * @param {Partial<PackerOptions>} [options={}] - Packing options
  * @returns {{ success: boolean, result?: PackerResult, error?: string }}
- * 
- * TODO: Support sprite grouping/tagging for animations
- * TODO: Support multiple packing algorithms via options
  */
 export function packAtlas(sprites, options = {}) {
     const opts = { ...DEFAULT_OPTIONS, ...options };
@@ -59,59 +335,171 @@ export function packAtlas(sprites, options = {}) {
         };
     }
 
-    // Run the packing algorithm
-    const packResult = shelfPack(sprites, {
-        padding: opts.padding,
-        maxWidth: opts.maxAtlasSize,
-        maxHeight: opts.maxAtlasSize
-    });
+    if (!Number.isInteger(opts.extrude) || opts.extrude < 0) {
+        return {
+            success: false,
+            error: 'Extrude must be a whole number of 0 or more.'
+        };
+    }
 
-    if (!packResult.success) {
+    const algorithm = ALGORITHMS[opts.algorithm];
+    if (!algorithm) {
         return {
             success: false,
-            error: packResult.error
+            error: `Unknown packing algorithm "${opts.algorithm}".`
         };
     }
 
-    const { frames, width, height, sprites: sortedSprites } = packResult.result;
+    const scales = opts.scales || [1];
+    if (scales.length === 0 || !scales.every(scale => Number.isFinite(scale) && scale > 0 && scale <= MAX_SCALE)) {
+        return {
+            success: false,
+            error: `Scale variants must be numbers above 0 and up to ${MAX_SCALE}.`
+        };
+    }
 
-    // Calculate final dimensions
-    let finalWidth = width;
-    let finalHeight = height;
+    const repeatedScale = scales.find((scale, index) => scales.indexOf(scale) !== index);
+    if (repeatedScale !== undefined) {
+        return {
+            success: false,
+            error: `Scale variant @${repeatedScale}x is listed twice.`
+        };
+    }
 
-    if (opts.powerOfTwo) {
-        finalWidth = nextPowerOfTwo(width);
-        finalHeight = nextPowerOfTwo(height);
+    if (opts.scales && !getResampleFilters().some(filter => filter.id === opts.scaleFilter)) {
+        return {
+            success: false,
+            error: `Unknown resampling filter "${opts.scaleFilter}".`
+        };
     }
 
-    // Create the atlas canvas
-    const { canvas, ctx } = createCanvas(finalWidth, finalHeight);
+    // Pivots and 9-slice borders must still fit sprites that were replaced since they were set
+    for (const sprite of opts.frameProperties ? sprites : []) {
+        const properties = opts.frameProperties[sprite.name];
+        const error = properties && (
+            (properties.pivot && getPivotError(properties.pivot)) ||
+            (properties.nineSlice && getNineSliceError(properties.nineSlice, { w: sprite.width, h: sprite.height }))
+        );
+        if (error) {
+            return {
+                success: false,
+                error: `Sprite "${sprite.name}" ${error}.`
+            };
+        }
+    }
+
+    const reportProgress = opts.onProgress || (() => {});
+
+    const preparedSprites = opts.trim
+        ? sprites.map((sprite, index) => {
+            const trimmed = trimSprite(sprite, opts.alphaThreshold);
+            reportProgress({ stage: 'trim', completed: index + 1, total: sprites.length });
+            return trimmed;
+        })
+        : sprites;
+
+    // Only unique images get packed; duplicates reuse their original's frame
+    let aliases = new Map();
+    let remaining = preparedSprites;
 
-    // Draw all sprites onto the atlas
-    for (let i = 0; i < frames.length; i++) {
-        const frame = frames[i];
-        const sprite = sortedSprites[i];
-        ctx.drawImage(sprite.image, frame.x, frame.y);
+    if (opts.dedupe) {
+        const duplicates = findDuplicateSprites(preparedSprites);
+        remaining = duplicates.uniqueSprites;
+        aliases = duplicates.aliases;
     }
 
-    // Build metadata
-    const metadata = {
-        frames,
-        meta: {
-            app: 'SpriteAtlasTool',
-            version: '1.0',
-            size: {
-                w: finalWidth,
-                h: finalHeight
+    // The layout is packed once, at source size. Boxes, padding and the page size limit make
+    // room for every scale, so drawing the layout smaller or larger never overlaps sprites
+    const pages = [];
+    const packCount = remaining.length;
+    const boxed = opts.extrude > 0 || opts.scales;
+    const packPadding = Math.max(...scales.map(scale => Math.ceil(opts.padding / scale)));
+    const packMaxSize = Math.floor(opts.maxAtlasSize / Math.max(...scales));
+
+    while (remaining.length > 0) {
+        const packResult = algorithm(boxed ? remaining.map(sprite => toPackingBox(sprite, scales, opts.extrude)) : remaining, {
+            padding: packPadding,
+            maxWidth: packMaxSize,
+            maxHeight: packMaxSize,
+            heuristic: opts.maxRectsHeuristic,
+            sortBy: opts.sortBy,
+            allowOverflow: opts.multiPage,
+            allowRotation: opts.allowRotation
+        });
+
+        if (!packResult.success) {
+            return {
+                success: false,
+                error: packResult.error
+            };
+        }
+
+        const { overflow, ...page } = packResult.result;
+
+        if (page.frames.length === 0) {
+            return {
+                success: false,
+                error: `Atlas size (${opts.maxAtlasSize}x${opts.maxAtlasSize}) is too small to fit any remaining sprite.`
+            };
+        }
+
+        if (boxed) {
+            page.sprites = page.sprites.map(sprite => sprite.original);
+        }
+
+        pages.push(page);
+        remaining = boxed ? overflow.map(sprite => sprite.original) : overflow;
+        reportProgress({ stage: 'pack', completed: packCount - remaining.length, total: packCount });
+    }
+
+    let drawnPages = 0;
+    const drawTotal = pages.length * scales.length;
+
+    const variants = scales.map(scale => {
+        const drawn = drawScaleVariant(pages, aliases, scale, opts, () => {
+            reportProgress({ stage: 'draw', completed: ++drawnPages, total: drawTotal });
+        });
+
+        // Build metadata
+        const metadata = {
+            frames: drawn.frames,
+            meta: {
+                app: 'SpriteAtlasTool',
+                version: '1.0',
+                size: drawn.pages[0].size,
+                pages: drawn.pages
             }
+        };
+
+        if (opts.scales) {
+            metadata.meta.scale = scale;
         }
-    };
+        if (opts.premultiplyAlpha) {
+            metadata.meta.premultipliedAlpha = true;
+        }
+
+        return { scale, images: drawn.images, metadata };
+    });
+
+    const frameNames = variants[0].metadata.frames.map(frame => frame.name);
+    const animations = mergeAnimations(
+        opts.detectAnimations ? detectAnimations(frameNames) : {},
+        opts.animations ? resolveAnimations(opts.animations, frameNames) : {}
+    );
+
+    if (Object.keys(animations).length > 0) {
+        for (const variant of variants) {
+            variant.metadata.animations = animations;
+        }
+    }
 
     return {
         success: true,
         result: {
-            canvas,
-            metadata
+            image: variants[0].images[0],
+            images: variants[0].images,
+            metadata: variants[0].metadata,
+            variants
         }
     };
 }
@@ -3,35 +3,158 @@
  * @module core/atlasUnpacker
  */
 
-import { createCanvas, canvasToBlob } from '../utils/imageUtils.js';
+import { getImagePixels, rasterToBlob } from '../utils/imageUtils.js';
+import { createRaster, copyRasterRect, unpremultiplyRasterAlpha } from '../utils/raster.js';
+import { expandFramePattern } from './animationGrouper.js';
 
 /**
  * @typedef {import('./imageLoader.js').AtlasMetadata} AtlasMetadata
  * @typedef {import('./imageLoader.js').PackedFrame} PackedFrame
+ * @typedef {import('../utils/raster.js').Raster} Raster
  */
 
 /**
  * @typedef {Object} ExtractedSprite
  * @property {string} name - Sprite name
- * @property {HTMLCanvasElement} canvas - Canvas containing the sprite
+ * @property {Raster} image - Sprite pixels
  * @property {Blob} blob - PNG blob of the sprite
- * @property {number} width - Sprite width
- * @property {number} height - Sprite height
+ * @property {number} width - Sprite width (original size for trimmed frames)
+ * @property {number} height - Sprite height (original size for trimmed frames)
  */
 
 /**
- * Extracts all sprites from an atlas image using metadata
- * 
- * @param {HTMLImageElement} atlasImage - The atlas image
+ * @typedef {Object} UnpackProgress
+ * @property {number} completed - Sprites extracted so far
+ * @property {number} total - Sprites to extract
+ * @property {string} name - Name of the sprite just extracted
+ */
+
+/**
+ * @typedef {Object} UnpackOptions
+ * @property {string[]} [names] - Frame names or patterns with `*` to extract
+ * @property {string} [animation] - Extract the frames of this animation group
+ * @property {function(UnpackProgress): void} [onProgress] - Called after each extracted sprite
+ * @property {AbortSignal} [signal] - Cancels the extraction
+ */
+
+/**
+ * @typedef {Object} DetectOptions
+ * @property {number} [alphaThreshold=0] - Pixels with alpha <= threshold count as background
+ * @property {number} [mergeDistance=0] - Regions this many pixels apart or closer are merged into one frame
+ * @property {number} [minSize=1] - Regions narrower and shorter than this (px) are dropped as noise
+ * @property {string} [imageName='atlas.png'] - Sheet filename, used for frame names and meta.pages
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {number} x
+ * @property {number} y
+ * @property {number} w
+ * @property {number} h
+ */
+
+/**
+ * Matches loaded atlas images to the pages listed in the metadata.
+ * Multi-page atlases are matched by filename; a single-page atlas
+ * accepts any image so renamed files still work.
+ *
+ * @param {{ name: string, image: Raster|CanvasImageSource }[]} images - Loaded images with their filenames
+ * @param {AtlasMetadata} metadata - The atlas metadata
+ * @returns {{ success: boolean, result?: Array<Raster|CanvasImageSource>, error?: string }}
+ */
+export function resolvePageImages(images, metadata) {
+    if (!images || images.length === 0) {
+        return {
+            success: false,
+            error: 'No atlas image provided.'
+        };
+    }
+
+    const pages = (metadata && metadata.meta && metadata.meta.pages) || [];
+
+    if (pages.length <= 1) {
+        const match = pages.length === 1 && images.find(entry => entry.name === pages[0].image);
+        return {
+            success: true,
+            result: [(match || images[0]).image]
+        };
+    }
+
+    const pageImages = [];
+    const missing = [];
+
+    for (const page of pages) {
+        const match = images.find(entry => entry.name === page.image);
+        if (match) {
+            pageImages.push(match.image);
+        } else {
+            missing.push(page.image);
+        }
+    }
+
+    if (missing.length > 0) {
+        return {
+            success: false,
+            error: `Missing atlas page image(s): ${missing.join(', ')}`
+        };
+    }
+
+    return {
+        success: true,
+        result: pageImages
+    };
+}
+
+/**
+ * Picks the frames to extract. `names` and `animation` select the union of their
+ * frames; without either, every frame is selected. Frames keep their metadata order.
+ *
+ * @param {AtlasMetadata} metadata
+ * @param {UnpackOptions} options
+ * @returns {{ success: boolean, result?: PackedFrame[], error?: string }}
+ */
+function selectFrames(metadata, options) {
+    if (!options.names && !options.animation) {
+        return { success: true, result: metadata.frames };
+    }
+
+    const frameNames = metadata.frames.map(frame => frame.name);
+    const selected = new Set();
+
+    for (const pattern of options.names || []) {
+        const matches = expandFramePattern(pattern, frameNames);
+        if (matches.length === 0) {
+            return { success: false, error: `No frame matches "${pattern}".` };
+        }
+        matches.forEach(name => selected.add(name));
+    }
+
+    if (options.animation) {
+        const group = metadata.animations && metadata.animations[options.animation];
+        if (!group) {
+            return { success: false, error: `Unknown animation "${options.animation}".` };
+        }
+        group.frames.forEach(name => selected.add(name));
+    }
+
+    return { success: true, result: metadata.frames.filter(frame => selected.has(frame.name)) };
+}
+
+/**
+ * Extracts sprites from an atlas image using metadata: all of them, or the ones
+ * picked by `options.names` / `options.animation`. Only the picked frames need
+ * to lie within the atlas.
+ *
+ * @param {Raster|CanvasImageSource|Array<Raster|CanvasImageSource>} atlasImage - The atlas image, or one image per page
  * @param {AtlasMetadata} metadata - The atlas metadata
+ * @param {UnpackOptions} [options={}] - Frame selection, progress and cancellation
  * @returns {Promise<{ success: boolean, result?: ExtractedSprite[], error?: string }>}
- * 
- * TODO: Support progress callback for large atlases
- * TODO: Support extracting only specific sprites by name
  */
-export async function unpackAtlas(atlasImage, metadata) {
+export async function unpackAtlas(atlasImage, metadata, options = {}) {
     // Validate inputs
-    if (!atlasImage) {
+    const pageImages = Array.isArray(atlasImage) ? atlasImage : [atlasImage];
+
+    if (!atlasImage || pageImages.length === 0) {
         return {
             success: false,
             error: 'No atlas image provided.'
@@ -52,12 +175,35 @@ export async function unpackAtlas(atlasImage, metadata) {
         };
     }
 
-    const atlasWidth = atlasImage.naturalWidth;
-    const atlasHeight = atlasImage.naturalHeight;
+    const selection = selectFrames(metadata, options);
+    if (!selection.success) {
+        return selection;
+    }
+
+    const frames = selection.result;
+    if (frames.length === 0) {
+        return {
+            success: false,
+            error: 'No frames selected to extract.'
+        };
+    }
+
     const extractedSprites = [];
+    const pagePixels = pageImages.map(image => image && getImagePixels(image));
+
+    // Validate frame bounds against page dimensions
+    for (const frame of frames) {
+        const pageImage = pagePixels[frame.page || 0];
+        if (!pageImage) {
+            return {
+                success: false,
+                error: `Frame "${frame.name}" is on page ${frame.page}, but no image was provided for that page.`
+            };
+        }
+
+        const atlasWidth = pageImage.width;
+        const atlasHeight = pageImage.height;
 
-    // Validate frame bounds against atlas dimensions
-    for (const frame of metadata.frames) {
         if (frame.x < 0 || frame.y < 0) {
             return {
                 success: false,
@@ -73,26 +219,50 @@ export async function unpackAtlas(atlasImage, metadata) {
     }
 
     // Extract each sprite
-    for (const frame of metadata.frames) {
+    for (const frame of frames) {
+        if (options.signal && options.signal.aborted) {
+            return {
+                success: false,
+                error: 'Extraction cancelled.'
+            };
+        }
+
         try {
-            const { canvas, ctx } = createCanvas(frame.w, frame.h);
+            // Rotated frames store the upright sprite with w and h swapped
+            const uprightW = frame.rotated ? frame.h : frame.w;
+            const uprightH = frame.rotated ? frame.w : frame.h;
 
-            // Draw the sprite region from the atlas
-            ctx.drawImage(
-                atlasImage,
-                frame.x, frame.y, frame.w, frame.h,  // Source rectangle
-                0, 0, frame.w, frame.h                // Destination rectangle
-            );
+            // Trimmed frames are restored to their original size and offset
+            const width = frame.sourceSize ? frame.sourceSize.w : uprightW;
+            const height = frame.sourceSize ? frame.sourceSize.h : uprightH;
+            const offsetX = frame.spriteSourceSize ? frame.spriteSourceSize.x : 0;
+            const offsetY = frame.spriteSourceSize ? frame.spriteSourceSize.y : 0;
 
-            const blob = await canvasToBlob(canvas);
+            const image = createRaster(width, height);
+
+            // Turning back the other way undoes the rotation: the packer's clockwise one,
+            // or the counter-clockwise one of libGDX atlases
+            const rotation = !frame.rotated ? 'none' : frame.counterClockwise ? 'cw' : 'ccw';
+            copyRasterRect(pagePixels[frame.page || 0], frame, image, offsetX, offsetY, rotation);
+
+            // Sprite files hold straight alpha, like the sprites that were packed
+            if (metadata.meta && metadata.meta.premultipliedAlpha) {
+                unpremultiplyRasterAlpha(image);
+            }
+
+            const blob = rasterToBlob(image);
 
             extractedSprites.push({
                 name: frame.name,
-                canvas,
+                image,
                 blob,
-                width: frame.w,
-                height: frame.h
+                width,
+                height
             });
+
+            if (options.onProgress) {
+                options.onProgress({ completed: extractedSprites.length, total: frames.length, name: frame.name });
+            }
         } catch (error) {
             return {
                 success: false,
@@ -106,3 +276,169 @@ export async function unpackAtlas(atlasImage, metadata) {
         result: extractedSprites
     };
 }
+
+/**
+ * Finds the bounding boxes of 8-connected regions of opaque pixels
+ * @param {ImageData} imageData
+ * @param {number} alphaThreshold - Pixels with alpha <= threshold count as background
+ * @returns {Region[]}
+ */
+function findAlphaRegions(imageData, alphaThreshold) {
+    const { data, width, height } = imageData;
+    const visited = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    const regions = [];
+
+    for (let start = 0; start < width * height; start++) {
+        if (visited[start] || data[start * 4 + 3] <= alphaThreshold) continue;
+
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+        let top = 0;
+
+        visited[start] = 1;
+        stack[top++] = start;
+
+        // Iterative flood fill; a recursive one overflows on large sprites
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % width;
+            const y = (index - x) / width;
+
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const neighbour = ny * width + nx;
+                    if (!visited[neighbour] && data[neighbour * 4 + 3] > alphaThreshold) {
+                        visited[neighbour] = 1;
+                        stack[top++] = neighbour;
+                    }
+                }
+            }
+        }
+
+        regions.push({ x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 });
+    }
+
+    return regions;
+}
+
+/**
+ * Merges regions whose bounding boxes overlap or are at most `distance` pixels apart
+ * @param {Region[]} regions
+ * @param {number} distance
+ * @returns {Region[]}
+ */
+function mergeNearbyRegions(regions, distance) {
+    let boxes = regions.map(region => ({ ...region }));
+    let merged = true;
+
+    // Merging grows boxes, which can bring them close to others, so repeat until stable
+    while (merged) {
+        merged = false;
+        boxes.sort((a, b) => a.x - b.x);
+
+        for (let i = 0; i < boxes.length; i++) {
+            const a = boxes[i];
+            if (!a) continue;
+
+            for (let j = i + 1; j < boxes.length; j++) {
+                const b = boxes[j];
+                if (!b) continue;
+                // Sorted by x: every later box starts too far right as well
+                if (b.x - (a.x + a.w) > distance) break;
+
+                const gapY = Math.max(b.y - (a.y + a.h), a.y - (b.y + b.h));
+                if (gapY > distance) continue;
+
+                const right = Math.max(a.x + a.w, b.x + b.w);
+                const bottom = Math.max(a.y + a.h, b.y + b.h);
+                a.x = Math.min(a.x, b.x);
+                a.y = Math.min(a.y, b.y);
+                a.w = right - a.x;
+                a.h = bottom - a.y;
+                boxes[j] = null;
+                merged = true;
+            }
+        }
+
+        boxes = boxes.filter(Boolean);
+    }
+
+    return boxes;
+}
+
+/**
+ * Orders regions in reading order: rows of vertically overlapping regions, top to bottom,
+ * each row left to right
+ * @param {Region[]} regions
+ * @returns {Region[]}
+ */
+function sortReadingOrder(regions) {
+    const byTop = [...regions].sort((a, b) => a.y - b.y || a.x - b.x);
+    const result = [];
+    let row = [];
+    let rowBottom = -1;
+
+    for (const region of byTop) {
+        if (row.length > 0 && region.y >= rowBottom) {
+            result.push(...row.sort((a, b) => a.x - b.x));
+            row = [];
+        }
+        row.push(region);
+        rowBottom = Math.max(rowBottom, region.y + region.h);
+    }
+    result.push(...row.sort((a, b) => a.x - b.x));
+
+    return result;
+}
+
+/**
+ * Detects sprites on a sheet without metadata by finding connected regions in the
+ * alpha channel. Each region's bounding box becomes a frame named `<image>_<n>`,
+ * numbered in reading order, so the result can be passed straight to unpackAtlas.
+ *
+ * @param {Raster|CanvasImageSource} image - Sheet to scan
+ * @param {DetectOptions} [options={}] - Detection options
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function detectSprites(image, options = {}) {
+    const { alphaThreshold = 0, mergeDistance = 0, minSize = 1, imageName = 'atlas.png' } = options;
+
+    if (!Number.isInteger(alphaThreshold) || alphaThreshold < 0 || alphaThreshold > 254) {
+        return { success: false, error: 'Alpha threshold must be a whole number from 0 to 254.' };
+    }
+    if (!Number.isInteger(mergeDistance) || mergeDistance < 0 || !Number.isInteger(minSize) || minSize < 1) {
+        return { success: false, error: 'Merge distance must be 0 or more and minimum size 1 or more.' };
+    }
+
+    const imageData = getImagePixels(image);
+    const regions = mergeNearbyRegions(findAlphaRegions(imageData, alphaThreshold), mergeDistance)
+        .filter(region => region.w >= minSize || region.h >= minSize);
+
+    if (regions.length === 0) {
+        return { success: false, error: 'No sprites found. The image may be fully transparent or the threshold too high.' };
+    }
+
+    const base = imageName.replace(/\.[^/.]+$/, '');
+    const size = { w: imageData.width, h: imageData.height };
+
+    return {
+        success: true,
+        result: {
+            frames: sortReadingOrder(regions).map((region, index) => ({ name: `${base}_${index}`, ...region })),
+            meta: {
+                app: 'SpriteAtlasTool',
+                version: '1.0',
+                size,
+                pages: [{ image: imageName, size }]
+            }
+        }
+    };
+}
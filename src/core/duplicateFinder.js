@@ -0,0 +1,109 @@
+/**
+ * Duplicate detection - finds sprites with pixel-identical content
+ * @module core/duplicateFinder
+ */
+
+import { getImagePixels } from '../utils/imageUtils.js';
+
+/**
+ * @typedef {import('./imageLoader.js').SpriteInput} SpriteInput
+ */
+
+/**
+ * @typedef {Object} DuplicateResult
+ * @property {SpriteInput[]} uniqueSprites - One sprite per distinct image, in input order
+ * @property {Map<SpriteInput, SpriteInput[]>} aliases - Duplicates keyed by the unique sprite they copy
+ */
+
+/**
+ * Reads the pixels a sprite will contribute to the atlas (its trimmed area, if trimmed)
+ * @param {SpriteInput} sprite
+ * @returns {Uint8ClampedArray} RGBA pixel data, row by row
+ */
+function getSpritePixels(sprite) {
+    const imageData = getImagePixels(sprite.image);
+    const trimX = sprite.trim ? sprite.trim.x : 0;
+    const trimY = sprite.trim ? sprite.trim.y : 0;
+
+    if (trimX === 0 && trimY === 0 && sprite.width === imageData.width && sprite.height === imageData.height) {
+        return imageData.data;
+    }
+
+    const pixels = new Uint8ClampedArray(sprite.width * sprite.height * 4);
+    for (let y = 0; y < sprite.height; y++) {
+        const start = ((trimY + y) * imageData.width + trimX) * 4;
+        pixels.set(imageData.data.subarray(start, start + sprite.width * 4), y * sprite.width * 4);
+    }
+    return pixels;
+}
+
+/**
+ * Hashes pixel data with 32-bit FNV-1a
+ * @param {Uint8ClampedArray} pixels
+ * @returns {number}
+ */
+function hashPixels(pixels) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < pixels.length; i++) {
+        hash ^= pixels[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Compares two pixel buffers byte by byte
+ * @param {Uint8ClampedArray} a
+ * @param {Uint8ClampedArray} b
+ * @returns {boolean}
+ */
+function samePixels(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Groups sprites whose packed pixels are identical.
+ * The alphabetically first sprite of each group is kept as the unique copy,
+ * so the result doesn't depend on load order.
+ *
+ * @param {SpriteInput[]} sprites - Sprites to check (trimmed or not)
+ * @returns {DuplicateResult}
+ */
+export function findDuplicateSprites(sprites) {
+    const byName = [...sprites].sort((a, b) => a.name.localeCompare(b.name));
+    const buckets = new Map();
+    const originalOf = new Map();
+    const aliases = new Map();
+
+    for (const sprite of byName) {
+        const pixels = getSpritePixels(sprite);
+        const key = `${sprite.width}x${sprite.height}:${hashPixels(pixels)}`;
+        const bucket = buckets.get(key) || [];
+
+        // Hashes can collide, so confirm with a full comparison
+        const match = bucket.find(entry => samePixels(entry.pixels, pixels));
+
+        if (match) {
+            originalOf.set(sprite, match.sprite);
+            aliases.get(match.sprite).push(sprite);
+        } else {
+            bucket.push({ sprite, pixels });
+            buckets.set(key, bucket);
+            aliases.set(sprite, []);
+        }
+    }
+
+    // Drop entries without duplicates
+    for (const [sprite, copies] of aliases) {
+        if (copies.length === 0) aliases.delete(sprite);
+    }
+
+    return {
+        uniqueSprites: sprites.filter(sprite => !originalOf.has(sprite)),
+        aliases
+    };
+}
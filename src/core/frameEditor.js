@@ -0,0 +1,569 @@
+/**
+ * Frame editing - moves, resizes, adds, removes and renames metadata frames and sets their pivots and 9-slice borders
+ * @module core/frameEditor
+ */
+
+import { resolveAnimations } from './animationGrouper.js';
+
+/**
+ * @typedef {import('./imageLoader.js').AtlasMetadata} AtlasMetadata
+ * @typedef {import('./imageLoader.js').PackedFrame} PackedFrame
+ * @typedef {import('./imageLoader.js').NineSlice} NineSlice
+ */
+
+/**
+ * @typedef {Object} Rect
+ * @property {number} x
+ * @property {number} y
+ * @property {number} w
+ * @property {number} h
+ */
+
+/**
+ * @typedef {'move'|'n'|'s'|'e'|'w'|'nw'|'ne'|'sw'|'se'} FrameHandle
+ */
+
+/**
+ * @typedef {Object} FrameProperties
+ * @property {{ x: number, y: number }|null} [pivot] - New pivot; null removes it, leaving it out keeps it
+ * @property {NineSlice|null} [nineSlice] - New 9-slice borders; null removes them, leaving them out keeps them
+ */
+
+/**
+ * Creates empty metadata for a single atlas image, to draw frames on from scratch
+ * @param {string} imageName - Atlas image filename
+ * @param {{ w: number, h: number }} size - Atlas image size
+ * @returns {AtlasMetadata}
+ */
+export function createEmptyMetadata(imageName, size) {
+    return {
+        frames: [],
+        meta: {
+            app: 'SpriteAtlasTool',
+            version: '1.0',
+            size: { ...size },
+            pages: [{ image: imageName, size: { ...size } }]
+        }
+    };
+}
+
+/**
+ * Checks that a frame lies inside its atlas page
+ * @param {Rect & { name: string }} frame
+ * @param {{ w: number, h: number }} size - Page size
+ * @returns {string|null} Problem description, or null when the frame fits
+ */
+export function getFrameBoundsError(frame, size) {
+    if (frame.w < 1 || frame.h < 1) {
+        return `Frame "${frame.name}" is empty (${frame.w}×${frame.h})`;
+    }
+    if (frame.x < 0 || frame.y < 0 || frame.x + frame.w > size.w || frame.y + frame.h > size.h) {
+        return `Frame "${frame.name}" extends beyond the atlas (${frame.x}, ${frame.y}, ${frame.w}×${frame.h} ` +
+            `on ${size.w}×${size.h})`;
+    }
+    return null;
+}
+
+/**
+ * Gets the untrimmed, upright size of a frame's sprite, which pivots and 9-slice borders refer to
+ * @param {PackedFrame} frame
+ * @returns {{ w: number, h: number }}
+ */
+export function getFrameSourceSize(frame) {
+    if (frame.sourceSize) return { w: frame.sourceSize.w, h: frame.sourceSize.h };
+    return frame.rotated ? { w: frame.h, h: frame.w } : { w: frame.w, h: frame.h };
+}
+
+/**
+ * Checks a frame pivot
+ * @param {any} pivot
+ * @returns {string|null} Problem description (to follow a frame name), or null when valid
+ */
+export function getPivotError(pivot) {
+    if (!pivot || typeof pivot !== 'object' || !Number.isFinite(pivot.x) || !Number.isFinite(pivot.y)) {
+        return 'has invalid "pivot" (x, y)';
+    }
+    return null;
+}
+
+/**
+ * Checks 9-slice borders against the sprite they divide
+ * @param {any} nineSlice
+ * @param {{ w: number, h: number }} size - Untrimmed, upright sprite size
+ * @returns {string|null} Problem description (to follow a frame name), or null when valid
+ */
+export function getNineSliceError(nineSlice, size) {
+    const sides = ['left', 'top', 'right', 'bottom'];
+    if (!nineSlice || typeof nineSlice !== 'object' ||
+        !sides.every(side => Number.isInteger(nineSlice[side]) && nineSlice[side] >= 0)) {
+        return 'has invalid "nineSlice" (left, top, right, bottom as whole numbers of 0 or more)';
+    }
+    if (nineSlice.left + nineSlice.right > size.w || nineSlice.top + nineSlice.bottom > size.h) {
+        return `has 9-slice borders larger than its ${size.w}×${size.h} sprite`;
+    }
+    return null;
+}
+
+/**
+ * Converts a point in the atlas to the frame's untrimmed, upright sprite coordinates,
+ * undoing rotation and trimming
+ * @param {PackedFrame} frame
+ * @param {number} x - Point in atlas pixels
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function atlasToSourcePoint(frame, x, y) {
+    const offsetX = frame.spriteSourceSize ? frame.spriteSourceSize.x : 0;
+    const offsetY = frame.spriteSourceSize ? frame.spriteSourceSize.y : 0;
+    let u = x - frame.x;
+    let v = y - frame.y;
+
+    // Clockwise frames hold the sprite's top edge on their right, counter-clockwise ones on their left
+    if (frame.rotated && frame.counterClockwise) {
+        [u, v] = [frame.h - v, u];
+    } else if (frame.rotated) {
+        [u, v] = [v, frame.w - u];
+    }
+
+    return { x: u + offsetX, y: v + offsetY };
+}
+
+/**
+ * Converts a point in a frame's untrimmed, upright sprite to atlas pixels (the inverse of atlasToSourcePoint)
+ * @param {PackedFrame} frame
+ * @param {number} x - Point in sprite pixels
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function sourceToAtlasPoint(frame, x, y) {
+    const u = x - (frame.spriteSourceSize ? frame.spriteSourceSize.x : 0);
+    const v = y - (frame.spriteSourceSize ? frame.spriteSourceSize.y : 0);
+
+    if (frame.rotated && frame.counterClockwise) {
+        return { x: frame.x + v, y: frame.y + frame.h - u };
+    }
+    if (frame.rotated) {
+        return { x: frame.x + frame.w - v, y: frame.y + u };
+    }
+    return { x: frame.x + u, y: frame.y + v };
+}
+
+/**
+ * Builds the pivot for a point in the atlas, snapped to half sprite pixels
+ * @param {PackedFrame} frame
+ * @param {number} x - Point in atlas pixels
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function pivotFromAtlasPoint(frame, x, y) {
+    const point = atlasToSourcePoint(frame, x, y);
+    const size = getFrameSourceSize(frame);
+    const toFraction = (value, length) => Math.round(Math.round(value * 2) / 2 / length * 10000) / 10000;
+
+    return { x: toFraction(point.x, size.w), y: toFraction(point.y, size.h) };
+}
+
+/**
+ * Finds the part of a frame at a point: an edge or corner to resize by, or its inside to move it by
+ * @param {Rect} frame
+ * @param {number} x - Point in atlas pixels
+ * @param {number} y
+ * @param {number} tolerance - How far from an edge still counts as the edge (atlas pixels)
+ * @returns {FrameHandle|null}
+ */
+export function getFrameHandle(frame, x, y, tolerance) {
+    const left = frame.x;
+    const top = frame.y;
+    const right = frame.x + frame.w;
+    const bottom = frame.y + frame.h;
+
+    if (x < left - tolerance || x > right + tolerance || y < top - tolerance || y > bottom + tolerance) {
+        return null;
+    }
+
+    const vertical = Math.abs(y - top) <= tolerance ? 'n' : Math.abs(y - bottom) <= tolerance ? 's' : '';
+    const horizontal = Math.abs(x - left) <= tolerance ? 'w' : Math.abs(x - right) <= tolerance ? 'e' : '';
+    const handle = vertical + horizontal;
+
+    if (handle) return /** @type {FrameHandle} */ (handle);
+    return x >= left && x < right && y >= top && y < bottom ? 'move' : null;
+}
+
+/**
+ * Moves a frame or drags one of its edges. The dragged edge can't cross the opposite one,
+ * so frames keep at least 1×1 pixels.
+ *
+ * @param {Rect} rect - Frame before the drag
+ * @param {FrameHandle} handle - What is dragged
+ * @param {number} dx - Drag distance in atlas pixels
+ * @param {number} dy
+ * @returns {Rect}
+ */
+export function dragFrameRect(rect, handle, dx, dy) {
+    dx = Math.round(dx);
+    dy = Math.round(dy);
+
+    if (handle === 'move') {
+        return { x: rect.x + dx, y: rect.y + dy, w: rect.w, h: rect.h };
+    }
+
+    let left = rect.x;
+    let top = rect.y;
+    let right = rect.x + rect.w;
+    let bottom = rect.y + rect.h;
+
+    if (handle.includes('w')) left = Math.min(left + dx, right - 1);
+    if (handle.includes('e')) right = Math.max(right + dx, left + 1);
+    if (handle.includes('n')) top = Math.min(top + dy, bottom - 1);
+    if (handle.includes('s')) bottom = Math.max(bottom + dy, top + 1);
+
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+/**
+ * Builds the whole-pixel rectangle spanned by two points
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {Rect}
+ */
+export function rectFromPoints(x0, y0, x1, y1) {
+    const left = Math.floor(Math.min(x0, x1));
+    const top = Math.floor(Math.min(y0, y1));
+    const right = Math.max(Math.ceil(Math.max(x0, x1)), left + 1);
+    const bottom = Math.max(Math.ceil(Math.max(y0, y1)), top + 1);
+    return { x: left, y: top, w: right - left, h: bottom - top };
+}
+
+/**
+ * Picks a frame name that isn't taken yet: base_1, base_2, ...
+ * @param {string[]} names - Existing frame names
+ * @param {string} [base='frame']
+ * @returns {string}
+ */
+export function createUniqueFrameName(names, base = 'frame') {
+    const taken = new Set(names);
+    let index = 1;
+    while (taken.has(`${base}_${index}`)) index++;
+    return `${base}_${index}`;
+}
+
+/**
+ * Moves or resizes a frame. Aliases of the frame follow it; an edited alias
+ * gets its own area and stops being an alias. Trimmed frames keep their offset,
+ * with the source size grown if the new size no longer fits in it. 9-slice
+ * borders shrink when the sprite becomes too small for them.
+ *
+ * @param {AtlasMetadata} metadata
+ * @param {string} name - Frame to change
+ * @param {Rect} rect - New position and size in the atlas
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function updateFrameRect(metadata, name, rect) {
+    if (!metadata.frames.some(frame => frame.name === name)) {
+        return { success: false, error: `No frame named "${name}".` };
+    }
+    if (!(rect.w >= 1 && rect.h >= 1)) {
+        return { success: false, error: `Frame "${name}" must be at least 1×1 pixels.` };
+    }
+
+    const frames = metadata.frames.map(frame => {
+        if (frame.name !== name && frame.aliasOf !== name) return frame;
+
+        const updated = { ...frame, x: rect.x, y: rect.y, w: rect.w, h: rect.h };
+        if (frame.name === name) {
+            delete updated.aliasOf;
+        }
+
+        if (frame.spriteSourceSize) {
+            // The trim offset stays; the kept area takes the new upright size
+            const uprightW = frame.rotated ? rect.h : rect.w;
+            const uprightH = frame.rotated ? rect.w : rect.h;
+            const { x, y } = frame.spriteSourceSize;
+            updated.spriteSourceSize = { x, y, w: uprightW, h: uprightH };
+            if (frame.sourceSize) {
+                updated.sourceSize = {
+                    w: Math.max(frame.sourceSize.w, x + uprightW),
+                    h: Math.max(frame.sourceSize.h, y + uprightH)
+                };
+            }
+        }
+
+        if (frame.nineSlice) {
+            updated.nineSlice = fitNineSlice(frame.nineSlice, getFrameSourceSize(updated));
+        }
+
+        return updated;
+    });
+
+    return { success: true, result: { ...metadata, frames } };
+}
+
+/**
+ * Sets or removes the pivot and 9-slice borders of one or more frames.
+ * Aliases keep their own values.
+ *
+ * @param {AtlasMetadata} metadata
+ * @param {string[]} names - Frames to change
+ * @param {FrameProperties} properties
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function setFrameProperties(metadata, names, properties) {
+    const targets = new Set(names);
+    const missing = names.find(name => !metadata.frames.some(frame => frame.name === name));
+    if (missing !== undefined) {
+        return { success: false, error: `No frame named "${missing}".` };
+    }
+    if (properties.pivot && getPivotError(properties.pivot)) {
+        return { success: false, error: 'Pivot x and y must be numbers.' };
+    }
+
+    const frames = [];
+    for (const frame of metadata.frames) {
+        if (!targets.has(frame.name)) {
+            frames.push(frame);
+            continue;
+        }
+
+        const updated = { ...frame };
+
+        if (properties.pivot === null) {
+            delete updated.pivot;
+        } else if (properties.pivot) {
+            updated.pivot = { x: properties.pivot.x, y: properties.pivot.y };
+        }
+
+        if (properties.nineSlice === null) {
+            delete updated.nineSlice;
+        } else if (properties.nineSlice) {
+            const error = getNineSliceError(properties.nineSlice, getFrameSourceSize(frame));
+            if (error) {
+                return { success: false, error: `Frame "${frame.name}" ${error}.` };
+            }
+            const { left, top, right, bottom } = properties.nineSlice;
+            updated.nineSlice = { left, top, right, bottom };
+        }
+
+        frames.push(updated);
+    }
+
+    return { success: true, result: { ...metadata, frames } };
+}
+
+/**
+ * Resizes 9-slice borders for the sprite drawn at another scale, shrinking them where
+ * rounding would make opposite borders overlap
+ * @param {NineSlice} nineSlice
+ * @param {number} scale - Size factor
+ * @param {{ w: number, h: number }} size - Untrimmed, upright sprite size at the new scale
+ * @returns {NineSlice}
+ */
+export function scaleNineSlice(nineSlice, scale, size) {
+    return fitNineSlice({
+        left: Math.round(nineSlice.left * scale),
+        top: Math.round(nineSlice.top * scale),
+        right: Math.round(nineSlice.right * scale),
+        bottom: Math.round(nineSlice.bottom * scale)
+    }, size);
+}
+
+/**
+ * Copies every frame's pivot and 9-slice borders onto the same-named frames of another
+ * scale variant of the atlas, resizing the borders by the ratio of their `meta.scale`
+ * @param {AtlasMetadata} fromMetadata - Metadata holding the values
+ * @param {AtlasMetadata} toMetadata - Metadata to update
+ * @returns {AtlasMetadata}
+ */
+export function copyFrameProperties(fromMetadata, toMetadata) {
+    const ratio = (toMetadata.meta.scale || 1) / (fromMetadata.meta.scale || 1);
+    const sources = new Map(fromMetadata.frames.map(frame => [frame.name, frame]));
+
+    const frames = toMetadata.frames.map(frame => {
+        const source = sources.get(frame.name);
+        const updated = { ...frame };
+        delete updated.pivot;
+        delete updated.nineSlice;
+
+        if (source && source.pivot) {
+            updated.pivot = { ...source.pivot };
+        }
+        if (source && source.nineSlice) {
+            updated.nineSlice = scaleNineSlice(source.nineSlice, ratio, getFrameSourceSize(frame));
+        }
+        return updated;
+    });
+
+    return { ...toMetadata, frames };
+}
+
+/**
+ * Records the pivots and 9-slice borders of edited frames for `PackerOptions.frameProperties`,
+ * which holds them at source scale. Borders set on a scale variant are scaled back by its
+ * `meta.scale`. Borders an edit left as they were keep their recorded value, so editing only
+ * the pivot or generating again doesn't add rounding errors.
+ *
+ * @param {Object<string, FrameProperties>} recorded - Values recorded so far, by frame name
+ * @param {AtlasMetadata} before - Metadata the edit was made on
+ * @param {AtlasMetadata} after - Metadata after the edit
+ * @param {string[]} names - Edited frames
+ * @param {Map<string, { w: number, h: number }>} [sourceSizes] - Untrimmed source sprite sizes by frame
+ *   name; frames without one are estimated from the frame
+ * @returns {Object<string, FrameProperties>} Updated copy of `recorded`
+ */
+export function recordFrameProperties(recorded, before, after, names, sourceSizes = new Map()) {
+    const scale = after.meta.scale || 1;
+    const previous = new Map(before.frames.map(frame => [frame.name, frame]));
+    const result = { ...recorded };
+
+    for (const frame of after.frames.filter(candidate => names.includes(candidate.name))) {
+        const kept = recorded[frame.name];
+        const old = previous.get(frame.name);
+        delete result[frame.name];
+
+        let nineSlice = null;
+        if (frame.nineSlice && kept && kept.nineSlice && old && sameNineSlice(old.nineSlice, frame.nineSlice)) {
+            nineSlice = kept.nineSlice;
+        } else if (frame.nineSlice) {
+            const size = getFrameSourceSize(frame);
+            const sourceSize = sourceSizes.get(frame.name) ||
+                { w: Math.max(1, Math.round(size.w / scale)), h: Math.max(1, Math.round(size.h / scale)) };
+            nineSlice = scaleNineSlice(frame.nineSlice, 1 / scale, sourceSize);
+        }
+
+        if (frame.pivot || nineSlice) {
+            result[frame.name] = { pivot: frame.pivot || null, nineSlice };
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Adds an untrimmed, unrotated frame
+ * @param {AtlasMetadata} metadata
+ * @param {string} name - Frame name; must not be taken
+ * @param {Rect} rect - Position and size in the atlas
+ * @param {number} [page=0] - Page index
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function addFrame(metadata, name, rect, page = 0) {
+    if (!name) {
+        return { success: false, error: 'Frame name must not be empty.' };
+    }
+    if (metadata.frames.some(frame => frame.name === name)) {
+        return { success: false, error: `A frame named "${name}" already exists.` };
+    }
+    if (!(rect.w >= 1 && rect.h >= 1)) {
+        return { success: false, error: `Frame "${name}" must be at least 1×1 pixels.` };
+    }
+
+    const frame = { name, x: rect.x, y: rect.y, w: rect.w, h: rect.h, page };
+    return { success: true, result: { ...metadata, frames: [...metadata.frames, frame] } };
+}
+
+/**
+ * Removes a frame. Its aliases keep the area as frames of their own, and
+ * animations drop the frame (and are dropped when left empty).
+ *
+ * @param {AtlasMetadata} metadata
+ * @param {string} name - Frame to remove
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function removeFrame(metadata, name) {
+    if (!metadata.frames.some(frame => frame.name === name)) {
+        return { success: false, error: `No frame named "${name}".` };
+    }
+
+    const frames = metadata.frames
+        .filter(frame => frame.name !== name)
+        .map(frame => {
+            if (frame.aliasOf !== name) return frame;
+            const detached = { ...frame };
+            delete detached.aliasOf;
+            return detached;
+        });
+
+    return { success: true, result: withAnimations({ ...metadata, frames }, metadata.animations) };
+}
+
+/**
+ * Renames a frame, updating the aliases and animations that refer to it
+ * @param {AtlasMetadata} metadata
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function renameFrame(metadata, oldName, newName) {
+    if (!metadata.frames.some(frame => frame.name === oldName)) {
+        return { success: false, error: `No frame named "${oldName}".` };
+    }
+    if (!newName) {
+        return { success: false, error: 'Frame name must not be empty.' };
+    }
+    if (newName !== oldName && metadata.frames.some(frame => frame.name === newName)) {
+        return { success: false, error: `A frame named "${newName}" already exists.` };
+    }
+
+    const frames = metadata.frames.map(frame => {
+        if (frame.name === oldName) return { ...frame, name: newName };
+        if (frame.aliasOf === oldName) return { ...frame, aliasOf: newName };
+        return frame;
+    });
+
+    const animations = metadata.animations
+        ? Object.fromEntries(Object.entries(metadata.animations).map(([group, animation]) => [
+            group,
+            { ...animation, frames: animation.frames.map(frame => (frame === oldName ? newName : frame)) }
+        ]))
+        : undefined;
+
+    return { success: true, result: withAnimations({ ...metadata, frames }, animations) };
+}
+
+/**
+ * Shrinks 9-slice borders that no longer fit the sprite, keeping the left and top ones where possible
+ * @param {NineSlice} nineSlice
+ * @param {{ w: number, h: number }} size - Untrimmed, upright sprite size
+ * @returns {NineSlice}
+ */
+function fitNineSlice(nineSlice, size) {
+    const left = Math.min(nineSlice.left, size.w);
+    const top = Math.min(nineSlice.top, size.h);
+    return {
+        left,
+        top,
+        right: Math.min(nineSlice.right, size.w - left),
+        bottom: Math.min(nineSlice.bottom, size.h - top)
+    };
+}
+
+/**
+ * Checks whether two sets of 9-slice borders are equal
+ * @param {NineSlice|undefined} a
+ * @param {NineSlice|undefined} b
+ * @returns {boolean}
+ */
+function sameNineSlice(a, b) {
+    return !!a && !!b && a.left === b.left && a.top === b.top && a.right === b.right && a.bottom === b.bottom;
+}
+
+/**
+ * Sets the animations that still have frames, or removes the field when none do
+ * @param {AtlasMetadata} metadata
+ * @param {import('./animationGrouper.js').AnimationMap} [animations]
+ * @returns {AtlasMetadata}
+ */
+function withAnimations(metadata, animations) {
+    const result = { ...metadata };
+    delete result.animations;
+
+    if (animations) {
+        const resolved = resolveAnimations(animations, metadata.frames.map(frame => frame.name));
+        if (Object.keys(resolved).length > 0) {
+            result.animations = resolved;
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,192 @@
+/**
+ * Grid slicing - builds atlas metadata for uniform spritesheets
+ * @module core/gridSlicer
+ */
+
+import { getImagePixels } from '../utils/imageUtils.js';
+
+/**
+ * @typedef {import('./imageLoader.js').AtlasMetadata} AtlasMetadata
+ * @typedef {import('./imageLoader.js').PackedFrame} PackedFrame
+ */
+
+/**
+ * @typedef {Object} GridSliceOptions
+ * @property {'size'|'count'} mode - Define cells by pixel size or by row/column count
+ * @property {number} [cellWidth] - Cell width in pixels ('size' mode)
+ * @property {number} [cellHeight] - Cell height in pixels ('size' mode)
+ * @property {number} [columns] - Number of columns ('count' mode)
+ * @property {number} [rows] - Number of rows ('count' mode)
+ * @property {number} [margin=0] - Border around the whole grid (px)
+ * @property {number} [spacing=0] - Gap between neighbouring cells (px)
+ * @property {string} [nameTemplate='{base}_{row}_{col}'] - Frame name; supports {base}, {row}, {col} and {index}
+ * @property {string} [imageName='atlas.png'] - Sheet filename, used for {base} and meta.pages
+ * @property {boolean} [skipEmpty=false] - Leave out fully transparent cells
+ */
+
+/**
+ * Default slicing options
+ */
+const DEFAULT_OPTIONS = {
+    margin: 0,
+    spacing: 0,
+    nameTemplate: '{base}_{row}_{col}',
+    imageName: 'atlas.png',
+    skipEmpty: false
+};
+
+/**
+ * Gets the available ways to define the grid
+ * @returns {{ id: string, name: string, description: string }[]}
+ */
+export function getGridSliceModes() {
+    return [
+        {
+            id: 'size',
+            name: 'Cell Size',
+            description: 'Fixed cell width and height; as many cells as fit'
+        },
+        {
+            id: 'count',
+            name: 'Rows & Columns',
+            description: 'Fixed number of cells; cell size is derived from the image'
+        }
+    ];
+}
+
+/**
+ * Checks that a value is a whole number of at least `min`
+ * @param {any} value
+ * @param {number} min
+ * @returns {boolean}
+ */
+function isWholeNumber(value, min) {
+    return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Fills in a frame name template
+ * @param {string} template
+ * @param {Object<string, string|number>} values
+ * @returns {string}
+ */
+function formatName(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Checks whether a cell contains any non-transparent pixel
+ * @param {ImageData} imageData
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ * @returns {boolean}
+ */
+function isCellEmpty(imageData, x, y, w, h) {
+    const { data, width } = imageData;
+    for (let row = y; row < y + h; row++) {
+        for (let col = x; col < x + w; col++) {
+            if (data[(row * width + col) * 4 + 3] > 0) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Slices an image into a uniform grid and describes the cells as atlas metadata,
+ * ready for unpackAtlas. Cells are numbered row by row from the top-left.
+ *
+ * @param {import('../utils/raster.js').Raster|CanvasImageSource} image - Spritesheet to slice
+ * @param {GridSliceOptions} options - Grid definition
+ * @returns {{ success: boolean, result?: AtlasMetadata, error?: string }}
+ */
+export function sliceGrid(image, options) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const imageWidth = image.naturalWidth || image.width;
+    const imageHeight = image.naturalHeight || image.height;
+    const { margin, spacing } = opts;
+
+    if (!isWholeNumber(margin, 0) || !isWholeNumber(spacing, 0)) {
+        return { success: false, error: 'Grid margin and spacing must be whole numbers of 0 or more.' };
+    }
+
+    const innerWidth = imageWidth - margin * 2;
+    const innerHeight = imageHeight - margin * 2;
+    let cellWidth;
+    let cellHeight;
+    let columns;
+    let rows;
+
+    if (opts.mode === 'size') {
+        if (!isWholeNumber(opts.cellWidth, 1) || !isWholeNumber(opts.cellHeight, 1)) {
+            return { success: false, error: 'Grid cell width and height must be whole numbers of 1 or more.' };
+        }
+        cellWidth = opts.cellWidth;
+        cellHeight = opts.cellHeight;
+        // n cells take n * cell + (n - 1) * spacing pixels
+        columns = Math.floor((innerWidth + spacing) / (cellWidth + spacing));
+        rows = Math.floor((innerHeight + spacing) / (cellHeight + spacing));
+    } else if (opts.mode === 'count') {
+        if (!isWholeNumber(opts.columns, 1) || !isWholeNumber(opts.rows, 1)) {
+            return { success: false, error: 'Grid rows and columns must be whole numbers of 1 or more.' };
+        }
+        columns = opts.columns;
+        rows = opts.rows;
+        cellWidth = Math.floor((innerWidth - (columns - 1) * spacing) / columns);
+        cellHeight = Math.floor((innerHeight - (rows - 1) * spacing) / rows);
+    } else {
+        return { success: false, error: `Unknown grid slice mode "${opts.mode}".` };
+    }
+
+    if (columns < 1 || rows < 1 || cellWidth < 1 || cellHeight < 1) {
+        return {
+            success: false,
+            error: `The grid doesn't fit in the image (${imageWidth}×${imageHeight}). Check the cell size, margin and spacing.`
+        };
+    }
+
+    const base = opts.imageName.replace(/\.[^/.]+$/, '');
+    const imageData = opts.skipEmpty ? getImagePixels(image) : null;
+    const frames = [];
+    const names = new Set();
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            const x = margin + col * (cellWidth + spacing);
+            const y = margin + row * (cellHeight + spacing);
+
+            if (imageData && isCellEmpty(imageData, x, y, cellWidth, cellHeight)) {
+                continue;
+            }
+
+            const name = formatName(opts.nameTemplate, { base, row, col, index: row * columns + col });
+            if (names.has(name)) {
+                return {
+                    success: false,
+                    error: `Name template "${opts.nameTemplate}" gives several cells the name "${name}". Include {row} and {col} or {index}.`
+                };
+            }
+            names.add(name);
+
+            frames.push({ name, x, y, w: cellWidth, h: cellHeight });
+        }
+    }
+
+    const size = { w: imageWidth, h: imageHeight };
+
+    return {
+        success: true,
+        result: {
+            frames,
+            meta: {
+                app: 'SpriteAtlasTool',
+                version: '1.0',
+                size,
+                pages: [{ image: opts.imageName, size }]
+            }
+        }
+    };
+}
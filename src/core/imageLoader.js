@@ -3,14 +3,19 @@
  * @module core/imageLoader
  */
 
-import { loadImageFromBlob } from '../utils/imageUtils.js';
+import { loadImagePixels } from '../utils/imageUtils.js';
+import { importMetadata, mergeMetadata } from './metadataImporters.js';
+import { getLoopModes } from './animationGrouper.js';
+import { getFrameSourceSize, getPivotError, getNineSliceError } from './frameEditor.js';
 
 /**
  * @typedef {Object} SpriteInput
- * @property {string} name - Sprite name (filename without extension)
- * @property {HTMLImageElement} image - Loaded image element
+ * @property {string} name - Sprite name (filename or relative path without extension)
+ * @property {import('../utils/raster.js').Raster|CanvasImageSource} image - Decoded pixels
+ *   (a loaded image or canvas is also accepted and read through a canvas)
  * @property {number} width - Image width in pixels
  * @property {number} height - Image height in pixels
+ * @property {import('./spriteTrimmer.js').SpriteTrim} [trim] - Kept area, set once the sprite has been trimmed
  */
 
 /**
@@ -18,8 +23,34 @@ import { loadImageFromBlob } from '../utils/imageUtils.js';
  * @property {string} name - Sprite name
  * @property {number} x - X position in atlas
  * @property {number} y - Y position in atlas
- * @property {number} w - Width in pixels
- * @property {number} h - Height in pixels
+ * @property {number} w - Width in pixels, as stored in the atlas
+ * @property {number} h - Height in pixels, as stored in the atlas
+ * @property {boolean} [rotated] - Sprite is stored rotated 90° clockwise (w and h are swapped)
+ * @property {boolean} [counterClockwise] - Rotated sprite is stored counter-clockwise instead (libGDX imports)
+ * @property {number} [page] - Index of the atlas page holding the frame (default: 0)
+ * @property {boolean} [trimmed] - Whether transparent borders were removed
+ * @property {{ w: number, h: number }} [sourceSize] - Original sprite size before trimming
+ * @property {{ x: number, y: number, w: number, h: number }} [spriteSourceSize] - Kept area within the original sprite
+ * @property {string} [aliasOf] - Name of the pixel-identical frame whose atlas area this frame shares
+ * @property {{ x: number, y: number }} [pivot] - Origin point as a fraction of the untrimmed, upright
+ *   sprite size: 0, 0 is its top-left corner, 0.5, 0.5 its center
+ * @property {NineSlice} [nineSlice] - 9-slice borders of the untrimmed, upright sprite
+ */
+
+/**
+ * @typedef {Object} NineSlice
+ * @property {number} left - Width of the left column in pixels
+ * @property {number} top - Height of the top row in pixels
+ * @property {number} right - Width of the right column in pixels
+ * @property {number} bottom - Height of the bottom row in pixels
+ */
+
+/**
+ * @typedef {Object} AtlasPage
+ * @property {string} image - Page image filename
+ * @property {Object} size - Page dimensions
+ * @property {number} size.w - Page width
+ * @property {number} size.h - Page height
  */
 
 /**
@@ -31,43 +62,93 @@ import { loadImageFromBlob } from '../utils/imageUtils.js';
  * @property {Object} meta.size - Atlas dimensions
  * @property {number} meta.size.w - Atlas width
  * @property {number} meta.size.h - Atlas height
+ * @property {AtlasPage[]} [meta.pages] - Atlas pages, indexed by frame.page
+ * @property {boolean} [meta.premultipliedAlpha] - Whether the page colours are multiplied by alpha
+ * @property {import('./animationGrouper.js').AnimationMap} [animations] - Animation groups by name
+ */
+
+/**
+ * @typedef {Object} PathFile
+ * @property {Blob} file - File contents (with an image MIME type)
+ * @property {string} path - Relative path such as "hero/walk_0.png", used for the sprite name
+ */
+
+/**
+ * @typedef {Object} LoadImagesOptions
+ * @property {function(string): void} [onError] - Reports a file that failed to load and continues;
+ *   without it the first failure rejects the whole load
  */
 
 /**
  * Loads multiple images from a FileList
- * @param {FileList|File[]} fileList - Files to load
+ * @param {FileList|Array<File|PathFile>} fileList - Files to load
+ * @param {LoadImagesOptions} [options={}]
  * @returns {Promise<SpriteInput[]>} Array of loaded sprite inputs
  */
-export async function loadImagesFromFiles(fileList) {
+export async function loadImagesFromFiles(fileList, options = {}) {
+    const { onError } = options;
     const files = Array.from(fileList);
     const sprites = [];
 
-    for (const file of files) {
+    for (const entry of files) {
+        const file = entry instanceof Blob ? entry : entry.file;
+        const path = entry instanceof Blob ? entry.name : entry.path;
+
         // Skip non-image files
         if (!file.type.startsWith('image/')) {
-            console.warn(`Skipping non-image file: ${file.name}`);
+            console.warn(`Skipping non-image file: ${path}`);
             continue;
         }
 
         try {
-            const image = await loadImageFromBlob(file);
-            const name = file.name.replace(/\.[^/.]+$/, ''); // Remove extension
+            const image = await loadImagePixels(file);
+            const name = path.replace(/\.[^/.]+$/, ''); // Remove extension
 
             sprites.push({
                 name,
                 image,
-                width: image.naturalWidth,
-                height: image.naturalHeight
+                width: image.width,
+                height: image.height
             });
         } catch (error) {
-            console.error(`Failed to load image: ${file.name}`, error);
-            throw new Error(`Failed to load image: ${file.name}`);
+            console.error(`Failed to load image: ${path}`, error);
+            if (onError) {
+                onError(`Failed to load image: ${path}`);
+                continue;
+            }
+            throw new Error(`Failed to load image: ${path}`);
         }
     }
 
     return sprites;
 }
 
+/**
+ * Removes the folder path shared by every sprite name, so sprites dropped as
+ * "assets/chars/hero/run/01" and "assets/chars/ui/button" become "hero/run/01" and "ui/button".
+ * Only whole folder names are removed; the file names themselves are always kept.
+ *
+ * @param {SpriteInput[]} sprites
+ * @returns {SpriteInput[]} Sprites with shortened names (new objects; the input is unchanged)
+ */
+export function stripCommonPathPrefix(sprites) {
+    if (sprites.length === 0) return sprites;
+
+    const folderLists = sprites.map(sprite => sprite.name.split('/').slice(0, -1));
+    let depth = 0;
+
+    while (folderLists.every(folders => depth < folders.length && folders[depth] === folderLists[0][depth])) {
+        depth++;
+    }
+
+    if (depth === 0) return sprites;
+
+    return sprites.map(sprite => ({
+        ...sprite,
+        name: sprite.name.split('/').slice(depth).join('/')
+    }));
+}
+
 /**
  * Validates the atlas metadata format
  * @param {any} metadata - Metadata to validate
@@ -97,40 +178,162 @@ export function validateMetadata(metadata) {
         if (typeof frame.w !== 'number' || typeof frame.h !== 'number') {
             return { valid: false, error: `Frame "${frame.name}" missing dimensions (w, h)` };
         }
+        if (frame.page !== undefined && (!Number.isInteger(frame.page) || frame.page < 0)) {
+            return { valid: false, error: `Frame "${frame.name}" has invalid page index` };
+        }
+        if (frame.rotated !== undefined && typeof frame.rotated !== 'boolean') {
+            return { valid: false, error: `Frame "${frame.name}" has non-boolean "rotated"` };
+        }
+        if (frame.counterClockwise !== undefined && typeof frame.counterClockwise !== 'boolean') {
+            return { valid: false, error: `Frame "${frame.name}" has non-boolean "counterClockwise"` };
+        }
+        if (frame.trimmed !== undefined && typeof frame.trimmed !== 'boolean') {
+            return { valid: false, error: `Frame "${frame.name}" has non-boolean "trimmed"` };
+        }
+        if (frame.trimmed && (!frame.sourceSize || !frame.spriteSourceSize)) {
+            return { valid: false, error: `Trimmed frame "${frame.name}" missing "sourceSize" or "spriteSourceSize"` };
+        }
+        if (frame.sourceSize !== undefined && !isSize(frame.sourceSize)) {
+            return { valid: false, error: `Frame "${frame.name}" has invalid "sourceSize" (w, h)` };
+        }
+        if (frame.spriteSourceSize !== undefined &&
+            (!isSize(frame.spriteSourceSize) ||
+             typeof frame.spriteSourceSize.x !== 'number' || typeof frame.spriteSourceSize.y !== 'number')) {
+            return { valid: false, error: `Frame "${frame.name}" has invalid "spriteSourceSize" (x, y, w, h)` };
+        }
+        const propertyError = (frame.pivot !== undefined && getPivotError(frame.pivot)) ||
+            (frame.nineSlice !== undefined && getNineSliceError(frame.nineSlice, getFrameSourceSize(frame)));
+        if (propertyError) {
+            return { valid: false, error: `Frame "${frame.name}" ${propertyError}` };
+        }
+    }
+
+    const frameNames = new Set(metadata.frames.map(frame => frame.name));
+    for (const frame of metadata.frames) {
+        if (frame.aliasOf !== undefined && (typeof frame.aliasOf !== 'string' || !frameNames.has(frame.aliasOf))) {
+            return { valid: false, error: `Frame "${frame.name}" is an alias of unknown frame "${frame.aliasOf}"` };
+        }
+    }
+
+    if (metadata.animations !== undefined) {
+        const animationError = validateAnimations(metadata.animations, frameNames);
+        if (animationError) {
+            return { valid: false, error: animationError };
+        }
+    }
+
+    if (metadata.meta.pages !== undefined) {
+        if (!Array.isArray(metadata.meta.pages) || metadata.meta.pages.length === 0) {
+            return { valid: false, error: '"meta.pages" must be a non-empty array' };
+        }
+        for (let i = 0; i < metadata.meta.pages.length; i++) {
+            const page = metadata.meta.pages[i];
+            if (!page || typeof page.image !== 'string') {
+                return { valid: false, error: `Page ${i} missing "image"` };
+            }
+        }
+        for (const frame of metadata.frames) {
+            if ((frame.page || 0) >= metadata.meta.pages.length) {
+                return { valid: false, error: `Frame "${frame.name}" refers to missing page ${frame.page}` };
+            }
+        }
     }
 
     return { valid: true };
 }
 
 /**
- * Parses JSON metadata from a File
- * @param {File} file - JSON file to parse
- * @returns {Promise<AtlasMetadata>} Parsed metadata
+ * Validates the animation groups of atlas metadata
+ * @param {any} animations
+ * @param {Set<string>} frameNames - Names of the atlas frames
+ * @returns {string|null} Error message, or null when valid
  */
-export async function loadMetadataFromFile(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
+function validateAnimations(animations, frameNames) {
+    if (!animations || typeof animations !== 'object' || Array.isArray(animations)) {
+        return '"animations" must be an object';
+    }
 
-        reader.onload = (e) => {
-            try {
-                const metadata = JSON.parse(e.target.result);
-                const validation = validateMetadata(metadata);
+    const loopModes = getLoopModes().map(mode => mode.id);
 
-                if (!validation.valid) {
-                    reject(new Error(`Invalid metadata: ${validation.error}`));
-                    return;
-                }
+    for (const [name, group] of Object.entries(animations)) {
+        if (!group || !Array.isArray(group.frames) || group.frames.length === 0) {
+            return `Animation "${name}" must have a non-empty "frames" array`;
+        }
+        const missing = group.frames.find(frame => !frameNames.has(frame));
+        if (missing !== undefined) {
+            return `Animation "${name}" refers to unknown frame "${missing}"`;
+        }
+        if (group.fps !== undefined && !(typeof group.fps === 'number' && group.fps > 0)) {
+            return `Animation "${name}" has invalid "fps"`;
+        }
+        if (group.loop !== undefined && !loopModes.includes(group.loop)) {
+            return `Animation "${name}" has invalid "loop" (expected ${loopModes.join(', ')})`;
+        }
+    }
 
-                resolve(metadata);
-            } catch (error) {
-                reject(new Error('Failed to parse JSON metadata'));
-            }
-        };
+    return null;
+}
 
-        reader.onerror = () => {
-            reject(new Error('Failed to read metadata file'));
-        };
+/**
+ * Checks for an object with numeric w and h
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isSize(value) {
+    return !!value && typeof value === 'object' && typeof value.w === 'number' && typeof value.h === 'number';
+}
 
+/**
+ * Reads a File as text
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error(`Failed to read metadata file "${file.name}"`));
         reader.readAsText(file);
     });
 }
+
+/**
+ * Parses atlas metadata from one or more files.
+ * Any supported format is accepted (see core/metadataImporters); several files
+ * (e.g. one TexturePacker JSON per page) are merged into one multi-page atlas.
+ *
+ * @param {File|File[]} files - Metadata file(s), in page order
+ * @returns {Promise<AtlasMetadata>} Parsed metadata
+ */
+export async function loadMetadataFromFile(files) {
+    const fileArray = Array.isArray(files) ? files : [files];
+    const parsed = [];
+
+    for (const file of fileArray) {
+        parsed.push(parseMetadata(await readFileAsText(file), file.name));
+    }
+
+    return mergeMetadata(parsed);
+}
+
+/**
+ * Parses and validates the text of one metadata file in any supported format
+ * @param {string} text - File contents
+ * @param {string} filename - Source filename, used for format detection and error messages
+ * @returns {AtlasMetadata}
+ * @throws {Error} If the format isn't recognized or the metadata is invalid
+ */
+export function parseMetadata(text, filename) {
+    const imported = importMetadata(text, filename);
+
+    if (!imported.success) {
+        throw new Error(imported.error);
+    }
+
+    const validation = validateMetadata(imported.result.metadata);
+    if (!validation.valid) {
+        throw new Error(`Invalid metadata in "${filename}": ${validation.error}`);
+    }
+
+    return imported.result.metadata;
+}
@@ -0,0 +1,597 @@
+/**
+ * Metadata importers - convert foreign atlas formats to AtlasMetadata
+ * @module core/metadataImporters
+ */
+
+import { parseXml, plistToValue } from '../utils/xmlParser.js';
+
+/**
+ * @typedef {import('./imageLoader.js').AtlasMetadata} AtlasMetadata
+ * @typedef {import('./imageLoader.js').AtlasPage} AtlasPage
+ * @typedef {import('./imageLoader.js').PackedFrame} PackedFrame
+ */
+
+/**
+ * @typedef {Object} MetadataImporter
+ * @property {string} id - Unique format id
+ * @property {string} name - Display name
+ * @property {string[]} extensions - File extensions this format uses (lowercase, with dot)
+ * @property {function(string, string): boolean} detect - Checks whether text (and filename) is in this format
+ * @property {function(string, string): AtlasMetadata} parse - Converts the text; throws on malformed input
+ */
+
+/**
+ * Registered importers, checked in registration order
+ * @type {MetadataImporter[]}
+ */
+const importers = [];
+
+/**
+ * Registers a metadata importer, replacing any importer with the same id
+ * @param {MetadataImporter} importer
+ */
+export function registerMetadataImporter(importer) {
+    const index = importers.findIndex(existing => existing.id === importer.id);
+    if (index >= 0) {
+        importers[index] = importer;
+    } else {
+        importers.push(importer);
+    }
+}
+
+/**
+ * Gets the list of registered import formats
+ * @returns {{ id: string, name: string, extensions: string[] }[]}
+ */
+export function getMetadataImporters() {
+    return importers.map(({ id, name, extensions }) => ({ id, name, extensions: [...extensions] }));
+}
+
+/**
+ * Gets every file extension an importer understands
+ * @returns {string[]} Lowercase extensions with leading dot
+ */
+export function getMetadataExtensions() {
+    return [...new Set(importers.flatMap(importer => importer.extensions))];
+}
+
+/**
+ * Detects the format of atlas metadata text and converts it to AtlasMetadata
+ * @param {string} text - File contents
+ * @param {string} [filename=''] - Source filename, used as a detection hint
+ * @returns {{ success: boolean, result?: { metadata: AtlasMetadata, format: string }, error?: string }}
+ */
+export function importMetadata(text, filename = '') {
+    const importer = importers.find(candidate => {
+        try {
+            return candidate.detect(text, filename);
+        } catch (error) {
+            return false;
+        }
+    });
+
+    if (!importer) {
+        return {
+            success: false,
+            error: `Unrecognized metadata format in "${filename || 'file'}".`
+        };
+    }
+
+    try {
+        return {
+            success: true,
+            result: {
+                metadata: importer.parse(text, filename),
+                format: importer.name
+            }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: `Failed to parse ${importer.name}: ${error.message}`
+        };
+    }
+}
+
+/**
+ * Merges metadata loaded from several files (e.g. one JSON per page) into one multi-page atlas
+ * @param {AtlasMetadata[]} list - Metadata objects, in page order
+ * @returns {AtlasMetadata}
+ */
+export function mergeMetadata(list) {
+    if (list.length === 1) return list[0];
+
+    const pages = [];
+    const frames = [];
+    const animations = {};
+
+    for (const metadata of list) {
+        Object.assign(animations, metadata.animations);
+
+        const ownPages = metadata.meta.pages || [{ image: 'atlas.png', size: metadata.meta.size }];
+        const pageOffset = pages.length;
+
+        pages.push(...ownPages);
+        for (const frame of metadata.frames) {
+            frames.push({ ...frame, page: (frame.page || 0) + pageOffset });
+        }
+    }
+
+    return buildMetadata(list[0].meta.app, pages, frames, animations);
+}
+
+/**
+ * Strips image extensions from imported frame names (TexturePacker keeps them)
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeFrameName(name) {
+    return String(name).replace(/\.(png|jpe?g|gif|webp|bmp|tga)$/i, '');
+}
+
+/**
+ * Extracts every number from a string such as "{{1,2},{3,4}}" or "2, 2"
+ * @param {string} text
+ * @returns {number[]}
+ */
+function parseNumbers(text) {
+    return (String(text).match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+}
+
+/**
+ * Creates a frame in this tool's conventions from upright sprite data
+ * @param {Object} source
+ * @param {string} source.name - Frame name
+ * @param {number} source.x - X position in the atlas
+ * @param {number} source.y - Y position in the atlas
+ * @param {number} source.width - Upright (unrotated) width in the atlas
+ * @param {number} source.height - Upright (unrotated) height in the atlas
+ * @param {number} [source.page=0] - Page index
+ * @param {boolean} [source.rotated=false] - Stored rotated 90°
+ * @param {boolean} [source.counterClockwise=false] - Rotation is counter-clockwise
+ * @param {number} [source.sourceW] - Untrimmed width
+ * @param {number} [source.sourceH] - Untrimmed height
+ * @param {number} [source.offsetX=0] - Left edge of the kept area in the untrimmed sprite
+ * @param {number} [source.offsetY=0] - Top edge of the kept area in the untrimmed sprite
+ * @param {{ x: number, y: number }} [source.pivot] - Pivot as a fraction of the untrimmed size, from the top-left
+ * @param {import('./imageLoader.js').NineSlice} [source.nineSlice] - 9-slice borders of the untrimmed sprite
+ * @returns {PackedFrame}
+ */
+function createFrame(source) {
+    const {
+        name, x, y, width, height, page = 0, rotated = false, counterClockwise = false,
+        sourceW = width, sourceH = height, offsetX = 0, offsetY = 0, pivot, nineSlice
+    } = source;
+
+    // Our frames describe the area as it sits in the atlas
+    const frame = {
+        name: normalizeFrameName(name),
+        x,
+        y,
+        w: rotated ? height : width,
+        h: rotated ? width : height,
+        page
+    };
+
+    if (rotated) {
+        frame.rotated = true;
+        if (counterClockwise) {
+            frame.counterClockwise = true;
+        }
+    }
+
+    if (sourceW !== width || sourceH !== height || offsetX !== 0 || offsetY !== 0) {
+        frame.trimmed = true;
+        frame.sourceSize = { w: sourceW, h: sourceH };
+        frame.spriteSourceSize = { x: offsetX, y: offsetY, w: width, h: height };
+    }
+
+    if (pivot) {
+        frame.pivot = { x: pivot.x, y: pivot.y };
+    }
+    if (nineSlice) {
+        const { left, top, right, bottom } = nineSlice;
+        frame.nineSlice = { left, top, right, bottom };
+    }
+
+    return frame;
+}
+
+/**
+ * Builds AtlasMetadata, filling in missing page sizes from the frame extents
+ * @param {string} app - Source application name
+ * @param {AtlasPage[]} pages
+ * @param {PackedFrame[]} frames
+ * @param {import('./animationGrouper.js').AnimationMap} [animations] - Animation groups, if the format has any
+ * @returns {AtlasMetadata}
+ */
+function buildMetadata(app, pages, frames, animations) {
+    const sizedPages = pages.map((page, pageIndex) => {
+        if (page.size && page.size.w > 0 && page.size.h > 0) {
+            return { image: page.image, size: { w: page.size.w, h: page.size.h } };
+        }
+
+        let w = 0;
+        let h = 0;
+        for (const frame of frames) {
+            if ((frame.page || 0) !== pageIndex) continue;
+            w = Math.max(w, frame.x + frame.w);
+            h = Math.max(h, frame.y + frame.h);
+        }
+        return { image: page.image, size: { w, h } };
+    });
+
+    const metadata = {
+        frames,
+        meta: {
+            app: app || 'SpriteAtlasTool',
+            version: '1.0',
+            size: sizedPages[0].size,
+            pages: sizedPages
+        }
+    };
+
+    if (animations && Object.keys(animations).length > 0) {
+        metadata.animations = animations;
+    }
+
+    return metadata;
+}
+
+/**
+ * Checks a filename's extension
+ * @param {string} filename
+ * @param {string} extension - Lowercase, with dot
+ * @returns {boolean}
+ */
+function hasExtension(filename, extension) {
+    return filename.toLowerCase().endsWith(extension);
+}
+
+/**
+ * Parses JSON text, returning null instead of throwing
+ * @param {string} text
+ * @returns {any}
+ */
+function tryParseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+registerMetadataImporter({
+    id: 'native',
+    name: 'Sprite Atlas Tool JSON',
+    extensions: ['.json'],
+    detect: (text) => {
+        const data = tryParseJson(text);
+        // Anything else with a frames array is left to validateMetadata to report on
+        return !!data && Array.isArray(data.frames) && !data.frames.some(frame => frame && frame.frame);
+    },
+    parse: (text) => JSON.parse(text)
+});
+
+/**
+ * Converts one TexturePacker frame entry
+ * @param {string} name
+ * @param {Object} data - TexturePacker frame data
+ * @param {number} page
+ * @returns {PackedFrame}
+ */
+function fromTexturePackerFrame(name, data, page) {
+    if (!data || !data.frame) {
+        throw new Error(`Frame "${name}" has no "frame" rectangle`);
+    }
+
+    const { x, y, w, h } = data.frame;
+    const spriteSourceSize = data.spriteSourceSize || { x: 0, y: 0 };
+    const sourceSize = data.sourceSize || { w, h };
+
+    // TexturePacker and Phaser call the pivot `pivot`, PixiJS calls it `anchor`
+    const pivot = data.pivot || data.anchor;
+    let nineSlice = data.borders;
+
+    if (!nineSlice && data.scale9Borders) {
+        // Phaser stores the center rectangle instead of the border widths
+        const center = data.scale9Borders;
+        nineSlice = {
+            left: center.x,
+            top: center.y,
+            right: sourceSize.w - center.x - center.w,
+            bottom: sourceSize.h - center.y - center.h
+        };
+    }
+
+    return createFrame({
+        name,
+        x,
+        y,
+        width: w,
+        height: h,
+        page,
+        rotated: !!data.rotated,
+        sourceW: sourceSize.w,
+        sourceH: sourceSize.h,
+        offsetX: spriteSourceSize.x,
+        offsetY: spriteSourceSize.y,
+        pivot,
+        nineSlice
+    });
+}
+
+/**
+ * Converts a TexturePacker `frames` value (hash or array) for one page
+ * @param {Object|Object[]} frames
+ * @param {number} page
+ * @returns {PackedFrame[]}
+ */
+function fromTexturePackerFrames(frames, page) {
+    if (Array.isArray(frames)) {
+        return frames.map(entry => fromTexturePackerFrame(entry.filename, entry, page));
+    }
+    return Object.keys(frames).map(name => fromTexturePackerFrame(name, frames[name], page));
+}
+
+/**
+ * Converts PixiJS spritesheet animations (name → frame names) to animation groups
+ * @param {Object<string, string[]>} [animations]
+ * @returns {import('./animationGrouper.js').AnimationMap|undefined}
+ */
+function fromPixiAnimations(animations) {
+    if (!animations || typeof animations !== 'object') return undefined;
+
+    const result = {};
+    for (const [name, frames] of Object.entries(animations)) {
+        if (Array.isArray(frames)) {
+            result[name] = { frames: frames.map(normalizeFrameName) };
+        }
+    }
+    return result;
+}
+
+registerMetadataImporter({
+    id: 'texturepacker-json',
+    name: 'TexturePacker JSON',
+    extensions: ['.json'],
+    detect: (text) => {
+        const data = tryParseJson(text);
+        if (!data || !data.frames || typeof data.frames !== 'object') return false;
+        const entries = Array.isArray(data.frames) ? data.frames : Object.values(data.frames);
+        return entries.length > 0 && entries.every(entry => entry && entry.frame);
+    },
+    parse: (text) => {
+        const data = JSON.parse(text);
+        const meta = data.meta || {};
+        const page = { image: meta.image || 'atlas.png', size: meta.size };
+        return buildMetadata(meta.app, [page], fromTexturePackerFrames(data.frames, 0), fromPixiAnimations(data.animations));
+    }
+});
+
+registerMetadataImporter({
+    id: 'phaser3-multiatlas',
+    name: 'Phaser 3 Multi-Atlas',
+    extensions: ['.json'],
+    detect: (text) => {
+        const data = tryParseJson(text);
+        return !!data && Array.isArray(data.textures);
+    },
+    parse: (text) => {
+        const data = JSON.parse(text);
+        const pages = [];
+        const frames = [];
+
+        data.textures.forEach((texture, pageIndex) => {
+            pages.push({ image: texture.image, size: texture.size });
+            frames.push(...fromTexturePackerFrames(texture.frames || [], pageIndex));
+        });
+
+        return buildMetadata(data.meta && data.meta.app, pages, frames);
+    }
+});
+
+registerMetadataImporter({
+    id: 'starling-xml',
+    name: 'Starling/Sparrow XML',
+    extensions: ['.xml'],
+    detect: (text) => /<TextureAtlas[\s>]/.test(text),
+    parse: (text) => {
+        const atlas = parseXml(text).children.find(element => element.tag === 'TextureAtlas');
+        if (!atlas) {
+            throw new Error('Missing <TextureAtlas> element');
+        }
+
+        const frames = atlas.children
+            .filter(element => element.tag === 'SubTexture')
+            .map(element => {
+                const attr = element.attributes;
+                const rotated = attr.rotated === 'true';
+                // Starling sizes describe the region in the atlas; swap back to upright
+                const regionW = Number(attr.width);
+                const regionH = Number(attr.height);
+                const width = rotated ? regionH : regionW;
+                const height = rotated ? regionW : regionH;
+                const sourceW = attr.frameWidth !== undefined ? Number(attr.frameWidth) : width;
+                const sourceH = attr.frameHeight !== undefined ? Number(attr.frameHeight) : height;
+
+                return createFrame({
+                    name: attr.name,
+                    x: Number(attr.x),
+                    y: Number(attr.y),
+                    width,
+                    height,
+                    rotated,
+                    sourceW,
+                    sourceH,
+                    // frameX/frameY are the negated offset of the kept area
+                    offsetX: attr.frameX !== undefined ? -Number(attr.frameX) : 0,
+                    offsetY: attr.frameY !== undefined ? -Number(attr.frameY) : 0,
+                    // Starling 2 pivots are in pixels of the untrimmed sprite
+                    pivot: attr.pivotX !== undefined || attr.pivotY !== undefined
+                        ? { x: Number(attr.pivotX || 0) / sourceW, y: Number(attr.pivotY || 0) / sourceH }
+                        : undefined
+                });
+            });
+
+        const image = atlas.attributes.imagePath || 'atlas.png';
+        return buildMetadata('Starling', [{ image }], frames);
+    }
+});
+
+registerMetadataImporter({
+    id: 'libgdx-atlas',
+    name: 'libGDX Atlas',
+    extensions: ['.atlas'],
+    detect: (text, filename) =>
+        hasExtension(filename, '.atlas') ||
+        /^\s*\S+\.(png|jpe?g)\s*\r?\n\s*(size|format|filter)\s*:/im.test(text),
+    parse: (text) => {
+        const pages = [];
+        const frames = [];
+        let region = null;
+        let expectPage = true;
+
+        const finishRegion = () => {
+            if (!region) return;
+
+            const bounds = region.bounds || [...(region.xy || [0, 0]), ...(region.size || [0, 0])];
+            const [x, y, width, height] = bounds;
+            const offsets = region.offsets ||
+                [...(region.offset || [0, 0]), ...(region.orig || [width, height])];
+            const [offsetX, offsetYFromBottom, sourceW, sourceH] = offsets;
+            const degrees = region.rotate === 'true' ? 90 : (parseNumbers(region.rotate)[0] || 0);
+            const index = region.index !== undefined ? parseNumbers(region.index)[0] : -1;
+            // Ninepatch splits are listed as left, right, top, bottom
+            const split = region.split;
+
+            frames.push(createFrame({
+                // Animation frames share a name and differ by index
+                name: index >= 0 ? `${region.name}_${index}` : region.name,
+                x,
+                y,
+                width,
+                height,
+                page: pages.length - 1,
+                rotated: degrees === 90 || degrees === 270,
+                // libGDX rotates regions 90° counter-clockwise
+                counterClockwise: degrees === 90,
+                sourceW,
+                sourceH,
+                offsetX,
+                // libGDX offsets are measured from the bottom edge
+                offsetY: sourceH - height - offsetYFromBottom,
+                nineSlice: split ? { left: split[0], right: split[1], top: split[2], bottom: split[3] } : undefined
+            }));
+            region = null;
+        };
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+
+            if (line === '') {
+                finishRegion();
+                expectPage = true;
+                continue;
+            }
+
+            const field = line.match(/^(\w+)\s*:\s*(.*)$/);
+
+            if (expectPage && !field) {
+                pages.push({ image: line });
+                expectPage = false;
+            } else if (field && region) {
+                const [, key, value] = field;
+                region[key] = ['xy', 'size', 'orig', 'offset', 'bounds', 'offsets', 'split'].includes(key)
+                    ? parseNumbers(value)
+                    : value;
+            } else if (field) {
+                // Page header field
+                if (field[1] === 'size' && pages.length > 0) {
+                    const [w, h] = parseNumbers(field[2]);
+                    pages[pages.length - 1].size = { w, h };
+                }
+            } else {
+                finishRegion();
+                region = { name: line };
+            }
+        }
+        finishRegion();
+
+        if (pages.length === 0) {
+            throw new Error('No atlas pages found');
+        }
+
+        return buildMetadata('libGDX', pages, frames);
+    }
+});
+
+/**
+ * Converts one Cocos2d frame dictionary (formats 0-3)
+ * @param {string} name
+ * @param {Object} data
+ * @returns {PackedFrame}
+ */
+function fromCocosFrame(name, data) {
+    let x, y, width, height, rotated, sourceW, sourceH, centerOffsetX, centerOffsetY, colorRect, pivot;
+
+    if (data.textureRect !== undefined) {
+        // Format 3
+        [x, y, width, height] = parseNumbers(data.textureRect);
+        [centerOffsetX, centerOffsetY] = parseNumbers(data.spriteOffset || '{0,0}');
+        [sourceW, sourceH] = parseNumbers(data.spriteSourceSize || `{${width},${height}}`);
+        rotated = !!data.textureRotated;
+        if (data.anchor !== undefined) {
+            // Cocos anchors are measured with y pointing up
+            const [anchorX, anchorY] = parseNumbers(data.anchor);
+            pivot = { x: anchorX, y: Math.round((1 - anchorY) * 10000) / 10000 };
+        }
+    } else if (data.frame !== undefined) {
+        // Formats 1 and 2
+        [x, y, width, height] = parseNumbers(data.frame);
+        [centerOffsetX, centerOffsetY] = parseNumbers(data.offset || '{0,0}');
+        [sourceW, sourceH] = parseNumbers(data.sourceSize || `{${width},${height}}`);
+        rotated = !!data.rotated;
+        colorRect = data.sourceColorRect && parseNumbers(data.sourceColorRect);
+    } else {
+        // Format 0
+        ({ x, y, width, height } = data);
+        centerOffsetX = data.offsetX || 0;
+        centerOffsetY = data.offsetY || 0;
+        sourceW = data.originalWidth || width;
+        sourceH = data.originalHeight || height;
+        rotated = false;
+    }
+
+    // Cocos offsets are measured between centers with y pointing up
+    const offsetX = colorRect ? colorRect[0] : Math.floor((sourceW - width) / 2 + centerOffsetX);
+    const offsetY = colorRect ? colorRect[1] : Math.floor((sourceH - height) / 2 - centerOffsetY);
+
+    return createFrame({ name, x, y, width, height, rotated, sourceW, sourceH, offsetX, offsetY, pivot });
+}
+
+registerMetadataImporter({
+    id: 'cocos2d-plist',
+    name: 'Cocos2d plist',
+    extensions: ['.plist'],
+    detect: (text) => /<plist[\s>]/.test(text),
+    parse: (text) => {
+        const plist = parseXml(text).children.find(element => element.tag === 'plist');
+        const rootElement = plist && plist.children[0];
+        if (!rootElement || rootElement.tag !== 'dict') {
+            throw new Error('Missing root <dict>');
+        }
+
+        const data = plistToValue(rootElement);
+        if (!data.frames || typeof data.frames !== 'object') {
+            throw new Error('Missing "frames" dictionary');
+        }
+
+        const info = data.metadata || data.texture || {};
+        const [w, h] = info.size ? parseNumbers(info.size) : [info.width, info.height];
+        const image = info.realTextureFileName || info.textureFileName || 'atlas.png';
+        const frames = Object.keys(data.frames).map(name => fromCocosFrame(name, data.frames[name]));
+
+        return buildMetadata('Cocos2d', [{ image, size: { w, h } }], frames);
+    }
+});
@@ -13,60 +13,111 @@
  * @property {number} padding - Padding between sprites in pixels
  * @property {number} maxWidth - Maximum atlas width
  * @property {number} maxHeight - Maximum atlas height
+ * @property {string} [heuristic] - MaxRects placement heuristic id (see getMaxRectsHeuristics)
+ * @property {string} [sortBy] - Sort strategy id (see getSortStrategies), defaults to the algorithm's own order
+ * @property {boolean} [allowOverflow] - Return sprites that don't fit as overflow instead of failing
+ * @property {boolean} [allowRotation] - Allow placing sprites rotated 90° clockwise
  */
 
 /**
  * @typedef {Object} PackingResult
- * @property {PackedFrame[]} frames - Positioned frames
+ * @property {PackedFrame[]} frames - Positioned frames (w and h are the rotated size for rotated frames)
  * @property {number} width - Required atlas width
  * @property {number} height - Required atlas height
  * @property {SpriteInput[]} sprites - Original sprites in packing order
+ * @property {SpriteInput[]} overflow - Sprites that didn't fit (only with allowOverflow)
  */
 
+/**
+ * @typedef {Object} BinPosition
+ * @property {number} x - X position in the bin
+ * @property {number} y - Y position in the bin
+ * @property {boolean} rotated - Whether the sprite is placed rotated 90° clockwise
+ */
+
+/**
+ * Sprite comparators keyed by sort strategy id.
+ * Ties are broken by name so every strategy gives deterministic output.
+ */
+const SORT_COMPARATORS = {
+    'name': (a, b) => a.name.localeCompare(b.name),
+    'height': (a, b) => b.height - a.height || a.name.localeCompare(b.name),
+    'width': (a, b) => b.width - a.width || a.name.localeCompare(b.name),
+    'area': (a, b) => b.width * b.height - a.width * a.height || a.name.localeCompare(b.name),
+    'perimeter': (a, b) => (b.width + b.height) - (a.width + a.height) || a.name.localeCompare(b.name),
+    'max-side': (a, b) =>
+        Math.max(b.width, b.height) - Math.max(a.width, a.height) || a.name.localeCompare(b.name),
+    'none': () => 0
+};
+
+/**
+ * Sorts sprites with the given strategy, leaving the input array untouched
+ * @param {SpriteInput[]} sprites - Sprites to sort
+ * @param {string} strategy - Sort strategy id (see getSortStrategies)
+ * @returns {SpriteInput[]|null} Sorted copy, or null for an unknown strategy
+ */
+export function sortSprites(sprites, strategy) {
+    const compare = SORT_COMPARATORS[strategy];
+    if (!compare) return null;
+
+    // Array.prototype.sort is stable, so 'none' keeps the loaded order
+    return [...sprites].sort(compare);
+}
+
 /**
  * Shelf packing algorithm - fills rows left-to-right, top-to-bottom
- * Simple and efficient for sprites of similar heights
+ * Simple and efficient for sprites of similar heights.
+ * With rotation allowed, tall sprites are laid on their side to keep rows low.
  * 
- * @param {SpriteInput[]} sprites - Sprites to pack (will be sorted alphabetically)
+ * @param {SpriteInput[]} sprites - Sprites to pack (sorted by name unless sortBy is given)
  * @param {PackingOptions} options - Packing options
  * @returns {{ success: boolean, result?: PackingResult, error?: string }}
- * 
- * TODO: Support alternative sorting strategies (by height, by area)
- * TODO: Implement binary tree packing for better space efficiency
- * TODO: Implement maxrects algorithm for optimal packing
  */
 export function shelfPack(sprites, options) {
-    const { padding, maxWidth, maxHeight } = options;
+    const { padding, maxWidth, maxHeight, sortBy = 'name', allowOverflow = false, allowRotation = false } = options;
 
     if (sprites.length === 0) {
         return {
             success: true,
-            result: { frames: [], width: 0, height: 0, sprites: [] }
+            result: { frames: [], width: 0, height: 0, sprites: [], overflow: [] }
         };
     }
 
-    // Sort alphabetically by name for deterministic output
-    const sortedSprites = [...sprites].sort((a, b) => a.name.localeCompare(b.name));
+    const sortedSprites = sortSprites(sprites, sortBy);
+    if (!sortedSprites) {
+        return {
+            success: false,
+            error: `Unknown sort strategy "${sortBy}".`
+        };
+    }
 
     const frames = [];
+    let overflow = [];
     let currentX = padding;
     let currentY = padding;
     let rowHeight = 0;
     let atlasWidth = 0;
     let atlasHeight = 0;
 
-    for (const sprite of sortedSprites) {
-        const spriteWidth = sprite.width + padding;
-        const spriteHeight = sprite.height + padding;
+    for (let i = 0; i < sortedSprites.length; i++) {
+        const sprite = sortedSprites[i];
+        const fitsUpright = fitsInBin(sprite.width, sprite.height, padding, maxWidth, maxHeight);
+        const fitsRotated = allowRotation && fitsInBin(sprite.height, sprite.width, padding, maxWidth, maxHeight);
 
         // Check if sprite fits in atlas at all
-        if (sprite.width + padding * 2 > maxWidth || sprite.height + padding * 2 > maxHeight) {
+        if (!fitsUpright && !fitsRotated) {
             return {
                 success: false,
                 error: `Sprite "${sprite.name}" (${sprite.width}x${sprite.height}) is too large for the atlas (max: ${maxWidth}x${maxHeight})`
             };
         }
 
+        const rotated = fitsRotated && (!fitsUpright || sprite.height > sprite.width);
+        const width = rotated ? sprite.height : sprite.width;
+        const height = rotated ? sprite.width : sprite.height;
+        const spriteWidth = width + padding;
+        const spriteHeight = height + padding;
+
         // Check if we need to start a new row
         if (currentX + spriteWidth > maxWidth) {
             currentX = padding;
@@ -76,6 +127,10 @@ export function shelfPack(sprites, options) {
 
         // Check if we've exceeded max height
         if (currentY + spriteHeight > maxHeight) {
+            if (allowOverflow) {
+                overflow = sortedSprites.slice(i);
+                break;
+            }
             return {
                 success: false,
                 error: `Atlas size (${maxWidth}x${maxHeight}) is too small to fit all sprites. Try increasing the max size.`
@@ -83,16 +138,20 @@ export function shelfPack(sprites, options) {
         }
 
         // Place the sprite
-        frames.push({
+        const frame = {
             name: sprite.name,
             x: currentX,
             y: currentY,
-            w: sprite.width,
-            h: sprite.height
-        });
+            w: width,
+            h: height
+        };
+        if (rotated) {
+            frame.rotated = true;
+        }
+        frames.push(frame);
 
         // Update tracking variables
-        atlasWidth = Math.max(atlasWidth, currentX + sprite.width + padding);
+        atlasWidth = Math.max(atlasWidth, currentX + width + padding);
         rowHeight = Math.max(rowHeight, spriteHeight);
         currentX += spriteWidth;
     }
@@ -105,25 +164,511 @@ export function shelfPack(sprites, options) {
             frames,
             width: atlasWidth,
             height: atlasHeight,
-            sprites: sortedSprites
+            sprites: sortedSprites.slice(0, frames.length),
+            overflow
         }
     };
 }
 
 /**
- * Gets the list of available packing algorithms
+ * Checks whether a rectangle fits into an empty bin with padding on every side
+ * @param {number} width
+ * @param {number} height
+ * @param {number} padding
+ * @param {number} maxWidth
+ * @param {number} maxHeight
+ * @returns {boolean}
+ */
+function fitsInBin(width, height, padding, maxWidth, maxHeight) {
+    return width + padding * 2 <= maxWidth && height + padding * 2 <= maxHeight;
+}
+
+/**
+ * Growth factor applied to a fixed-size bin each time the sprites don't fit
+ */
+const BIN_GROWTH = 1.1;
+
+/**
+ * MaxRects scoring functions, keyed by heuristic id.
+ * Each returns a [primary, secondary] score where lower is better.
+ */
+const MAXRECTS_SCORERS = {
+    'best-short-side': (free, x, y, w, h) => {
+        const leftoverX = free.w - w;
+        const leftoverY = free.h - h;
+        return [Math.min(leftoverX, leftoverY), Math.max(leftoverX, leftoverY)];
+    },
+    'best-long-side': (free, x, y, w, h) => {
+        const leftoverX = free.w - w;
+        const leftoverY = free.h - h;
+        return [Math.max(leftoverX, leftoverY), Math.min(leftoverX, leftoverY)];
+    },
+    'best-area': (free, x, y, w, h) => {
+        const leftoverX = free.w - w;
+        const leftoverY = free.h - h;
+        return [free.w * free.h - w * h, Math.min(leftoverX, leftoverY)];
+    },
+    'bottom-left': (free, x, y, w, h) => [y + h, x],
+    'contact-point': (free, x, y, w, h, usedRects, bounds) => [-contactScore(x, y, w, h, usedRects, bounds), 0]
+};
+
+/**
+ * MaxRects packing algorithm - tracks every maximal free rectangle and places
+ * each sprite where the chosen heuristic scores best.
+ * Handles sprites of mixed sizes much better than shelf packing.
+ *
+ * @param {SpriteInput[]} sprites - Sprites to pack (sorted by longest side unless sortBy is given)
+ * @param {PackingOptions} options - Packing options
+ * @returns {{ success: boolean, result?: PackingResult, error?: string }}
+ */
+export function maxRectsPack(sprites, options) {
+    const { heuristic = 'best-short-side' } = options;
+
+    if (!MAXRECTS_SCORERS[heuristic]) {
+        return {
+            success: false,
+            error: `Unknown MaxRects heuristic "${heuristic}".`
+        };
+    }
+
+    return packIntoGrowingBin(sprites, options, 'max-side', (sortedSprites, binWidth, binHeight, partial) =>
+        packIntoMaxRectsBin(sortedSprites, binWidth, binHeight, options.padding, heuristic, partial, !!options.allowRotation)
+    );
+}
+
+/**
+ * Binary tree (guillotine) packing algorithm - places each sprite in the first
+ * free node that fits and splits the leftover space into two child nodes.
+ * Fast, and dense when sprites are sorted largest first.
+ *
+ * @param {SpriteInput[]} sprites - Sprites to pack (sorted by area unless sortBy is given)
+ * @param {PackingOptions} options - Packing options
+ * @returns {{ success: boolean, result?: PackingResult, error?: string }}
+ */
+export function binaryTreePack(sprites, options) {
+    return packIntoGrowingBin(sprites, options, 'area', (sortedSprites, binWidth, binHeight, partial) =>
+        packIntoTreeBin(sortedSprites, binWidth, binHeight, options.padding, partial, !!options.allowRotation)
+    );
+}
+
+/**
+ * Runs a fixed-size bin packer on successively larger bins until every sprite fits.
+ * Starts from the smallest square that could hold all sprites so the atlas stays compact.
+ * With allowOverflow, the maximum size bin is filled as far as possible and the rest
+ * is returned as overflow.
+ *
+ * @param {SpriteInput[]} sprites - Sprites to pack
+ * @param {PackingOptions} options - Packing options
+ * @param {string} defaultSort - Sort strategy used when options.sortBy is not set
+ * @param {function(SpriteInput[], number, number, boolean): (Array<BinPosition|null>|null)} packIntoBin
+ *     Packs sorted sprites into a bin of the given width and height (see packIntoTreeBin)
+ * @returns {{ success: boolean, result?: PackingResult, error?: string }}
+ */
+function packIntoGrowingBin(sprites, options, defaultSort, packIntoBin) {
+    const { padding, maxWidth, maxHeight, sortBy = defaultSort, allowOverflow = false, allowRotation = false } = options;
+
+    if (sprites.length === 0) {
+        return {
+            success: true,
+            result: { frames: [], width: 0, height: 0, sprites: [], overflow: [] }
+        };
+    }
+
+    const sortedSprites = sortSprites(sprites, sortBy);
+    if (!sortedSprites) {
+        return {
+            success: false,
+            error: `Unknown sort strategy "${sortBy}".`
+        };
+    }
+
+    let totalArea = 0;
+    let widest = 0;
+    let tallest = 0;
+
+    for (const sprite of sortedSprites) {
+        const fitsUpright = fitsInBin(sprite.width, sprite.height, padding, maxWidth, maxHeight);
+        const fitsRotated = allowRotation && fitsInBin(sprite.height, sprite.width, padding, maxWidth, maxHeight);
+
+        // Check if sprite fits in atlas at all
+        if (!fitsUpright && !fitsRotated) {
+            return {
+                success: false,
+                error: `Sprite "${sprite.name}" (${sprite.width}x${sprite.height}) is too large for the atlas (max: ${maxWidth}x${maxHeight})`
+            };
+        }
+
+        totalArea += (sprite.width + padding) * (sprite.height + padding);
+
+        // Rotatable sprites only force the bin to fit their shorter side
+        const shortSide = Math.min(sprite.width, sprite.height);
+        widest = Math.max(widest, allowRotation ? shortSide : sprite.width);
+        tallest = Math.max(tallest, allowRotation ? shortSide : sprite.height);
+    }
+
+    const side = Math.ceil(Math.sqrt(totalArea)) + padding;
+    let binWidth = Math.min(maxWidth, Math.max(side, widest + padding * 2));
+    let binHeight = Math.min(maxHeight, Math.max(side, tallest + padding * 2));
+
+    for (;;) {
+        const atMaxSize = binWidth >= maxWidth && binHeight >= maxHeight;
+        const positions = packIntoBin(sortedSprites, binWidth, binHeight, atMaxSize && allowOverflow);
+
+        if (positions) {
+            const frames = [];
+            const packedSprites = [];
+            const overflow = [];
+            let atlasWidth = 0;
+            let atlasHeight = 0;
+
+            for (let i = 0; i < sortedSprites.length; i++) {
+                const sprite = sortedSprites[i];
+
+                if (!positions[i]) {
+                    overflow.push(sprite);
+                    continue;
+                }
+
+                const { x, y, rotated } = positions[i];
+                const w = rotated ? sprite.height : sprite.width;
+                const h = rotated ? sprite.width : sprite.height;
+                packedSprites.push(sprite);
+
+                const frame = { name: sprite.name, x, y, w, h };
+                if (rotated) {
+                    frame.rotated = true;
+                }
+                frames.push(frame);
+
+                atlasWidth = Math.max(atlasWidth, x + w + padding);
+                atlasHeight = Math.max(atlasHeight, y + h + padding);
+            }
+
+            return {
+                success: true,
+                result: {
+                    frames,
+                    width: atlasWidth,
+                    height: atlasHeight,
+                    sprites: packedSprites,
+                    overflow
+                }
+            };
+        }
+
+        if (atMaxSize) {
+            return {
+                success: false,
+                error: `Atlas size (${maxWidth}x${maxHeight}) is too small to fit all sprites. Try increasing the max size.`
+            };
+        }
+
+        // Grow the shorter side first to keep the atlas close to square
+        if ((binWidth <= binHeight && binWidth < maxWidth) || binHeight >= maxHeight) {
+            binWidth = Math.min(maxWidth, Math.ceil(binWidth * BIN_GROWTH));
+        } else {
+            binHeight = Math.min(maxHeight, Math.ceil(binHeight * BIN_GROWTH));
+        }
+    }
+}
+
+/**
+ * Packs sprites into a single binary tree bin of fixed size
+ * @param {SpriteInput[]} sprites - Sprites in packing order
+ * @param {number} binWidth - Bin width
+ * @param {number} binHeight - Bin height
+ * @param {number} padding - Padding between sprites
+ * @param {boolean} partial - Skip sprites that don't fit instead of giving up
+ * @param {boolean} allowRotation - Also try the rotated orientation and keep the tighter fit
+ * @returns {Array<BinPosition|null>|null} Sprite positions (null for skipped sprites),
+ *     or null if they don't all fit and partial is false
+ */
+function packIntoTreeBin(sprites, binWidth, binHeight, padding, partial, allowRotation) {
+    const root = { x: padding, y: padding, w: binWidth - padding, h: binHeight - padding, used: false };
+    const positions = [];
+
+    for (const sprite of sprites) {
+        // Each sprite reserves its padding on the right and bottom edges
+        let w = sprite.width + padding;
+        let h = sprite.height + padding;
+        let rotated = false;
+
+        let node = findTreeNode(root, w, h);
+        if (allowRotation && w !== h) {
+            // Take the rotated orientation when its node leaves less space on the short side
+            const rotatedNode = findTreeNode(root, h, w);
+            if (rotatedNode && (!node ||
+                Math.min(rotatedNode.w - h, rotatedNode.h - w) < Math.min(node.w - w, node.h - h))) {
+                node = rotatedNode;
+                [w, h] = [h, w];
+                rotated = true;
+            }
+        }
+
+        if (!node) {
+            if (!partial) return null;
+            positions.push(null);
+            continue;
+        }
+
+        // Split along the axis with more leftover space so the larger child stays whole
+        node.used = true;
+        if (node.w - w > node.h - h) {
+            node.right = { x: node.x + w, y: node.y, w: node.w - w, h: node.h, used: false };
+            node.down = { x: node.x, y: node.y + h, w, h: node.h - h, used: false };
+        } else {
+            node.right = { x: node.x + w, y: node.y, w: node.w - w, h, used: false };
+            node.down = { x: node.x, y: node.y + h, w: node.w, h: node.h - h, used: false };
+        }
+
+        positions.push({ x: node.x, y: node.y, rotated });
+    }
+
+    return positions;
+}
+
+/**
+ * Finds the first free tree node that can hold a rectangle (depth-first, right before down)
+ * @param {Object} root - Root node of the tree
+ * @param {number} w - Rectangle width
+ * @param {number} h - Rectangle height
+ * @returns {Object|null} Matching node
+ */
+function findTreeNode(root, w, h) {
+    // Iterative so deep trees from thousands of sprites can't overflow the stack
+    const stack = [root];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+
+        if (node.used) {
+            stack.push(node.down, node.right);
+        } else if (w <= node.w && h <= node.h) {
+            return node;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Packs sprites into a single MaxRects bin of fixed size
+ * @param {SpriteInput[]} sprites - Sprites in packing order
+ * @param {number} binWidth - Bin width
+ * @param {number} binHeight - Bin height
+ * @param {number} padding - Padding between sprites
+ * @param {string} heuristic - Placement heuristic id
+ * @param {boolean} partial - Skip sprites that don't fit instead of giving up
+ * @param {boolean} allowRotation - Also score the rotated orientation of each sprite
+ * @returns {Array<BinPosition|null>|null} Sprite positions (null for skipped sprites),
+ *     or null if they don't all fit and partial is false
+ */
+function packIntoMaxRectsBin(sprites, binWidth, binHeight, padding, heuristic, partial, allowRotation) {
+    const score = MAXRECTS_SCORERS[heuristic];
+    const bounds = { left: padding, top: padding, right: binWidth, bottom: binHeight };
+    let freeRects = [{ x: padding, y: padding, w: binWidth - padding, h: binHeight - padding }];
+    const usedRects = [];
+    const positions = [];
+
+    for (const sprite of sprites) {
+        // Each sprite reserves its padding on the right and bottom edges
+        const w = sprite.width + padding;
+        const h = sprite.height + padding;
+        const orientations = allowRotation && w !== h
+            ? [[w, h, false], [h, w, true]]
+            : [[w, h, false]];
+
+        let best = null;
+        let bestScore = null;
+
+        for (const free of freeRects) {
+            for (const [rectW, rectH, rotated] of orientations) {
+                if (rectW > free.w || rectH > free.h) continue;
+
+                const candidate = score(free, free.x, free.y, rectW, rectH, usedRects, bounds);
+                if (!bestScore ||
+                    candidate[0] < bestScore[0] ||
+                    (candidate[0] === bestScore[0] && candidate[1] < bestScore[1])) {
+                    best = { x: free.x, y: free.y, w: rectW, h: rectH, rotated };
+                    bestScore = candidate;
+                }
+            }
+        }
+
+        if (!best) {
+            if (!partial) return null;
+            positions.push(null);
+            continue;
+        }
+
+        const placed = { x: best.x, y: best.y, w: best.w, h: best.h };
+        freeRects = splitFreeRects(freeRects, placed);
+        usedRects.push(placed);
+        positions.push({ x: best.x, y: best.y, rotated: best.rotated });
+    }
+
+    return positions;
+}
+
+/**
+ * Splits every free rectangle overlapped by a newly placed rectangle
+ * into its maximal non-overlapping parts
+ * @param {{ x: number, y: number, w: number, h: number }[]} freeRects
+ * @param {{ x: number, y: number, w: number, h: number }} placed
+ * @returns {{ x: number, y: number, w: number, h: number }[]} Updated free rectangles
+ */
+function splitFreeRects(freeRects, placed) {
+    const result = [];
+
+    for (const free of freeRects) {
+        const overlaps = placed.x < free.x + free.w && placed.x + placed.w > free.x &&
+            placed.y < free.y + free.h && placed.y + placed.h > free.y;
+
+        if (!overlaps) {
+            result.push(free);
+            continue;
+        }
+
+        // Left
+        if (placed.x > free.x) {
+            result.push({ x: free.x, y: free.y, w: placed.x - free.x, h: free.h });
+        }
+        // Right
+        if (placed.x + placed.w < free.x + free.w) {
+            result.push({
+                x: placed.x + placed.w,
+                y: free.y,
+                w: free.x + free.w - (placed.x + placed.w),
+                h: free.h
+            });
+        }
+        // Top
+        if (placed.y > free.y) {
+            result.push({ x: free.x, y: free.y, w: free.w, h: placed.y - free.y });
+        }
+        // Bottom
+        if (placed.y + placed.h < free.y + free.h) {
+            result.push({
+                x: free.x,
+                y: placed.y + placed.h,
+                w: free.w,
+                h: free.y + free.h - (placed.y + placed.h)
+            });
+        }
+    }
+
+    // Drop rectangles fully contained in another one
+    return result.filter((rect, i) => !result.some((other, j) =>
+        i !== j &&
+        rect.x >= other.x && rect.y >= other.y &&
+        rect.x + rect.w <= other.x + other.w &&
+        rect.y + rect.h <= other.y + other.h &&
+        // Keep the first of two identical rectangles
+        (j < i || rect.x !== other.x || rect.y !== other.y || rect.w !== other.w || rect.h !== other.h)
+    ));
+}
+
+/**
+ * Measures how much of a rectangle's perimeter touches the bin edges or placed rectangles
+ * @param {number} x
+ * @param {number} y
+ * @param {number} w
+ * @param {number} h
+ * @param {{ x: number, y: number, w: number, h: number }[]} usedRects
+ * @param {{ left: number, top: number, right: number, bottom: number }} bounds
+ * @returns {number} Total contact length in pixels
+ */
+function contactScore(x, y, w, h, usedRects, bounds) {
+    let score = 0;
+
+    if (x === bounds.left || x + w === bounds.right) score += h;
+    if (y === bounds.top || y + h === bounds.bottom) score += w;
+
+    for (const used of usedRects) {
+        if (used.x === x + w || used.x + used.w === x) {
+            score += Math.max(0, Math.min(y + h, used.y + used.h) - Math.max(y, used.y));
+        }
+        if (used.y === y + h || used.y + used.h === y) {
+            score += Math.max(0, Math.min(x + w, used.x + used.w) - Math.max(x, used.x));
+        }
+    }
+
+    return score;
+}
+
+/**
+ * Gets the list of MaxRects placement heuristics
  * @returns {{ id: string, name: string, description: string }[]}
- * 
- * TODO: Add more algorithms as they are implemented
+ */
+export function getMaxRectsHeuristics() {
+    return [
+        {
+            id: 'best-short-side',
+            name: 'Best Short Side Fit',
+            description: 'Minimizes the shorter leftover side of the chosen free rectangle'
+        },
+        {
+            id: 'best-long-side',
+            name: 'Best Long Side Fit',
+            description: 'Minimizes the longer leftover side of the chosen free rectangle'
+        },
+        {
+            id: 'best-area',
+            name: 'Best Area Fit',
+            description: 'Picks the smallest free rectangle the sprite fits into'
+        },
+        {
+            id: 'bottom-left',
+            name: 'Bottom-Left',
+            description: 'Places each sprite as close to the top-left corner as possible'
+        },
+        {
+            id: 'contact-point',
+            name: 'Contact Point',
+            description: 'Maximizes the edge length touching other sprites and the atlas border'
+        }
+    ];
+}
+
+/**
+ * Gets the list of sprite sort strategies
+ * @returns {{ id: string, name: string, description: string }[]}
+ */
+export function getSortStrategies() {
+    return [
+        { id: 'name', name: 'Name', description: 'Alphabetical by sprite name' },
+        { id: 'height', name: 'Height', description: 'Tallest first' },
+        { id: 'width', name: 'Width', description: 'Widest first' },
+        { id: 'area', name: 'Area', description: 'Largest area first' },
+        { id: 'perimeter', name: 'Perimeter', description: 'Largest perimeter first' },
+        { id: 'max-side', name: 'Max Side', description: 'Longest side first' },
+        { id: 'none', name: 'As Loaded', description: 'Keep the order the sprites were loaded in' }
+    ];
+}
+
+/**
+ * Gets the list of available packing algorithms
+ * @returns {{ id: string, name: string, description: string, defaultSort: string }[]}
  */
 export function getAvailableAlgorithms() {
     return [
         {
             id: 'shelf',
             name: 'Shelf Packing',
-            description: 'Simple row-based packing, good for sprites of similar height'
+            description: 'Simple row-based packing, good for sprites of similar height',
+            defaultSort: 'name'
+        },
+        {
+            id: 'binary-tree',
+            name: 'Binary Tree',
+            description: 'Guillotine splitting of free space, fast and dense for sorted sprites',
+            defaultSort: 'area'
+        },
+        {
+            id: 'maxrects',
+            name: 'MaxRects',
+            description: 'Tracks all free space, best density for sprites of mixed sizes',
+            defaultSort: 'max-side'
         }
-        // TODO: { id: 'binary-tree', name: 'Binary Tree', description: '...' }
-        // TODO: { id: 'maxrects', name: 'MaxRects', description: '...' }
     ];
 }
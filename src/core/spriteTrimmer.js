@@ -0,0 +1,79 @@
+/**
+ * Sprite trimming - removes transparent borders before packing
+ * @module core/spriteTrimmer
+ */
+
+import { getImagePixels } from '../utils/imageUtils.js';
+
+/**
+ * @typedef {import('./imageLoader.js').SpriteInput} SpriteInput
+ */
+
+/**
+ * @typedef {Object} SpriteTrim
+ * @property {number} x - Left edge of the kept area in the source image
+ * @property {number} y - Top edge of the kept area in the source image
+ * @property {number} sourceW - Untrimmed source width
+ * @property {number} sourceH - Untrimmed source height
+ */
+
+/**
+ * Finds the bounding box of all pixels whose alpha is above the threshold
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} alphaThreshold - Pixels with alpha <= threshold count as transparent
+ * @returns {{ x: number, y: number, w: number, h: number }|null} Bounds, or null if fully transparent
+ */
+export function findOpaqueBounds(data, width, height, alphaThreshold) {
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        const row = y * width * 4;
+        for (let x = 0; x < width; x++) {
+            if (data[row + x * 4 + 3] > alphaThreshold) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) {
+        return null;
+    }
+
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+/**
+ * Trims the transparent border of a sprite.
+ * The returned sprite keeps the original image; its width and height describe
+ * the kept area and `trim` records where that area sits in the source.
+ * Fully transparent sprites are reduced to their top-left pixel.
+ *
+ * @param {SpriteInput} sprite - Sprite to trim
+ * @param {number} [alphaThreshold=0] - Pixels with alpha <= threshold count as transparent
+ * @returns {SpriteInput} Trimmed sprite
+ */
+export function trimSprite(sprite, alphaThreshold = 0) {
+    const { data } = getImagePixels(sprite.image);
+    const bounds = findOpaqueBounds(data, sprite.width, sprite.height, alphaThreshold)
+        || { x: 0, y: 0, w: 1, h: 1 };
+
+    return {
+        ...sprite,
+        width: bounds.w,
+        height: bounds.h,
+        trim: {
+            x: bounds.x,
+            y: bounds.y,
+            sourceW: sprite.width,
+            sourceH: sprite.height
+        }
+    };
+}
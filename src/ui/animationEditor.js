@@ -0,0 +1,213 @@
+/**
+ * Animation group editor for pack mode
+ * @module ui/animationEditor
+ */
+
+import { expandFramePattern, getLoopModes } from '../core/animationGrouper.js';
+
+/**
+ * @typedef {import('../core/animationGrouper.js').AnimationMap} AnimationMap
+ */
+
+/**
+ * @typedef {Object} AnimationEditorConfig
+ * @property {HTMLElement} listElement - Container for the group rows
+ * @property {HTMLButtonElement} addButton - Button that adds an empty group
+ * @property {function(AnimationMap): void} onChange - Called with the edited groups
+ * @property {function(string): void} onError - Error callback
+ */
+
+/**
+ * @type {AnimationEditorConfig|null}
+ */
+let editorConfig = null;
+
+/**
+ * Groups currently shown
+ * @type {AnimationMap}
+ */
+let currentAnimations = {};
+
+/**
+ * Sprite names that frame patterns are matched against
+ * @type {string[]}
+ */
+let spriteNames = [];
+
+/**
+ * Initializes the animation editor
+ * @param {AnimationEditorConfig} config
+ */
+export function initAnimationEditor(config) {
+    editorConfig = config;
+
+    config.addButton.addEventListener('click', () => {
+        let index = Object.keys(currentAnimations).length + 1;
+        while (`animation_${index}` in currentAnimations) index++;
+
+        applyChange({ ...currentAnimations, [`animation_${index}`]: { frames: [] } });
+    });
+
+    updateAnimationList({}, []);
+}
+
+/**
+ * Shows the given groups
+ * @param {AnimationMap} animations
+ * @param {string[]} names - Loaded sprite names
+ */
+export function updateAnimationList(animations, names) {
+    currentAnimations = animations;
+    spriteNames = names;
+
+    const { listElement } = editorConfig;
+    listElement.innerHTML = '';
+
+    const groupNames = Object.keys(animations);
+    if (groupNames.length === 0) {
+        listElement.innerHTML = '<div class="file-list-empty">No animations. Numbered sprites (idle_1, idle_2, ...) are grouped automatically.</div>';
+        return;
+    }
+
+    for (const name of groupNames) {
+        listElement.appendChild(createAnimationItem(name, animations[name]));
+    }
+}
+
+/**
+ * Reports edited groups and redraws the list
+ * @param {AnimationMap} animations
+ */
+function applyChange(animations) {
+    updateAnimationList(animations, spriteNames);
+    editorConfig.onChange(animations);
+}
+
+/**
+ * Replaces one group, keeping the order of the others
+ * @param {string} oldName
+ * @param {string} newName
+ * @param {import('../core/animationGrouper.js').AnimationGroup|null} group - New group, or null to remove it
+ * @returns {AnimationMap}
+ */
+function replaceGroup(oldName, newName, group) {
+    const result = {};
+    for (const [name, existing] of Object.entries(currentAnimations)) {
+        if (name !== oldName) {
+            result[name] = existing;
+        } else if (group) {
+            result[newName] = group;
+        }
+    }
+    return result;
+}
+
+/**
+ * Turns the frames field into frame names. Entries are comma-separated
+ * sprite names or patterns with `*`, e.g. "hero/idle_*".
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseFrameList(text) {
+    const frames = [];
+
+    for (const token of text.split(',').map(part => part.trim()).filter(Boolean)) {
+        const matches = expandFramePattern(token, spriteNames);
+        if (matches.length === 0) {
+            editorConfig.onError(`No sprite matches "${token}".`);
+        }
+        frames.push(...matches);
+    }
+
+    return frames;
+}
+
+/**
+ * Creates the editable row for one group
+ * @param {string} name
+ * @param {import('../core/animationGrouper.js').AnimationGroup} group
+ * @returns {HTMLElement}
+ */
+function createAnimationItem(name, group) {
+    const item = document.createElement('div');
+    item.className = 'animation-item';
+
+    const header = document.createElement('div');
+    header.className = 'animation-item-header';
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = name;
+    nameInput.title = 'Animation name';
+    nameInput.addEventListener('change', () => {
+        const newName = nameInput.value.trim();
+        if (!newName || newName === name) {
+            nameInput.value = name;
+            return;
+        }
+        if (newName in currentAnimations) {
+            editorConfig.onError(`An animation named "${newName}" already exists.`);
+            nameInput.value = name;
+            return;
+        }
+        applyChange(replaceGroup(name, newName, group));
+    });
+
+    const count = document.createElement('span');
+    count.className = 'file-size';
+    count.textContent = `${group.frames.length} fr`;
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn-small';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove animation';
+    removeButton.addEventListener('click', () => applyChange(replaceGroup(name, name, null)));
+
+    header.append(nameInput, count, removeButton);
+
+    const framesInput = document.createElement('input');
+    framesInput.type = 'text';
+    framesInput.value = group.frames.join(', ');
+    framesInput.placeholder = 'Frames, e.g. idle_1, idle_2 or idle_*';
+    framesInput.title = 'Comma-separated frame names; * matches any characters';
+    framesInput.addEventListener('change', () => {
+        applyChange(replaceGroup(name, name, { ...group, frames: parseFrameList(framesInput.value) }));
+    });
+
+    const options = document.createElement('div');
+    options.className = 'animation-item-options';
+
+    const fpsInput = document.createElement('input');
+    fpsInput.type = 'number';
+    fpsInput.min = '1';
+    fpsInput.placeholder = 'fps';
+    fpsInput.title = 'Frames per second (optional)';
+    fpsInput.value = group.fps !== undefined ? group.fps : '';
+    fpsInput.addEventListener('change', () => {
+        const fps = parseFloat(fpsInput.value);
+        const updated = { ...group, fps };
+        if (!(fps > 0)) delete updated.fps;
+        applyChange(replaceGroup(name, name, updated));
+    });
+
+    const loopSelect = document.createElement('select');
+    loopSelect.title = 'Loop mode (optional)';
+    loopSelect.appendChild(new Option('Loop mode: unset', ''));
+    for (const mode of getLoopModes()) {
+        const option = new Option(mode.name, mode.id);
+        option.title = mode.description;
+        loopSelect.appendChild(option);
+    }
+    loopSelect.value = group.loop || '';
+    loopSelect.addEventListener('change', () => {
+        const updated = { ...group, loop: loopSelect.value };
+        if (!loopSelect.value) delete updated.loop;
+        applyChange(replaceGroup(name, name, updated));
+    });
+
+    options.append(fpsInput, loopSelect);
+    item.append(header, framesInput, options);
+
+    return item;
+}
@@ -4,7 +4,26 @@
  */
 
 import { loadImagesFromFiles, loadMetadataFromFile } from '../core/imageLoader.js';
-import { loadImageFromBlob } from '../utils/imageUtils.js';
+import { getMetadataExtensions } from '../core/metadataImporters.js';
+import { loadImageFromBlob, loadImagePixels } from '../utils/imageUtils.js';
+import { readZip } from '../utils/zipReader.js';
+
+/**
+ * Image MIME types by extension, for files unpacked from ZIP archives
+ */
+const IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+/**
+ * Folder paths the user has collapsed in the sprite tree, kept across list updates
+ * @type {Set<string>}
+ */
+const collapsedFolders = new Set();
 
 /**
  * @typedef {Object} FileInputConfig
@@ -12,7 +31,8 @@ import { loadImageFromBlob } from '../utils/imageUtils.js';
  * @property {HTMLInputElement} fileInput - The file input element
  * @property {HTMLElement} fileList - Element to display loaded files
  * @property {function(import('../core/imageLoader.js').SpriteInput[]): void} onSpritesLoaded - Callback for loaded sprites
- * @property {function(HTMLImageElement): void} onAtlasLoaded - Callback for loaded atlas image
+ * @property {function(HTMLImageElement, string, import('../utils/raster.js').Raster): void} onAtlasLoaded - Callback for each
+ *   loaded atlas image with its filename and decoded pixels
  * @property {function(import('../core/imageLoader.js').AtlasMetadata): void} onMetadataLoaded - Callback for loaded metadata
  * @property {function(string): void} onError - Error callback
  * @property {function(): string} getMode - Function to get current mode
@@ -43,7 +63,7 @@ export function initFileInput(config) {
         e.stopPropagation();
         dropZone.classList.remove('drag-over');
 
-        const files = e.dataTransfer.files;
+        const files = await getDroppedFiles(e.dataTransfer);
         await handleFiles(files, config);
     });
 
@@ -52,10 +72,10 @@ export function initFileInput(config) {
         // Update file input accept based on mode
         const mode = getMode();
         if (mode === 'pack') {
-            fileInput.accept = 'image/png,image/jpeg,image/gif,image/webp';
+            fileInput.accept = 'image/png,image/jpeg,image/gif,image/webp,.zip,application/zip';
             fileInput.multiple = true;
         } else {
-            fileInput.accept = 'image/png,application/json,.json';
+            fileInput.accept = ['image/png', 'application/json', ...getMetadataExtensions()].join(',');
             fileInput.multiple = true;
         }
         fileInput.click();
@@ -72,9 +92,85 @@ export function initFileInput(config) {
     });
 }
 
+/**
+ * Reads a dropped file entry
+ * @param {FileSystemFileEntry} entry
+ * @returns {Promise<File>}
+ */
+function readFileEntry(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+/**
+ * Lists a dropped directory. readEntries returns results in batches, so it is
+ * called until it comes back empty.
+ * @param {FileSystemDirectoryEntry} entry
+ * @returns {Promise<FileSystemEntry[]>}
+ */
+async function readDirectoryEntries(entry) {
+    const reader = entry.createReader();
+    const entries = [];
+    let batch;
+
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        entries.push(...batch);
+    } while (batch.length > 0);
+
+    return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Collects the files below a dropped entry, recursing into directories
+ * @param {FileSystemEntry} entry
+ * @param {import('../core/imageLoader.js').PathFile[]} result - Receives the files with their relative paths
+ */
+async function collectEntryFiles(entry, result) {
+    if (entry.isFile) {
+        result.push({ file: await readFileEntry(entry), path: entry.fullPath.replace(/^\/+/, '') });
+    } else if (entry.isDirectory) {
+        for (const child of await readDirectoryEntries(entry)) {
+            await collectEntryFiles(child, result);
+        }
+    }
+}
+
+/**
+ * Gets the dropped files, walking dropped folders recursively.
+ * Falls back to the flat file list where the entries API isn't available.
+ *
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<File|import('../core/imageLoader.js').PathFile>>}
+ */
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await; the item list is cleared after the event
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files);
+    }
+
+    const result = [];
+    for (const entry of entries) {
+        await collectEntryFiles(entry, result);
+    }
+    return result;
+}
+
+/**
+ * Wraps a plain File as a PathFile
+ * @param {File|import('../core/imageLoader.js').PathFile} file
+ * @returns {import('../core/imageLoader.js').PathFile}
+ */
+function toPathFile(file) {
+    return file instanceof Blob ? { file, path: file.webkitRelativePath || file.name } : file;
+}
+
 /**
  * Handles uploaded files based on current mode
- * @param {FileList} files
+ * @param {FileList|Array<File|import('../core/imageLoader.js').PathFile>} files
  * @param {FileInputConfig} config
  */
 async function handleFiles(files, config) {
@@ -84,34 +180,108 @@ async function handleFiles(files, config) {
     if (mode === 'pack') {
         await handlePackModeFiles(files, onSpritesLoaded, onError);
     } else {
-        await handleUnpackModeFiles(files, onAtlasLoaded, onMetadataLoaded, onError);
+        // Page images are matched by filename, so folder paths don't matter here
+        const plainFiles = Array.from(files, file => toPathFile(file).file);
+        await handleUnpackModeFiles(plainFiles, onAtlasLoaded, onMetadataLoaded, onError);
     }
 }
 
 /**
- * Handles files for pack mode (multiple sprite images)
- * @param {FileList} files
+ * Checks whether a file is a ZIP archive
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isZipFile(file) {
+    return file.name.toLowerCase().endsWith('.zip') ||
+        file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+}
+
+/**
+ * Checks whether a ZIP entry path is OS metadata rather than content
+ * (macOS resource forks, dotfiles, Windows thumbnail caches)
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isJunkPath(path) {
+    return path.split('/').some(segment =>
+        segment === '__MACOSX' || segment.startsWith('.') || segment.toLowerCase() === 'thumbs.db'
+    );
+}
+
+/**
+ * Unpacks the image files of a ZIP archive, named by their path inside the archive
+ * @param {File} zipFile
+ * @param {function(string): void} onError - Reports entries that can't be read
+ * @param {string} [folder=''] - Folder the archive itself sits in, prefixed to the entry paths
+ * @returns {Promise<import('../core/imageLoader.js').PathFile[]>}
+ */
+async function readImagesFromZip(zipFile, onError, folder = '') {
+    const entries = await readZip(zipFile);
+    const images = [];
+
+    for (const entry of entries) {
+        const extension = entry.name.split('.').pop().toLowerCase();
+        if (entry.isDirectory || isJunkPath(entry.name) || !IMAGE_TYPES[extension]) continue;
+
+        try {
+            const data = await entry.read();
+            images.push({ file: new Blob([data], { type: IMAGE_TYPES[extension] }), path: folder + entry.name });
+        } catch (error) {
+            onError(`${zipFile.name}: ${error.message}`);
+        }
+    }
+
+    return images;
+}
+
+/**
+ * Handles files for pack mode (sprite images, dropped folders and ZIP archives of sprites)
+ * @param {FileList|Array<File|import('../core/imageLoader.js').PathFile>} files
  * @param {function} onSpritesLoaded
  * @param {function} onError
  */
 async function handlePackModeFiles(files, onSpritesLoaded, onError) {
     try {
-        const imageFiles = Array.from(files).filter(f => f.type.startsWith('image/'));
+        const fileArray = Array.from(files, toPathFile);
+        const imageFiles = fileArray.filter(entry => entry.file.type.startsWith('image/'));
+        const zipFiles = fileArray.filter(entry => isZipFile(entry.file));
+
+        for (const { file, path } of zipFiles) {
+            try {
+                const folder = path.slice(0, path.lastIndexOf('/') + 1);
+                imageFiles.push(...await readImagesFromZip(file, onError, folder));
+            } catch (error) {
+                onError(`${path}: ${error.message}`);
+            }
+        }
 
         if (imageFiles.length === 0) {
-            onError('No valid image files found. Please select PNG, JPEG, GIF, or WebP files.');
+            onError('No valid image files found. Please select PNG, JPEG, GIF, or WebP files, or a ZIP of them.');
             return;
         }
 
-        const sprites = await loadImagesFromFiles(imageFiles);
-        onSpritesLoaded(sprites);
+        // Report unreadable images individually instead of failing the whole import
+        const sprites = await loadImagesFromFiles(imageFiles, { onError });
+        if (sprites.length > 0) {
+            onSpritesLoaded(sprites);
+        }
     } catch (error) {
         onError(error.message || 'Failed to load images');
     }
 }
 
 /**
- * Handles files for unpack mode (atlas image + JSON metadata)
+ * Checks whether a file holds atlas metadata in one of the importable formats
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isMetadataFile(file) {
+    const name = file.name.toLowerCase();
+    return file.type === 'application/json' || getMetadataExtensions().some(ext => name.endsWith(ext));
+}
+
+/**
+ * Handles files for unpack mode (atlas page images + metadata)
  * @param {FileList} files
  * @param {function} onAtlasLoaded
  * @param {function} onMetadataLoaded
@@ -120,23 +290,25 @@ async function handlePackModeFiles(files, onSpritesLoaded, onError) {
 async function handleUnpackModeFiles(files, onAtlasLoaded, onMetadataLoaded, onError) {
     const fileArray = Array.from(files);
 
-    // Find image and JSON files
-    const imageFile = fileArray.find(f => f.type.startsWith('image/'));
-    const jsonFile = fileArray.find(f => f.name.endsWith('.json') || f.type === 'application/json');
+    // Find image and metadata files (multi-page atlases may have one of each per page)
+    const imageFiles = fileArray.filter(f => f.type.startsWith('image/'));
+    const metadataFiles = fileArray
+        .filter(isMetadataFile)
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
 
     try {
-        if (imageFile) {
+        for (const imageFile of imageFiles) {
             const image = await loadImageFromBlob(imageFile);
-            onAtlasLoaded(image);
+            onAtlasLoaded(image, imageFile.name, await loadImagePixels(imageFile));
         }
 
-        if (jsonFile) {
-            const metadata = await loadMetadataFromFile(jsonFile);
+        if (metadataFiles.length > 0) {
+            const metadata = await loadMetadataFromFile(metadataFiles);
             onMetadataLoaded(metadata);
         }
 
-        if (!imageFile && !jsonFile) {
-            onError('Please select an atlas image (PNG) and/or metadata JSON file.');
+        if (imageFiles.length === 0 && metadataFiles.length === 0) {
+            onError('Please select an atlas image (PNG) and/or a metadata file (JSON, XML, .atlas or .plist).');
         }
     } catch (error) {
         onError(error.message || 'Failed to load files');
@@ -144,74 +316,181 @@ async function handleUnpackModeFiles(files, onAtlasLoaded, onMetadataLoaded, onE
 }
 
 /**
- * Updates the file list display
- * @param {HTMLElement} fileListElement
+ * @typedef {Object} SpriteTreeNode
+ * @property {string} path - Folder path ('' for the root)
+ * @property {Map<string, SpriteTreeNode>} folders - Subfolders by name
+ * @property {{ label: string, sprite: import('../core/imageLoader.js').SpriteInput }[]} files - Sprites in this folder
+ * @property {number} count - Sprites in this folder and all subfolders
+ */
+
+/**
+ * Groups sprites into a folder tree by the '/'-separated paths in their names
  * @param {import('../core/imageLoader.js').SpriteInput[]} sprites
+ * @returns {SpriteTreeNode}
  */
-export function updateSpriteList(fileListElement, sprites) {
-    fileListElement.innerHTML = '';
+function buildSpriteTree(sprites) {
+    const root = { path: '', folders: new Map(), files: [], count: 0 };
 
-    if (sprites.length === 0) {
-        fileListElement.innerHTML = '<div class="file-list-empty">No files loaded</div>';
-        return;
+    for (const sprite of sprites) {
+        const parts = sprite.name.split('/');
+        let node = root;
+        node.count++;
+
+        for (const folder of parts.slice(0, -1)) {
+            if (!node.folders.has(folder)) {
+                node.folders.set(folder, {
+                    path: node.path + folder + '/',
+                    folders: new Map(),
+                    files: [],
+                    count: 0
+                });
+            }
+            node = node.folders.get(folder);
+            node.count++;
+        }
+
+        node.files.push({ label: parts[parts.length - 1], sprite });
+    }
+
+    return root;
+}
+
+/**
+ * Renders a folder tree node: collapsible subfolders first, then its sprites
+ * @param {SpriteTreeNode} node
+ * @param {HTMLElement} container
+ */
+function renderSpriteTree(node, container) {
+    const folderNames = [...node.folders.keys()].sort((a, b) => a.localeCompare(b));
+
+    for (const name of folderNames) {
+        const folder = node.folders.get(name);
+        const details = document.createElement('details');
+        details.className = 'file-tree-folder';
+        details.open = !collapsedFolders.has(folder.path);
+        details.addEventListener('toggle', () => {
+            if (details.open) {
+                collapsedFolders.delete(folder.path);
+            } else {
+                collapsedFolders.add(folder.path);
+            }
+        });
+
+        const summary = document.createElement('summary');
+        summary.className = 'file-list-item';
+        summary.innerHTML = `
+            <span class="file-name">${escapeHtml(name)}/</span>
+            <span class="file-size">${folder.count}</span>
+        `;
+        details.appendChild(summary);
+
+        const children = document.createElement('div');
+        children.className = 'file-tree-children';
+        renderSpriteTree(folder, children);
+        details.appendChild(children);
+
+        container.appendChild(details);
     }
 
     // Sort alphabetically for display consistency
-    const sorted = [...sprites].sort((a, b) => a.name.localeCompare(b.name));
+    const files = [...node.files].sort((a, b) => a.label.localeCompare(b.label));
 
-    for (const sprite of sorted) {
+    for (const { label, sprite } of files) {
         const item = document.createElement('div');
         item.className = 'file-list-item';
+        item.title = sprite.name;
         item.innerHTML = `
-            <span class="file-name">${escapeHtml(sprite.name)}</span>
+            <span class="file-name">${escapeHtml(label)}</span>
             <span class="file-size">${sprite.width}×${sprite.height}</span>
         `;
-        fileListElement.appendChild(item);
+        container.appendChild(item);
     }
 }
 
+/**
+ * Updates the file list display. Sprites with folder paths in their names
+ * are shown as a collapsible folder tree.
+ * @param {HTMLElement} fileListElement
+ * @param {import('../core/imageLoader.js').SpriteInput[]} sprites
+ */
+export function updateSpriteList(fileListElement, sprites) {
+    fileListElement.innerHTML = '';
+
+    if (sprites.length === 0) {
+        fileListElement.innerHTML = '<div class="file-list-empty">No files loaded</div>';
+        return;
+    }
+
+    renderSpriteTree(buildSpriteTree(sprites), fileListElement);
+}
+
 /**
  * Updates the unpack mode file status display
  * @param {HTMLElement} fileListElement
- * @param {HTMLImageElement|null} atlasImage
+ * @param {import('./uiState.js').NamedImage[]} atlasImages
  * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata
  */
-export function updateUnpackFileList(fileListElement, atlasImage, metadata) {
+export function updateUnpackFileList(fileListElement, atlasImages, metadata) {
     fileListElement.innerHTML = '';
 
-    // Atlas image status
-    const atlasItem = document.createElement('div');
-    atlasItem.className = 'file-list-item';
-    if (atlasImage) {
-        atlasItem.innerHTML = `
-            <span class="file-name">Atlas Image</span>
-            <span class="file-status loaded">${atlasImage.naturalWidth}×${atlasImage.naturalHeight}</span>
-        `;
+    const pages = metadata && metadata.meta.pages && metadata.meta.pages.length > 1
+        ? metadata.meta.pages
+        : null;
+
+    if (pages) {
+        // Multi-page atlas: show which page images are still missing
+        for (const page of pages) {
+            const entry = atlasImages.find(e => e.name === page.image);
+            fileListElement.appendChild(createAtlasImageItem(page.image, entry ? entry.image : null));
+        }
+    } else if (atlasImages.length > 0) {
+        for (const entry of atlasImages) {
+            fileListElement.appendChild(createAtlasImageItem(entry.name, entry.image));
+        }
     } else {
-        atlasItem.innerHTML = `
-            <span class="file-name">Atlas Image</span>
-            <span class="file-status pending">Not loaded</span>
-        `;
+        fileListElement.appendChild(createAtlasImageItem('Atlas Image', null));
     }
-    fileListElement.appendChild(atlasItem);
 
     // Metadata status
     const metaItem = document.createElement('div');
     metaItem.className = 'file-list-item';
     if (metadata) {
         metaItem.innerHTML = `
-            <span class="file-name">Metadata JSON</span>
+            <span class="file-name">Metadata</span>
             <span class="file-status loaded">${metadata.frames.length} frames</span>
         `;
     } else {
         metaItem.innerHTML = `
-            <span class="file-name">Metadata JSON</span>
+            <span class="file-name">Metadata</span>
             <span class="file-status pending">Not loaded</span>
         `;
     }
     fileListElement.appendChild(metaItem);
 }
 
+/**
+ * Creates a file list item showing an atlas image's load status
+ * @param {string} label
+ * @param {HTMLImageElement|null} image
+ * @returns {HTMLElement}
+ */
+function createAtlasImageItem(label, image) {
+    const item = document.createElement('div');
+    item.className = 'file-list-item';
+    if (image) {
+        item.innerHTML = `
+            <span class="file-name">${escapeHtml(label)}</span>
+            <span class="file-status loaded">${image.naturalWidth}×${image.naturalHeight}</span>
+        `;
+    } else {
+        item.innerHTML = `
+            <span class="file-name">${escapeHtml(label)}</span>
+            <span class="file-status pending">Not loaded</span>
+        `;
+    }
+    return item;
+}
+
 /**
  * Escapes HTML special characters
  * @param {string} text
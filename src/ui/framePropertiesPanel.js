@@ -0,0 +1,115 @@
+/**
+ * Pivot and 9-slice fields for the frame selected on the preview
+ * @module ui/framePropertiesPanel
+ */
+
+import { expandFramePattern } from '../core/animationGrouper.js';
+
+/**
+ * @typedef {Object} FramePropertiesPanelConfig
+ * @property {HTMLElement} nameLabel - Shows the selected frame's name
+ * @property {HTMLInputElement} pivotXInput - Pivot x as a fraction of the sprite width
+ * @property {HTMLInputElement} pivotYInput - Pivot y as a fraction of the sprite height
+ * @property {{ left: HTMLInputElement, top: HTMLInputElement, right: HTMLInputElement, bottom: HTMLInputElement }} nineSliceInputs
+ * @property {HTMLInputElement} patternInput - Frames that Apply changes: comma-separated names or `*` patterns
+ * @property {HTMLButtonElement} applyButton - Applies the fields to the matching frames
+ * @property {function(string[], import('../core/frameEditor.js').FrameProperties): void} onChange - Called
+ *   with the frames to change and their new values
+ * @property {function(string): void} onError - Error callback
+ */
+
+/**
+ * @type {FramePropertiesPanelConfig|null}
+ */
+let panelConfig = null;
+
+/**
+ * Frame names of the shown metadata
+ * @type {string[]}
+ */
+let frameNames = [];
+
+/**
+ * Frame the fields belong to
+ * @type {string|null}
+ */
+let selectedName = null;
+
+/**
+ * Initializes the panel. Changing a field updates the selected frame right away;
+ * Apply copies all fields to every frame matching the pattern.
+ * @param {FramePropertiesPanelConfig} config
+ */
+export function initFramePropertiesPanel(config) {
+    panelConfig = config;
+
+    for (const input of [config.pivotXInput, config.pivotYInput, ...Object.values(config.nineSliceInputs)]) {
+        input.addEventListener('change', () => {
+            if (selectedName !== null) {
+                applyFields([selectedName]);
+            }
+        });
+    }
+
+    config.applyButton.addEventListener('click', () => {
+        const tokens = config.patternInput.value.split(',').map(part => part.trim()).filter(Boolean);
+        if (tokens.length === 0) {
+            config.onError('Enter the frame names or patterns to apply the pivot and 9-slice borders to.');
+            return;
+        }
+
+        const names = [...new Set(tokens.flatMap(token => expandFramePattern(token, frameNames)))];
+        if (names.length === 0) {
+            config.onError(`No frame matches "${config.patternInput.value}".`);
+            return;
+        }
+        applyFields(names);
+    });
+
+    updateFramePropertiesPanel(null, null);
+}
+
+/**
+ * Shows the pivot and 9-slice borders of the selected frame
+ * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata
+ * @param {string|null} name - Selected frame
+ */
+export function updateFramePropertiesPanel(metadata, name) {
+    frameNames = metadata ? metadata.frames.map(frame => frame.name) : [];
+    const frame = metadata && name !== null ? metadata.frames.find(candidate => candidate.name === name) : null;
+    selectedName = frame ? frame.name : null;
+
+    const { nameLabel, pivotXInput, pivotYInput, nineSliceInputs } = panelConfig;
+
+    nameLabel.textContent = frame ? frame.name : 'No frame selected';
+    pivotXInput.value = frame && frame.pivot ? String(frame.pivot.x) : '';
+    pivotYInput.value = frame && frame.pivot ? String(frame.pivot.y) : '';
+    for (const [side, input] of Object.entries(nineSliceInputs)) {
+        input.value = frame && frame.nineSlice ? String(frame.nineSlice[side]) : '';
+    }
+}
+
+/**
+ * Reports the field values for the given frames. Empty pivot fields remove the pivot
+ * and empty 9-slice fields the borders; a single empty border counts as 0.
+ * @param {string[]} names
+ */
+function applyFields(names) {
+    const { pivotXInput, pivotYInput, nineSliceInputs, onChange, onError } = panelConfig;
+
+    let pivot = null;
+    if (pivotXInput.value !== '' || pivotYInput.value !== '') {
+        if (pivotXInput.value === '' || pivotYInput.value === '') {
+            onError('Enter both pivot x and y, or neither to remove the pivot.');
+            return;
+        }
+        pivot = { x: Number(pivotXInput.value), y: Number(pivotYInput.value) };
+    }
+
+    const sides = Object.entries(nineSliceInputs);
+    const nineSlice = sides.some(([, input]) => input.value !== '')
+        ? Object.fromEntries(sides.map(([side, input]) => [side, Number(input.value)]))
+        : null;
+
+    onChange(names, { pivot, nineSlice });
+}
@@ -0,0 +1,146 @@
+/**
+ * Frame checklist for choosing which sprites unpack mode extracts
+ * @module ui/frameSelector
+ */
+
+import { expandFramePattern } from '../core/animationGrouper.js';
+
+/**
+ * @typedef {Object} FrameSelectorConfig
+ * @property {HTMLElement} listElement - Container for the checkboxes
+ * @property {HTMLElement} countElement - Shows how many frames are selected
+ * @property {HTMLButtonElement} allButton - Selects every frame
+ * @property {HTMLButtonElement} noneButton - Clears the selection
+ * @property {HTMLInputElement} patternInput - Selects the frames matching names or `*` patterns
+ * @property {HTMLSelectElement} animationSelect - Selects the frames of an animation group
+ * @property {function(Set<string>): void} onChange - Called with the names of the excluded frames
+ */
+
+/**
+ * @type {FrameSelectorConfig|null}
+ */
+let selectorConfig = null;
+
+/**
+ * Frame names currently listed
+ * @type {string[]}
+ */
+let frameNames = [];
+
+/**
+ * Animation groups of the listed metadata
+ * @type {import('../core/animationGrouper.js').AnimationMap}
+ */
+let frameAnimations = {};
+
+/**
+ * Frames that won't be extracted
+ * @type {Set<string>}
+ */
+let excludedFrames = new Set();
+
+/**
+ * Initializes the frame checklist
+ * @param {FrameSelectorConfig} config
+ */
+export function initFrameSelector(config) {
+    selectorConfig = config;
+
+    config.allButton.addEventListener('click', () => applyChange(new Set()));
+    config.noneButton.addEventListener('click', () => applyChange(new Set(frameNames)));
+
+    config.patternInput.addEventListener('change', () => {
+        const tokens = config.patternInput.value.split(',').map(part => part.trim()).filter(Boolean);
+        if (tokens.length === 0) return;
+
+        const selected = new Set(tokens.flatMap(token => expandFramePattern(token, frameNames)));
+        applyChange(new Set(frameNames.filter(name => !selected.has(name))));
+    });
+
+    config.animationSelect.addEventListener('change', () => {
+        const group = frameAnimations[config.animationSelect.value];
+        config.animationSelect.value = '';
+        if (!group) return;
+
+        const selected = new Set(group.frames);
+        applyChange(new Set(frameNames.filter(name => !selected.has(name))));
+    });
+
+    updateFrameSelector(null, new Set());
+}
+
+/**
+ * Lists the frames of the given metadata
+ * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata
+ * @param {Set<string>} excluded - Names of the frames not to extract
+ */
+export function updateFrameSelector(metadata, excluded) {
+    frameNames = metadata ? metadata.frames.map(frame => frame.name) : [];
+    frameAnimations = (metadata && metadata.animations) || {};
+    excludedFrames = excluded;
+
+    const { listElement, animationSelect } = selectorConfig;
+
+    animationSelect.innerHTML = '';
+    animationSelect.appendChild(new Option('Select animation...', ''));
+    for (const name of Object.keys(frameAnimations)) {
+        animationSelect.appendChild(new Option(name, name));
+    }
+    animationSelect.style.display = Object.keys(frameAnimations).length > 0 ? 'block' : 'none';
+
+    listElement.innerHTML = '';
+    if (frameNames.length === 0) {
+        listElement.innerHTML = '<div class="file-list-empty">No frames</div>';
+    }
+
+    for (const name of frameNames) {
+        const label = document.createElement('label');
+        label.className = 'frame-select-item';
+        label.title = name;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !excluded.has(name);
+        checkbox.addEventListener('change', () => {
+            const next = new Set(excludedFrames);
+            if (checkbox.checked) {
+                next.delete(name);
+            } else {
+                next.add(name);
+            }
+            applyChange(next);
+        });
+
+        const text = document.createElement('span');
+        text.textContent = name;
+
+        label.append(checkbox, text);
+        listElement.appendChild(label);
+    }
+
+    updateCount();
+}
+
+/**
+ * Shows how many of the listed frames are selected
+ */
+function updateCount() {
+    const selected = frameNames.filter(name => !excludedFrames.has(name)).length;
+    selectorConfig.countElement.textContent = `${selected} of ${frameNames.length}`;
+}
+
+/**
+ * Reports a new selection and updates the checkboxes
+ * @param {Set<string>} excluded
+ */
+function applyChange(excluded) {
+    excludedFrames = excluded;
+
+    const checkboxes = selectorConfig.listElement.querySelectorAll('input[type="checkbox"]');
+    checkboxes.forEach((checkbox, index) => {
+        checkbox.checked = !excluded.has(frameNames[index]);
+    });
+
+    updateCount();
+    selectorConfig.onChange(excluded);
+}
@@ -3,6 +3,12 @@
  * @module ui/previewCanvas
  */
 
+import { advanceFrame } from '../core/animationGrouper.js';
+import {
+    getFrameHandle, dragFrameRect, rectFromPoints, getFrameBoundsError,
+    getFrameSourceSize, sourceToAtlasPoint, pivotFromAtlasPoint
+} from '../core/frameEditor.js';
+
 /**
  * @type {HTMLCanvasElement|null}
  */
@@ -14,22 +20,144 @@ let canvasElement = null;
 let ctx = null;
 
 /**
- * Initializes the preview canvas
+ * @type {HTMLElement|null}
+ */
+let pageTabsElement = null;
+
+/**
+ * @type {HTMLElement|null}
+ */
+let tooltipElement = null;
+
+/**
+ * Zoom factor per wheel step
+ */
+const ZOOM_STEP = 1.25;
+
+/**
+ * Largest zoom (screen pixels per atlas pixel)
+ */
+const MAX_ZOOM = 32;
+
+/**
+ * Atlas currently shown, its frames and the frames under the cursor
+ * @type {{ source: HTMLCanvasElement|HTMLImageElement, width: number, height: number,
+ *          frames: import('../core/imageLoader.js').PackedFrame[],
+ *          hovered: import('../core/imageLoader.js').PackedFrame[] }|null}
+ */
+let current = null;
+
+/**
+ * Atlas-to-canvas transform: canvas = offset + atlas * scale
+ */
+let view = { scale: 1, offsetX: 0, offsetY: 0 };
+
+/**
+ * Size of the resize handles drawn on the selected frame (canvas pixels)
+ */
+const HANDLE_SIZE = 6;
+
+/**
+ * Cursor shown over each part of the selected frame
+ */
+const HANDLE_CURSORS = {
+    move: 'move',
+    n: 'ns-resize',
+    s: 'ns-resize',
+    e: 'ew-resize',
+    w: 'ew-resize',
+    nw: 'nwse-resize',
+    se: 'nwse-resize',
+    ne: 'nesw-resize',
+    sw: 'nesw-resize'
+};
+
+/**
+ * Size of the pivot marker (canvas pixels from its center)
+ */
+const PIVOT_MARKER_SIZE = 6;
+
+/**
+ * @typedef {Object} FrameEditCallbacks
+ * @property {function(string, import('../core/frameEditor.js').Rect): void} [onUpdate] - Frame moved or resized;
+ *   without it frames can't be moved, resized, drawn, deleted or renamed, only selected
+ * @property {function(import('../core/frameEditor.js').Rect): void} [onCreate] - New rectangle drawn
+ * @property {function(string): void} [onDelete] - Frame deleted
+ * @property {function(string, string): void} [onRename] - Frame renamed (old name, new name)
+ * @property {function(string, { x: number, y: number }): void} [onPivot] - Pivot placed with Shift+click
+ * @property {function(string|null): void} [onSelect] - Selection changed by the user
+ */
+
+/**
+ * Frame editing state, or null when frames aren't editable
+ * @type {{ callbacks: FrameEditCallbacks, selected: string|null,
+ *          preview: import('../core/frameEditor.js').Rect|null }|null}
+ */
+let editor = null;
+
+/**
+ * Open inline rename field
+ * @type {{ element: HTMLInputElement, finish: function(boolean): void }|null}
+ */
+let renameField = null;
+
+/**
+ * Initializes the preview canvas and its zoom, pan and hover handling
  * @param {HTMLCanvasElement} element
+ * @param {HTMLElement} [tooltip] - Element positioned over the canvas for frame details
  */
-export function initPreviewCanvas(element) {
+export function initPreviewCanvas(element, tooltip) {
     canvasElement = element;
     ctx = element.getContext('2d');
+    tooltipElement = tooltip || null;
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    element.addEventListener('mousedown', handleMouseDown);
+    element.addEventListener('mousemove', updateHover);
+    element.addEventListener('mouseleave', handleMouseLeave);
+    element.addEventListener('dblclick', handleDoubleClick);
+    window.addEventListener('keydown', handleKeyDown);
+
     clearCanvas();
 }
 
 /**
- * Clears the preview canvas
+ * Initializes the page tab bar shown above the preview for multi-page atlases
+ * @param {HTMLElement} element
  */
-export function clearCanvas() {
-    if (!canvasElement || !ctx) return;
+export function initPageTabs(element) {
+    pageTabsElement = element;
+    updatePageTabs([], 0, null);
+}
+
+/**
+ * Updates the page tab bar. Hidden when there is at most one page.
+ * @param {string[]} labels - Tab label per page
+ * @param {number} activeIndex - Selected page index
+ * @param {function(number): void|null} onSelect - Called with the clicked page index
+ */
+export function updatePageTabs(labels, activeIndex, onSelect) {
+    if (!pageTabsElement) return;
 
-    // Draw checkerboard pattern to indicate transparency
+    pageTabsElement.innerHTML = '';
+    pageTabsElement.style.display = labels.length > 1 ? 'flex' : 'none';
+
+    if (labels.length <= 1) return;
+
+    labels.forEach((label, index) => {
+        const tab = document.createElement('button');
+        tab.className = 'page-tab';
+        tab.classList.toggle('active', index === activeIndex);
+        tab.textContent = label;
+        tab.addEventListener('click', () => onSelect(index));
+        pageTabsElement.appendChild(tab);
+    });
+}
+
+/**
+ * Draws the checkerboard pattern that indicates transparency
+ */
+function drawCheckerboard() {
     const size = 16;
     const width = canvasElement.width;
     const height = canvasElement.height;
@@ -48,70 +176,1000 @@ export function clearCanvas() {
 }
 
 /**
- * Renders an atlas canvas onto the preview canvas
- * Scales to fit while maintaining aspect ratio
- * 
+ * Clears the preview canvas
+ */
+export function clearCanvas() {
+    if (!canvasElement || !ctx) return;
+
+    current = null;
+    hideTooltip();
+    drawCheckerboard();
+}
+
+/**
+ * Renders an atlas canvas onto the preview canvas.
+ * Starts scaled to fit; the wheel zooms around the cursor, dragging pans and
+ * double-clicking fits the atlas again. Hovering a frame shows its details.
+ *
  * @param {HTMLCanvasElement} atlasCanvas - The atlas canvas to render
- * 
- * TODO: Add hover highlighting for individual sprites
- * TODO: Add zoom/pan controls
+ * @param {import('../core/imageLoader.js').PackedFrame[]} [frames=[]] - Frames to outline and inspect
+ */
+export function renderAtlas(atlasCanvas, frames = []) {
+    showAtlas(atlasCanvas, atlasCanvas.width, atlasCanvas.height, frames);
+}
+
+/**
+ * Renders an atlas image onto the preview canvas
+ * @param {HTMLImageElement} atlasImage - The atlas image to render
+ * @param {import('../core/imageLoader.js').PackedFrame[]} [frames=[]] - Frames to outline and inspect
+ */
+export function renderAtlasImage(atlasImage, frames = []) {
+    showAtlas(atlasImage, atlasImage.naturalWidth, atlasImage.naturalHeight, frames);
+}
+
+/**
+ * Makes an atlas the shown one. The view is kept when the same source is shown again
+ * (e.g. with new frames) and fitted to the canvas otherwise.
+ *
+ * @param {HTMLCanvasElement|HTMLImageElement} source
+ * @param {number} width
+ * @param {number} height
+ * @param {import('../core/imageLoader.js').PackedFrame[]} frames
  */
-export function renderAtlas(atlasCanvas) {
+function showAtlas(source, width, height, frames) {
     if (!canvasElement || !ctx) {
         console.warn('Preview canvas not initialized');
         return;
     }
 
-    // Clear with checkerboard
-    clearCanvas();
+    const sameSource = current && current.source === source &&
+        current.width === width && current.height === height;
+
+    current = { source, width, height, frames, hovered: [] };
+    if (!sameSource) {
+        fitView();
+    }
+    hideTooltip();
+    drawAtlas();
+}
+
+/**
+ * Scales the shown atlas to fit the canvas (never above 100%) and centers it
+ */
+function fitView() {
+    const scale = Math.min(canvasElement.width / current.width, canvasElement.height / current.height, 1);
+    view = {
+        scale,
+        offsetX: (canvasElement.width - current.width * scale) / 2,
+        offsetY: (canvasElement.height - current.height * scale) / 2
+    };
+}
+
+/**
+ * Draws the shown atlas with the current view, its frame outlines and the hovered frame
+ */
+function drawAtlas() {
+    const { scale, offsetX, offsetY } = view;
 
-    const maxWidth = canvasElement.width;
-    const maxHeight = canvasElement.height;
-    const atlasWidth = atlasCanvas.width;
-    const atlasHeight = atlasCanvas.height;
+    drawCheckerboard();
 
-    // Calculate scale to fit
-    const scale = Math.min(maxWidth / atlasWidth, maxHeight / atlasHeight, 1);
-    const scaledWidth = atlasWidth * scale;
-    const scaledHeight = atlasHeight * scale;
+    // Show individual pixels when zoomed in
+    ctx.imageSmoothingEnabled = scale < 1;
+    ctx.drawImage(current.source, offsetX, offsetY, current.width * scale, current.height * scale);
+    ctx.imageSmoothingEnabled = true;
 
-    // Center the atlas
-    const offsetX = (maxWidth - scaledWidth) / 2;
-    const offsetY = (maxHeight - scaledHeight) / 2;
+    drawFrameOverlay(current.frames, scale, offsetX, offsetY);
 
-    // Draw the atlas
-    ctx.drawImage(atlasCanvas, offsetX, offsetY, scaledWidth, scaledHeight);
+    if (current.hovered.length > 0 && !(editor && editor.preview)) {
+        const frame = current.hovered[0];
+        ctx.save();
+        ctx.fillStyle = 'rgba(250, 204, 21, 0.25)';
+        ctx.strokeStyle = 'rgba(250, 204, 21, 1)';
+        ctx.lineWidth = 2;
+        ctx.fillRect(offsetX + frame.x * scale, offsetY + frame.y * scale, frame.w * scale, frame.h * scale);
+        ctx.strokeRect(offsetX + frame.x * scale, offsetY + frame.y * scale, frame.w * scale, frame.h * scale);
+        ctx.restore();
+        drawFrameGuides(frame);
+    }
+
+    if (editor) {
+        drawEditOverlay();
+    }
 }
 
 /**
- * Renders an atlas image onto the preview canvas
- * @param {HTMLImageElement} atlasImage - The atlas image to render
+ * Draws a frame's 9-slice borders as dashed lines and its pivot as a cross
+ * @param {import('../core/imageLoader.js').PackedFrame} frame
+ */
+function drawFrameGuides(frame) {
+    if (!frame.pivot && !frame.nineSlice) return;
+
+    const { scale, offsetX, offsetY } = view;
+    const size = getFrameSourceSize(frame);
+    const toCanvas = (x, y) => {
+        const point = sourceToAtlasPoint(frame, x, y);
+        return [offsetX + point.x * scale, offsetY + point.y * scale];
+    };
+
+    if (frame.nineSlice) {
+        const { left, top, right, bottom } = frame.nineSlice;
+
+        ctx.save();
+        // Trimmed frames end the lines where the kept area ends
+        ctx.beginPath();
+        ctx.rect(offsetX + frame.x * scale, offsetY + frame.y * scale, frame.w * scale, frame.h * scale);
+        ctx.clip();
+
+        ctx.strokeStyle = 'rgba(45, 212, 191, 1)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        for (const x of [left, size.w - right]) {
+            ctx.moveTo(...toCanvas(x, 0));
+            ctx.lineTo(...toCanvas(x, size.h));
+        }
+        for (const y of [top, size.h - bottom]) {
+            ctx.moveTo(...toCanvas(0, y));
+            ctx.lineTo(...toCanvas(size.w, y));
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    if (frame.pivot) {
+        drawPivotMarker(...toCanvas(frame.pivot.x * size.w, frame.pivot.y * size.h));
+    }
+}
+
+/**
+ * Draws the pivot cross
+ * @param {number} x - Center in canvas pixels
+ * @param {number} y
+ */
+function drawPivotMarker(x, y) {
+    ctx.save();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.moveTo(x - PIVOT_MARKER_SIZE, y);
+    ctx.lineTo(x + PIVOT_MARKER_SIZE, y);
+    ctx.moveTo(x, y - PIVOT_MARKER_SIZE);
+    ctx.lineTo(x, y + PIVOT_MARKER_SIZE);
+
+    // A dark outline keeps the cross visible on light and dark sprites
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.strokeStyle = 'rgba(45, 212, 191, 1)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Marks frames outside the atlas in red and draws the selected frame (or the
+ * rectangle being dragged) with its resize handles, pivot and 9-slice borders
+ */
+function drawEditOverlay() {
+    const { scale, offsetX, offsetY } = view;
+    const size = { w: current.width, h: current.height };
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(239, 68, 68, 0.35)';
+    for (const frame of current.frames) {
+        if (getFrameBoundsError(frame, size)) {
+            ctx.fillRect(offsetX + frame.x * scale, offsetY + frame.y * scale, frame.w * scale, frame.h * scale);
+        }
+    }
+
+    const rect = editor.preview || getSelectedFrame();
+    if (rect) {
+        const invalid = getFrameBoundsError({ name: '', ...rect }, size) !== null;
+        const x = offsetX + rect.x * scale;
+        const y = offsetY + rect.y * scale;
+        const w = rect.w * scale;
+        const h = rect.h * scale;
+
+        ctx.strokeStyle = invalid ? 'rgba(239, 68, 68, 1)' : 'rgba(250, 204, 21, 1)';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([]);
+        ctx.strokeRect(x, y, w, h);
+
+        for (const [hx, hy] of editor.callbacks.onUpdate ? [
+            [x, y], [x + w / 2, y], [x + w, y],
+            [x, y + h / 2], [x + w, y + h / 2],
+            [x, y + h], [x + w / 2, y + h], [x + w, y + h]
+        ] : []) {
+            ctx.fillRect(hx - HANDLE_SIZE / 2, hy - HANDLE_SIZE / 2, HANDLE_SIZE, HANDLE_SIZE);
+        }
+    }
+    ctx.restore();
+
+    if (!editor.preview && rect) {
+        drawFrameGuides(rect);
+    }
+}
+
+/**
+ * Converts a mouse event position to canvas pixels (the canvas is scaled by CSS)
+ * @param {MouseEvent} event
+ * @returns {{ x: number, y: number }}
+ */
+function getCanvasPoint(event) {
+    const rect = canvasElement.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * (canvasElement.width / rect.width),
+        y: (event.clientY - rect.top) * (canvasElement.height / rect.height)
+    };
+}
+
+/**
+ * Converts a canvas point to atlas pixels
+ * @param {{ x: number, y: number }} point
+ * @returns {{ x: number, y: number }}
+ */
+function toAtlasPoint(point) {
+    return {
+        x: (point.x - view.offsetX) / view.scale,
+        y: (point.y - view.offsetY) / view.scale
+    };
+}
+
+/**
+ * Finds the frames at an atlas point. Aliases share their original's rectangle,
+ * so several frames can match; originals come first.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {import('../core/imageLoader.js').PackedFrame[]}
+ */
+function findFramesAt(x, y) {
+    return current.frames
+        .filter(frame => x >= frame.x && x < frame.x + frame.w && y >= frame.y && y < frame.y + frame.h)
+        .sort((a, b) => (a.aliasOf ? 1 : 0) - (b.aliasOf ? 1 : 0));
+}
+
+/**
+ * Zooms around the cursor
+ * @param {WheelEvent} event
+ */
+function handleWheel(event) {
+    if (!current || playback) return;
+    event.preventDefault();
+
+    const point = getCanvasPoint(event);
+    const fitScale = Math.min(canvasElement.width / current.width, canvasElement.height / current.height, 1);
+    const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+    const scale = Math.min(Math.max(view.scale * factor, fitScale / 2), MAX_ZOOM);
+
+    // Keep the atlas pixel under the cursor in place
+    view = {
+        scale,
+        offsetX: point.x - (point.x - view.offsetX) * (scale / view.scale),
+        offsetY: point.y - (point.y - view.offsetY) * (scale / view.scale)
+    };
+    drawAtlas();
+    updateHover(event);
+}
+
+/**
+ * Starts dragging the view
+ * @param {MouseEvent} event
+ */
+function handleMouseDown(event) {
+    if (!current || playback) return;
+
+    // While editing, the left button edits frames; Alt or the middle button still pans
+    if (editor && event.button === 0 && !event.altKey) {
+        if (event.shiftKey && editor.callbacks.onPivot) {
+            placePivot(event);
+            return;
+        }
+        if (editor.callbacks.onUpdate) {
+            startFrameDrag(event);
+            return;
+        }
+
+        // Frames can only be selected: clicking selects, dragging pans
+        const point = toAtlasPoint(getCanvasPoint(event));
+        const frame = findFramesAt(point.x, point.y)[0];
+        changeSelection(frame ? frame.name : null);
+    }
+    if (event.button !== 0 && event.button !== 1) return;
+    event.preventDefault();
+
+    let last = getCanvasPoint(event);
+    canvasElement.style.cursor = 'grabbing';
+    hideTooltip();
+
+    const onMove = (moveEvent) => {
+        const point = getCanvasPoint(moveEvent);
+        view.offsetX += point.x - last.x;
+        view.offsetY += point.y - last.y;
+        last = point;
+        drawAtlas();
+    };
+    const onUp = () => {
+        window.removeEventListener('mousemove', onMove);
+        window.removeEventListener('mouseup', onUp);
+        canvasElement.style.cursor = '';
+    };
+
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Highlights the frame under the cursor and shows its details
+ * @param {MouseEvent} event
+ */
+function updateHover(event) {
+    if (!current || playback || event.buttons !== 0) return;
+
+    const point = toAtlasPoint(getCanvasPoint(event));
+    const hovered = findFramesAt(point.x, point.y);
+
+    if (editor && editor.callbacks.onUpdate) {
+        // Show what dragging from here would do: resize, move or draw a new frame
+        const selected = getSelectedFrame();
+        const handle = selected ? getFrameHandle(selected, point.x, point.y, HANDLE_SIZE / view.scale) : null;
+        canvasElement.style.cursor = handle ? HANDLE_CURSORS[handle] : hovered.length > 0 ? 'move' : 'crosshair';
+    } else if (editor) {
+        canvasElement.style.cursor = hovered.length > 0 ? 'pointer' : '';
+    }
+
+    if (hovered[0] !== current.hovered[0]) {
+        current.hovered = hovered;
+        drawAtlas();
+    }
+
+    if (hovered.length === 0) {
+        hideTooltip();
+    } else {
+        showTooltip(hovered, event);
+    }
+}
+
+/**
+ * Clears the hover highlight when the cursor leaves the canvas
+ */
+function handleMouseLeave() {
+    hideTooltip();
+    if (current && !playback && current.hovered.length > 0) {
+        current.hovered = [];
+        drawAtlas();
+    }
+}
+
+/**
+ * Fits the atlas to the canvas again
+ */
+function handleDoubleClick(event) {
+    if (!current || playback) return;
+
+    if (editor && editor.callbacks.onRename) {
+        const point = toAtlasPoint(getCanvasPoint(event));
+        const frame = findFramesAt(point.x, point.y)[0];
+        if (frame) {
+            startRename(frame);
+            return;
+        }
+    }
+
+    fitView();
+    drawAtlas();
+}
+
+/**
+ * Turns frame editing on or off. While editing, clicking selects a frame,
+ * dragging moves it or its edges, dragging on empty space draws a new frame,
+ * Delete removes the selected frame, double-click or F2 renames it and
+ * Shift+click places a frame's pivot. Only the interactions with a callback are
+ * enabled. Changes are reported through the callbacks; the caller updates the
+ * metadata and renders the atlas again.
+ *
+ * @param {FrameEditCallbacks|null} callbacks - Null ends editing
+ */
+export function setFrameEditing(callbacks) {
+    if (renameField) {
+        renameField.finish(false);
+    }
+
+    editor = callbacks ? { callbacks, selected: editor ? editor.selected : null, preview: null } : null;
+
+    if (canvasElement) {
+        canvasElement.style.cursor = '';
+    }
+    if (current) {
+        drawAtlas();
+    }
+}
+
+/**
+ * Selects a frame for editing
+ * @param {string|null} name
+ */
+export function selectFrame(name) {
+    if (!editor) return;
+
+    editor.selected = name;
+    if (current) {
+        drawAtlas();
+    }
+}
+
+/**
+ * Gets the name of the selected frame
+ * @returns {string|null} Null when nothing is selected or frames aren't editable
+ */
+export function getSelectedFrameName() {
+    return editor ? editor.selected : null;
+}
+
+/**
+ * Selects a frame for the user and reports the change
+ * @param {string|null} name
+ */
+function changeSelection(name) {
+    const changed = editor.selected !== name;
+    selectFrame(name);
+    if (changed && editor.callbacks.onSelect) {
+        editor.callbacks.onSelect(name);
+    }
+}
+
+/**
+ * Places the pivot of the frame under the cursor (the selected one if several overlap) and selects it
+ * @param {MouseEvent} event
+ */
+function placePivot(event) {
+    event.preventDefault();
+
+    const point = toAtlasPoint(getCanvasPoint(event));
+    const frames = findFramesAt(point.x, point.y);
+    const frame = frames.find(candidate => candidate.name === editor.selected) || frames[0];
+    if (!frame) return;
+
+    changeSelection(frame.name);
+    editor.callbacks.onPivot(frame.name, pivotFromAtlasPoint(frame, point.x, point.y));
+}
+
+/**
+ * Gets the selected frame if it is on the shown page
+ * @returns {import('../core/imageLoader.js').PackedFrame|null}
+ */
+function getSelectedFrame() {
+    if (!editor || !current || editor.selected === null) return null;
+    return current.frames.find(frame => frame.name === editor.selected) || null;
+}
+
+/**
+ * Starts moving or resizing the frame under the cursor, or drawing a new one
+ * @param {MouseEvent} event
+ */
+function startFrameDrag(event) {
+    event.preventDefault();
+    hideTooltip();
+
+    const startCanvas = getCanvasPoint(event);
+    const start = toAtlasPoint(startCanvas);
+    const selected = getSelectedFrame();
+    let handle = selected ? getFrameHandle(selected, start.x, start.y, HANDLE_SIZE / view.scale) : null;
+    let target = handle ? selected : null;
+
+    if (!handle) {
+        target = findFramesAt(start.x, start.y)[0] || null;
+        handle = target ? 'move' : null;
+    }
+
+    changeSelection(target ? target.name : null);
+
+    let dragging = false;
+
+    const onMove = (moveEvent) => {
+        if (!editor) return;
+        const point = getCanvasPoint(moveEvent);
+
+        // Ignore the jitter of a plain click
+        if (!dragging && Math.hypot(point.x - startCanvas.x, point.y - startCanvas.y) < 3) return;
+        dragging = true;
+
+        const end = toAtlasPoint(point);
+        editor.preview = target
+            ? dragFrameRect(target, handle, end.x - start.x, end.y - start.y)
+            : rectFromPoints(start.x, start.y, end.x, end.y);
+        drawAtlas();
+    };
+    const onUp = () => {
+        window.removeEventListener('mousemove', onMove);
+        window.removeEventListener('mouseup', onUp);
+        if (!editor) return;
+
+        const rect = editor.preview;
+        editor.preview = null;
+        drawAtlas();
+
+        if (!dragging || !rect) return;
+        if (!target) {
+            editor.callbacks.onCreate(rect);
+        } else if (rect.x !== target.x || rect.y !== target.y || rect.w !== target.w || rect.h !== target.h) {
+            editor.callbacks.onUpdate(target.name, rect);
+        }
+    };
+
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+}
+
+/**
+ * Opens a text field over a frame to rename it. Enter or leaving the field
+ * saves the name, Escape cancels.
+ *
+ * @param {import('../core/imageLoader.js').PackedFrame} frame
+ */
+function startRename(frame) {
+    if (renameField) {
+        renameField.finish(false);
+    }
+
+    // The canvas is scaled by CSS, so convert canvas pixels to CSS pixels
+    const rect = canvasElement.getBoundingClientRect();
+    const cssScale = rect.width / canvasElement.width;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'preview-rename-input';
+    input.value = frame.name;
+    input.style.left = `${canvasElement.offsetLeft + (view.offsetX + frame.x * view.scale) * cssScale}px`;
+    input.style.top = `${canvasElement.offsetTop + (view.offsetY + frame.y * view.scale) * cssScale}px`;
+
+    const finish = (save) => {
+        if (renameField === null || renameField.element !== input) return;
+        renameField = null;
+        input.remove();
+
+        const name = input.value.trim();
+        if (save && editor && name && name !== frame.name) {
+            editor.callbacks.onRename(frame.name, name);
+        }
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') finish(true);
+        if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    renameField = { element: input, finish };
+    canvasElement.parentElement.appendChild(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Keyboard shortcuts while editing: Delete removes the selected frame, arrow keys
+ * nudge it (10 px with Shift), F2 renames it and Escape clears the selection
+ * @param {KeyboardEvent} event
+ */
+function handleKeyDown(event) {
+    if (!editor || !current || playback) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    if (event.key === 'Escape') {
+        changeSelection(null);
+        return;
+    }
+
+    const frame = getSelectedFrame();
+    if (!frame || !editor.callbacks.onUpdate) return;
+
+    const step = event.shiftKey ? 10 : 1;
+    const nudges = {
+        ArrowLeft: [-step, 0],
+        ArrowRight: [step, 0],
+        ArrowUp: [0, -step],
+        ArrowDown: [0, step]
+    };
+
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        editor.callbacks.onDelete(frame.name);
+    } else if (event.key === 'F2') {
+        event.preventDefault();
+        startRename(frame);
+    } else if (nudges[event.key]) {
+        event.preventDefault();
+        const [dx, dy] = nudges[event.key];
+        editor.callbacks.onUpdate(frame.name, dragFrameRect(frame, 'move', dx, dy));
+    }
+}
+
+/**
+ * Describes a frame for the tooltip
+ * @param {import('../core/imageLoader.js').PackedFrame[]} frames - Frames sharing the hovered rectangle
+ * @returns {string[]} Tooltip lines
+ */
+function describeFrames(frames) {
+    const [frame, ...others] = frames;
+    const lines = [
+        frame.name,
+        `Position: ${frame.x}, ${frame.y}`,
+        `Size: ${frame.w}×${frame.h}`
+    ];
+
+    if (frame.page) {
+        lines.push(`Page: ${frame.page}`);
+    }
+    if (frame.rotated) {
+        lines.push(frame.counterClockwise ? 'Rotated 90° counter-clockwise' : 'Rotated 90° clockwise');
+    }
+    if (frame.trimmed && frame.sourceSize && frame.spriteSourceSize) {
+        lines.push(`Trimmed from ${frame.sourceSize.w}×${frame.sourceSize.h} at ` +
+            `${frame.spriteSourceSize.x}, ${frame.spriteSourceSize.y}`);
+    }
+    if (frame.pivot) {
+        lines.push(`Pivot: ${frame.pivot.x}, ${frame.pivot.y}`);
+    }
+    if (frame.nineSlice) {
+        const { left, top, right, bottom } = frame.nineSlice;
+        lines.push(`9-slice: ${left}, ${top}, ${right}, ${bottom} (left, top, right, bottom)`);
+    }
+    if (frame.aliasOf) {
+        lines.push(`Alias of ${frame.aliasOf}`);
+    }
+    if (others.length > 0) {
+        lines.push(`Also: ${others.map(other => other.name).join(', ')}`);
+    }
+
+    return lines;
+}
+
+/**
+ * Shows the tooltip next to the cursor
+ * @param {import('../core/imageLoader.js').PackedFrame[]} frames
+ * @param {MouseEvent} event
+ */
+function showTooltip(frames, event) {
+    if (!tooltipElement) return;
+
+    tooltipElement.innerHTML = '';
+    describeFrames(frames).forEach((line, index) => {
+        const row = document.createElement('div');
+        if (index === 0) row.className = 'preview-tooltip-title';
+        row.textContent = line;
+        tooltipElement.appendChild(row);
+    });
+
+    // Position relative to the canvas, flipping to the left near the right edge
+    const rect = canvasElement.getBoundingClientRect();
+    const x = event.clientX - rect.left + canvasElement.offsetLeft;
+    const y = event.clientY - rect.top + canvasElement.offsetTop;
+    tooltipElement.style.display = 'block';
+    tooltipElement.style.left = `${x + 14}px`;
+    tooltipElement.style.top = `${y + 14}px`;
+    if (event.clientX - rect.left + 14 + tooltipElement.offsetWidth > rect.width) {
+        tooltipElement.style.left = `${x - 14 - tooltipElement.offsetWidth}px`;
+    }
+}
+
+/**
+ * Hides the tooltip
+ */
+function hideTooltip() {
+    if (tooltipElement) {
+        tooltipElement.style.display = 'none';
+    }
+}
+
+/**
+ * Outlines frames on top of the rendered atlas.
+ * Rotated frames get a dashed outline and a filled corner marking the sprite's top edge.
+ *
+ * @param {import('../core/imageLoader.js').PackedFrame[]} frames - Frames to outline
+ * @param {number} scale - Atlas-to-preview scale
+ * @param {number} offsetX - Atlas left edge on the preview
+ * @param {number} offsetY - Atlas top edge on the preview
+ */
+function drawFrameOverlay(frames, scale, offsetX, offsetY) {
+    if (frames.length === 0) return;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    for (const frame of frames) {
+        const x = offsetX + frame.x * scale;
+        const y = offsetY + frame.y * scale;
+        const w = frame.w * scale;
+        const h = frame.h * scale;
+
+        if (frame.rotated) {
+            ctx.strokeStyle = 'rgba(96, 165, 250, 0.9)';
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+
+            // The sprite's top-left corner sits at the frame's top-right after a clockwise
+            // rotation, or at its bottom-left after a counter-clockwise one
+            const marker = Math.min(8, w / 2, h / 2);
+            const cornerX = frame.counterClockwise ? x : x + w;
+            const cornerY = frame.counterClockwise ? y + h : y;
+            const dirX = frame.counterClockwise ? 1 : -1;
+            const dirY = frame.counterClockwise ? -1 : 1;
+            ctx.fillStyle = 'rgba(96, 165, 250, 0.9)';
+            ctx.beginPath();
+            ctx.moveTo(cornerX, cornerY);
+            ctx.lineTo(cornerX + dirX * marker, cornerY);
+            ctx.lineTo(cornerX, cornerY + dirY * marker);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            ctx.strokeStyle = 'rgba(233, 69, 96, 0.6)';
+            ctx.setLineDash([]);
+            ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * @typedef {Object} PlaybackFrame
+ * @property {import('../core/imageLoader.js').PackedFrame} frame - Frame to show
+ * @property {HTMLCanvasElement|HTMLImageElement} source - Atlas page holding the frame
+ */
+
+/**
+ * @typedef {Object} PlaybackStatus
+ * @property {number} index - Shown frame index
+ * @property {number} count - Number of frames in the sequence
+ * @property {string} name - Shown frame name
+ * @property {boolean} playing - Whether playback is running
+ */
+
+/**
+ * @typedef {Object} PlaybackOptions
+ * @property {number} fps - Frames per second
+ * @property {import('../core/animationGrouper.js').LoopMode} loop - Loop mode
+ * @property {boolean} onionSkin - Draw the previous frame faintly behind the current one
+ * @property {function(PlaybackStatus): void} [onUpdate] - Called whenever the shown frame or play state changes
  */
-export function renderAtlasImage(atlasImage) {
+
+/**
+ * Active animation playback, or null while the preview shows the atlas
+ * @type {{ frames: PlaybackFrame[], options: PlaybackOptions, index: number, direction: 1|-1,
+ *          playing: boolean, requestId: number|null, lastTime: number|null }|null}
+ */
+let playback = null;
+
+/**
+ * Plays a frame sequence in the preview instead of the atlas.
+ * Frames are drawn upright at their original size, aligned on their source rectangle,
+ * so a jittering sprite points at wrong trim offsets or artwork. Pivots are marked,
+ * so a jumping cross points at a wrong pivot.
+ * If playback is already running, the sequence is swapped and the position and play state kept.
+ *
+ * @param {PlaybackFrame[]} frames - Sequence in playback order
+ * @param {PlaybackOptions} options
+ */
+export function showPlayback(frames, options) {
     if (!canvasElement || !ctx) {
         console.warn('Preview canvas not initialized');
         return;
     }
 
-    // Clear with checkerboard
+    if (playback) {
+        playback.frames = frames;
+        playback.index = Math.min(playback.index, Math.max(frames.length - 1, 0));
+        updatePlaybackOptions(options);
+        return;
+    }
+
+    playback = { frames, options, index: 0, direction: 1, playing: false, requestId: null, lastTime: null };
+    setPlaybackPlaying(true);
+}
+
+/**
+ * Stops playback. The caller redraws the atlas afterwards.
+ */
+export function stopPlayback() {
+    if (!playback) return;
+
+    if (playback.requestId !== null) {
+        cancelAnimationFrame(playback.requestId);
+    }
+    playback = null;
+}
+
+/**
+ * Checks whether the preview is playing a sequence (running or paused)
+ * @returns {boolean}
+ */
+export function isPlaybackActive() {
+    return playback !== null;
+}
+
+/**
+ * Starts or pauses playback
+ * @param {boolean} playing
+ */
+export function setPlaybackPlaying(playing) {
+    if (!playback) return;
+
+    if (playing && !playback.playing) {
+        // Restart a finished 'once' sequence from the beginning
+        if (playback.options.loop === 'once' && playback.index >= playback.frames.length - 1) {
+            playback.index = 0;
+        }
+        playback.playing = true;
+        playback.lastTime = null;
+        playback.requestId = requestAnimationFrame(tickPlayback);
+    } else if (!playing && playback.playing) {
+        playback.playing = false;
+        cancelAnimationFrame(playback.requestId);
+        playback.requestId = null;
+    }
+
+    drawPlaybackFrame();
+}
+
+/**
+ * Checks whether playback is running
+ * @returns {boolean}
+ */
+export function isPlaybackPlaying() {
+    return playback !== null && playback.playing;
+}
+
+/**
+ * Pauses playback and moves by whole frames, wrapping around at either end
+ * @param {number} delta - Frames to move; negative steps backwards
+ */
+export function stepPlayback(delta) {
+    if (!playback || playback.frames.length === 0) return;
+
+    setPlaybackPlaying(false);
+    const count = playback.frames.length;
+    playback.index = ((playback.index + delta) % count + count) % count;
+    drawPlaybackFrame();
+}
+
+/**
+ * Changes fps, loop mode or onion-skinning while playing
+ * @param {Partial<PlaybackOptions>} updates
+ */
+export function updatePlaybackOptions(updates) {
+    if (!playback) return;
+
+    playback.options = { ...playback.options, ...updates };
+    if (playback.options.loop !== 'ping-pong') {
+        playback.direction = 1;
+    }
+    drawPlaybackFrame();
+}
+
+/**
+ * Animation frame callback; advances as many frames as the elapsed time covers
+ * @param {number} time - Timestamp from requestAnimationFrame
+ */
+function tickPlayback(time) {
+    if (!playback || !playback.playing) return;
+
+    const frameDuration = 1000 / Math.max(playback.options.fps, 1);
+
+    if (playback.lastTime === null || time - playback.lastTime > 1000) {
+        // First tick, or the tab was in the background: don't try to catch up
+        playback.lastTime = time;
+    }
+
+    let advanced = false;
+    while (time - playback.lastTime >= frameDuration) {
+        const next = advanceFrame(playback.index, playback.direction, playback.frames.length, playback.options.loop);
+        playback.index = next.index;
+        playback.direction = next.direction;
+        playback.lastTime += frameDuration;
+        advanced = true;
+
+        if (next.finished) {
+            playback.playing = false;
+            playback.requestId = null;
+            drawPlaybackFrame();
+            return;
+        }
+    }
+
+    if (advanced) {
+        drawPlaybackFrame();
+    }
+    playback.requestId = requestAnimationFrame(tickPlayback);
+}
+
+/**
+ * Draws one frame upright with its source rectangle's top-left at (x, y)
+ * @param {PlaybackFrame} entry
+ * @param {number} x
+ * @param {number} y
+ * @param {number} scale
+ */
+function drawUprightFrame(entry, x, y, scale) {
+    const { frame, source } = entry;
+    const offsetX = frame.spriteSourceSize ? frame.spriteSourceSize.x : 0;
+    const offsetY = frame.spriteSourceSize ? frame.spriteSourceSize.y : 0;
+
+    ctx.save();
+    ctx.translate(x + offsetX * scale, y + offsetY * scale);
+    ctx.scale(scale, scale);
+
+    // Same transforms as atlasUnpacker uses to turn rotated frames back
+    if (frame.rotated && frame.counterClockwise) {
+        ctx.translate(frame.h, 0);
+        ctx.rotate(Math.PI / 2);
+    } else if (frame.rotated) {
+        ctx.translate(0, frame.w);
+        ctx.rotate(-Math.PI / 2);
+    }
+
+    ctx.drawImage(source, frame.x, frame.y, frame.w, frame.h, 0, 0, frame.w, frame.h);
+    ctx.restore();
+}
+
+/**
+ * Draws the current playback frame, the onion skin and the source rectangle outline
+ */
+function drawPlaybackFrame() {
+    if (!playback) return;
+
     clearCanvas();
 
-    const maxWidth = canvasElement.width;
-    const maxHeight = canvasElement.height;
-    const atlasWidth = atlasImage.naturalWidth;
-    const atlasHeight = atlasImage.naturalHeight;
+    const { frames, options, index } = playback;
+    if (frames.length === 0) {
+        if (options.onUpdate) {
+            options.onUpdate({ index: 0, count: 0, name: '', playing: playback.playing });
+        }
+        return;
+    }
+
+    // One box fits every frame so they share an origin
+    const boxW = Math.max(...frames.map(entry => getFrameSourceSize(entry.frame).w));
+    const boxH = Math.max(...frames.map(entry => getFrameSourceSize(entry.frame).h));
+
+    // Whole-number zoom keeps pixel art crisp; large frames are scaled down to fit
+    const fit = Math.min(canvasElement.width / boxW, canvasElement.height / boxH) * 0.8;
+    const scale = fit >= 1 ? Math.floor(fit) : fit;
+    const x = Math.round((canvasElement.width - boxW * scale) / 2);
+    const y = Math.round((canvasElement.height - boxH * scale) / 2);
 
-    // Calculate scale to fit
-    const scale = Math.min(maxWidth / atlasWidth, maxHeight / atlasHeight, 1);
-    const scaledWidth = atlasWidth * scale;
-    const scaledHeight = atlasHeight * scale;
+    ctx.save();
+    ctx.imageSmoothingEnabled = scale < 1;
 
-    // Center the atlas
-    const offsetX = (maxWidth - scaledWidth) / 2;
-    const offsetY = (maxHeight - scaledHeight) / 2;
+    if (options.onionSkin && frames.length > 1) {
+        // The frame shown before this one, in the current playback direction
+        let previous = index - playback.direction;
+        if (options.loop === 'loop') {
+            previous = (previous + frames.length) % frames.length;
+        }
+        if (previous >= 0 && previous < frames.length) {
+            ctx.globalAlpha = 0.3;
+            drawUprightFrame(frames[previous], x, y, scale);
+            ctx.globalAlpha = 1;
+        }
+    }
 
-    // Draw the atlas
-    ctx.drawImage(atlasImage, offsetX, offsetY, scaledWidth, scaledHeight);
+    drawUprightFrame(frames[index], x, y, scale);
+
+    ctx.strokeStyle = 'rgba(233, 69, 96, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(x - 0.5, y - 0.5, boxW * scale + 1, boxH * scale + 1);
+    ctx.restore();
+
+    const { frame } = frames[index];
+    if (frame.pivot) {
+        const size = getFrameSourceSize(frame);
+        drawPivotMarker(x + frame.pivot.x * size.w * scale, y + frame.pivot.y * size.h * scale);
+    }
+
+    if (options.onUpdate) {
+        options.onUpdate({ index, count: frames.length, name: frames[index].frame.name, playing: playback.playing });
+    }
 }
 
 /**
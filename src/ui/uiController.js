@@ -5,12 +5,31 @@
 
 import * as state from './uiState.js';
 import { initFileInput, updateSpriteList, updateUnpackFileList } from './fileInput.js';
-import { initPreviewCanvas, renderAtlas, renderAtlasImage, clearCanvas } from './previewCanvas.js';
+import {
+    initPreviewCanvas, initPageTabs, updatePageTabs, renderAtlas, renderAtlasImage, clearCanvas,
+    showPlayback, stopPlayback, setPlaybackPlaying, isPlaybackPlaying, stepPlayback,
+    setFrameEditing, selectFrame, getSelectedFrameName
+} from './previewCanvas.js';
 import { initLogPanel, logInfo, logWarning, logError, clearLog } from './logPanel.js';
-import { packAtlas } from '../core/atlasPacker.js';
-import { unpackAtlas } from '../core/atlasUnpacker.js';
-import { canvasToBlob } from '../utils/imageUtils.js';
-import { downloadBlob, downloadJSON } from '../utils/download.js';
+import { initAnimationEditor, updateAnimationList } from './animationEditor.js';
+import { initFrameSelector, updateFrameSelector } from './frameSelector.js';
+import { initFramePropertiesPanel, updateFramePropertiesPanel } from './framePropertiesPanel.js';
+import { packAtlas, parseScaleList } from '../core/atlasPacker.js';
+import { isWorkerPackingSupported, packAtlasInWorker, releasePackWorker } from '../workers/packWorkerClient.js';
+import { stripCommonPathPrefix } from '../core/imageLoader.js';
+import { getAvailableAlgorithms, getMaxRectsHeuristics, getSortStrategies } from '../core/packingAlgorithms.js';
+import { unpackAtlas, resolvePageImages, detectSprites } from '../core/atlasUnpacker.js';
+import { sliceGrid, getGridSliceModes } from '../core/gridSlicer.js';
+import { detectAnimations, mergeAnimations, expandFramePattern, getLoopModes } from '../core/animationGrouper.js';
+import {
+    createEmptyMetadata, getFrameBoundsError, createUniqueFrameName,
+    updateFrameRect, addFrame, removeFrame, renameFrame, setFrameProperties, copyFrameProperties,
+    recordFrameProperties
+} from '../core/frameEditor.js';
+import { rasterToCanvas, rasterToBlob, rasterToIndexedBlob } from '../utils/imageUtils.js';
+import { downloadBlob, downloadJSON, downloadZip, formatByteSize } from '../utils/download.js';
+import { getMetadataExporters, exportMetadata } from '../utils/metadataExporters.js';
+import { getResampleFilters } from '../utils/resample.js';
 
 /**
  * DOM element references
@@ -22,18 +41,117 @@ let elements = {
     fileInput: null,
     fileList: null,
     settingsPanel: null,
+    algorithmSelect: null,
+    heuristicGroup: null,
+    heuristicSelect: null,
+    sortSelect: null,
     paddingInput: null,
+    extrudeInput: null,
     maxSizeSelect: null,
     powerOfTwoCheckbox: null,
+    multiPageCheckbox: null,
+    trimCheckbox: null,
+    alphaThresholdGroup: null,
+    alphaThresholdInput: null,
+    rotationCheckbox: null,
+    dedupeCheckbox: null,
+    alphaBleedGroup: null,
+    alphaBleedCheckbox: null,
+    premultiplyCheckbox: null,
+    scalesInput: null,
+    scaleFilterGroup: null,
+    scaleFilterSelect: null,
+    stripPrefixCheckbox: null,
+    animationList: null,
+    addAnimationBtn: null,
+    exportFormatSelect: null,
+    pngColorsInput: null,
+    ditherGroup: null,
+    ditherCheckbox: null,
+    unpackSettingsPanel: null,
+    sliceSourceSelect: null,
+    gridSettings: null,
+    gridModeSelect: null,
+    gridSizeGroup: null,
+    gridCountGroup: null,
+    cellWidthInput: null,
+    cellHeightInput: null,
+    columnsInput: null,
+    rowsInput: null,
+    gridMarginInput: null,
+    gridSpacingInput: null,
+    nameTemplateInput: null,
+    skipEmptyCheckbox: null,
+    detectSettings: null,
+    detectAlphaInput: null,
+    mergeDistanceInput: null,
+    minRegionInput: null,
+    frameSelectList: null,
+    frameSelectCount: null,
+    selectAllFramesBtn: null,
+    selectNoFramesBtn: null,
+    framePatternInput: null,
+    frameAnimationSelect: null,
     generateBtn: null,
     downloadAtlasBtn: null,
     downloadJsonBtn: null,
+    downloadBundleBtn: null,
     downloadAllSpritesBtn: null,
+    taskProgress: null,
+    taskProgressBar: null,
+    taskProgressLabel: null,
+    cancelTaskBtn: null,
     previewCanvas: null,
+    previewTooltip: null,
+    pageTabs: null,
+    playbackSourceSelect: null,
+    playbackFramesInput: null,
+    playbackControls: null,
+    playbackPrevBtn: null,
+    playbackPlayBtn: null,
+    playbackNextBtn: null,
+    playbackFpsInput: null,
+    playbackLoopSelect: null,
+    playbackOnionCheckbox: null,
+    playbackFrameLabel: null,
+    editFramesToggle: null,
+    editFramesCheckbox: null,
+    frameProperties: null,
+    framePropertiesName: null,
+    pivotXInput: null,
+    pivotYInput: null,
+    nineSliceLeftInput: null,
+    nineSliceTopInput: null,
+    nineSliceRightInput: null,
+    nineSliceBottomInput: null,
+    framePropertiesPatternInput: null,
+    applyFramePropertiesBtn: null,
     logPanel: null,
     clearFilesBtn: null
 };
 
+/**
+ * Cancels the running packing or extraction; null while none is running
+ * @type {AbortController|null}
+ */
+let taskAbortController = null;
+
+/**
+ * Sprite count from which packing moves to the worker. Smaller jobs pack on the
+ * main thread, where they finish before copying the sprites to a worker would.
+ */
+const WORKER_PACK_THRESHOLD = 200;
+
+/**
+ * Progress label for each packing stage
+ */
+const PACK_STAGE_NAMES = {
+    trim: 'Trimming',
+    pack: 'Packing',
+    draw: 'Drawing',
+    encode: 'Encoding'
+};
+
 /**
  * Initializes the entire UI
  */
@@ -45,20 +163,128 @@ export function initUI() {
     elements.fileInput = document.getElementById('file-input');
     elements.fileList = document.getElementById('file-list');
     elements.settingsPanel = document.getElementById('settings-panel');
+    elements.algorithmSelect = document.getElementById('algorithm-select');
+    elements.heuristicGroup = document.getElementById('heuristic-group');
+    elements.heuristicSelect = document.getElementById('heuristic-select');
+    elements.sortSelect = document.getElementById('sort-select');
     elements.paddingInput = document.getElementById('padding-input');
+    elements.extrudeInput = document.getElementById('extrude-input');
     elements.maxSizeSelect = document.getElementById('max-size-select');
     elements.powerOfTwoCheckbox = document.getElementById('power-of-two');
+    elements.multiPageCheckbox = document.getElementById('multi-page');
+    elements.trimCheckbox = document.getElementById('trim-checkbox');
+    elements.alphaThresholdGroup = document.getElementById('alpha-threshold-group');
+    elements.alphaThresholdInput = document.getElementById('alpha-threshold-input');
+    elements.rotationCheckbox = document.getElementById('allow-rotation');
+    elements.dedupeCheckbox = document.getElementById('dedupe-checkbox');
+    elements.alphaBleedGroup = document.getElementById('alpha-bleed-group');
+    elements.alphaBleedCheckbox = document.getElementById('alpha-bleed-checkbox');
+    elements.premultiplyCheckbox = document.getElementById('premultiply-checkbox');
+    elements.scalesInput = document.getElementById('scales-input');
+    elements.scaleFilterGroup = document.getElementById('scale-filter-group');
+    elements.scaleFilterSelect = document.getElementById('scale-filter-select');
+    elements.stripPrefixCheckbox = document.getElementById('strip-prefix-checkbox');
+    elements.animationList = document.getElementById('animation-list');
+    elements.addAnimationBtn = document.getElementById('add-animation-btn');
+    elements.exportFormatSelect = document.getElementById('export-format-select');
+    elements.pngColorsInput = document.getElementById('png-colors-input');
+    elements.ditherGroup = document.getElementById('dither-group');
+    elements.ditherCheckbox = document.getElementById('dither-checkbox');
+    elements.unpackSettingsPanel = document.getElementById('unpack-settings-panel');
+    elements.sliceSourceSelect = document.getElementById('slice-source-select');
+    elements.gridSettings = document.getElementById('grid-settings');
+    elements.gridModeSelect = document.getElementById('grid-mode-select');
+    elements.gridSizeGroup = document.getElementById('grid-size-group');
+    elements.gridCountGroup = document.getElementById('grid-count-group');
+    elements.cellWidthInput = document.getElementById('cell-width-input');
+    elements.cellHeightInput = document.getElementById('cell-height-input');
+    elements.columnsInput = document.getElementById('columns-input');
+    elements.rowsInput = document.getElementById('rows-input');
+    elements.gridMarginInput = document.getElementById('grid-margin-input');
+    elements.gridSpacingInput = document.getElementById('grid-spacing-input');
+    elements.nameTemplateInput = document.getElementById('name-template-input');
+    elements.skipEmptyCheckbox = document.getElementById('skip-empty-checkbox');
+    elements.detectSettings = document.getElementById('detect-settings');
+    elements.detectAlphaInput = document.getElementById('detect-alpha-input');
+    elements.mergeDistanceInput = document.getElementById('merge-distance-input');
+    elements.minRegionInput = document.getElementById('min-region-input');
+    elements.frameSelectList = document.getElementById('frame-select-list');
+    elements.frameSelectCount = document.getElementById('frame-select-count');
+    elements.selectAllFramesBtn = document.getElementById('select-all-frames-btn');
+    elements.selectNoFramesBtn = document.getElementById('select-no-frames-btn');
+    elements.framePatternInput = document.getElementById('frame-pattern-input');
+    elements.frameAnimationSelect = document.getElementById('frame-animation-select');
     elements.generateBtn = document.getElementById('generate-btn');
     elements.downloadAtlasBtn = document.getElementById('download-atlas-btn');
     elements.downloadJsonBtn = document.getElementById('download-json-btn');
+    elements.downloadBundleBtn = document.getElementById('download-bundle-btn');
     elements.downloadAllSpritesBtn = document.getElementById('download-all-sprites-btn');
+    elements.taskProgress = document.getElementById('task-progress');
+    elements.taskProgressBar = document.getElementById('task-progress-bar');
+    elements.taskProgressLabel = document.getElementById('task-progress-label');
+    elements.cancelTaskBtn = document.getElementById('cancel-task-btn');
     elements.previewCanvas = document.getElementById('preview-canvas');
+    elements.previewTooltip = document.getElementById('preview-tooltip');
+    elements.pageTabs = document.getElementById('page-tabs');
+    elements.playbackSourceSelect = document.getElementById('playback-source-select');
+    elements.playbackFramesInput = document.getElementById('playback-frames-input');
+    elements.playbackControls = document.getElementById('playback-controls');
+    elements.playbackPrevBtn = document.getElementById('playback-prev-btn');
+    elements.playbackPlayBtn = document.getElementById('playback-play-btn');
+    elements.playbackNextBtn = document.getElementById('playback-next-btn');
+    elements.playbackFpsInput = document.getElementById('playback-fps-input');
+    elements.playbackLoopSelect = document.getElementById('playback-loop-select');
+    elements.playbackOnionCheckbox = document.getElementById('playback-onion-checkbox');
+    elements.playbackFrameLabel = document.getElementById('playback-frame-label');
+    elements.editFramesToggle = document.getElementById('edit-frames-toggle');
+    elements.editFramesCheckbox = document.getElementById('edit-frames-checkbox');
+    elements.frameProperties = document.getElementById('frame-properties');
+    elements.framePropertiesName = document.getElementById('frame-properties-name');
+    elements.pivotXInput = document.getElementById('pivot-x-input');
+    elements.pivotYInput = document.getElementById('pivot-y-input');
+    elements.nineSliceLeftInput = document.getElementById('nine-slice-left-input');
+    elements.nineSliceTopInput = document.getElementById('nine-slice-top-input');
+    elements.nineSliceRightInput = document.getElementById('nine-slice-right-input');
+    elements.nineSliceBottomInput = document.getElementById('nine-slice-bottom-input');
+    elements.framePropertiesPatternInput = document.getElementById('frame-properties-pattern-input');
+    elements.applyFramePropertiesBtn = document.getElementById('apply-frame-properties-btn');
     elements.logPanel = document.getElementById('log-panel');
     elements.clearFilesBtn = document.getElementById('clear-files-btn');
 
     // Initialize components
     initLogPanel(elements.logPanel);
-    initPreviewCanvas(elements.previewCanvas);
+    initPreviewCanvas(elements.previewCanvas, elements.previewTooltip);
+    initPageTabs(elements.pageTabs);
+    initAnimationEditor({
+        listElement: elements.animationList,
+        addButton: elements.addAnimationBtn,
+        onChange: (animations) => state.setAnimations(animations),
+        onError: (msg) => logError(msg)
+    });
+    initFrameSelector({
+        listElement: elements.frameSelectList,
+        countElement: elements.frameSelectCount,
+        allButton: elements.selectAllFramesBtn,
+        noneButton: elements.selectNoFramesBtn,
+        patternInput: elements.framePatternInput,
+        animationSelect: elements.frameAnimationSelect,
+        onChange: (excluded) => state.setExcludedFrames(excluded)
+    });
+    initFramePropertiesPanel({
+        nameLabel: elements.framePropertiesName,
+        pivotXInput: elements.pivotXInput,
+        pivotYInput: elements.pivotYInput,
+        nineSliceInputs: {
+            left: elements.nineSliceLeftInput,
+            top: elements.nineSliceTopInput,
+            right: elements.nineSliceRightInput,
+            bottom: elements.nineSliceBottomInput
+        },
+        patternInput: elements.framePropertiesPatternInput,
+        applyButton: elements.applyFramePropertiesBtn,
+        onChange: applyFrameProperties,
+        onError: (msg) => logError(msg)
+    });
 
     // Initialize file input
     initFileInput({
@@ -76,20 +302,83 @@ export function initUI() {
     elements.modePackBtn.addEventListener('click', () => switchMode('pack'));
     elements.modeUnpackBtn.addEventListener('click', () => switchMode('unpack'));
 
+    // Fill option lists
+    populateSelect(elements.algorithmSelect, getAvailableAlgorithms());
+    populateSelect(elements.heuristicSelect, getMaxRectsHeuristics());
+    populateSelect(elements.sortSelect, getSortStrategies());
+    populateSelect(elements.exportFormatSelect, getMetadataExporters());
+    populateSelect(elements.scaleFilterSelect, getResampleFilters());
+    populateSelect(elements.gridModeSelect, getGridSliceModes());
+    populateSelect(elements.playbackLoopSelect, getLoopModes());
+
     // Settings changes
+    elements.algorithmSelect.addEventListener('change', handleAlgorithmChange);
+    elements.heuristicSelect.addEventListener('change', updateSettingsFromUI);
+    elements.sortSelect.addEventListener('change', updateSettingsFromUI);
     elements.paddingInput.addEventListener('change', updateSettingsFromUI);
+    elements.extrudeInput.addEventListener('change', updateSettingsFromUI);
     elements.maxSizeSelect.addEventListener('change', updateSettingsFromUI);
     elements.powerOfTwoCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.multiPageCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.trimCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.alphaThresholdInput.addEventListener('change', updateSettingsFromUI);
+    elements.rotationCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.dedupeCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.alphaBleedCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.premultiplyCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.scalesInput.addEventListener('change', updateSettingsFromUI);
+    elements.scaleFilterSelect.addEventListener('change', updateSettingsFromUI);
+    elements.stripPrefixCheckbox.addEventListener('change', updateSettingsFromUI);
+    elements.exportFormatSelect.addEventListener('change', updateSettingsFromUI);
+    elements.pngColorsInput.addEventListener('change', updateSettingsFromUI);
+    elements.ditherCheckbox.addEventListener('change', updateSettingsFromUI);
+
+    // Unpack slicing settings
+    for (const input of [
+        elements.sliceSourceSelect, elements.gridModeSelect, elements.cellWidthInput,
+        elements.cellHeightInput, elements.columnsInput, elements.rowsInput, elements.gridMarginInput,
+        elements.gridSpacingInput, elements.nameTemplateInput, elements.skipEmptyCheckbox,
+        elements.detectAlphaInput, elements.mergeDistanceInput, elements.minRegionInput
+    ]) {
+        input.addEventListener('change', updateSliceSettingsFromUI);
+    }
+
+    // Preview playback
+    elements.playbackSourceSelect.addEventListener('change', handlePlaybackSourceChange);
+    for (const input of [
+        elements.playbackFramesInput, elements.playbackFpsInput,
+        elements.playbackLoopSelect, elements.playbackOnionCheckbox
+    ]) {
+        input.addEventListener('change', updatePlaybackSettingsFromUI);
+    }
+    elements.playbackPrevBtn.addEventListener('click', () => stepPlayback(-1));
+    elements.playbackNextBtn.addEventListener('click', () => stepPlayback(1));
+    elements.playbackPlayBtn.addEventListener('click', () => setPlaybackPlaying(!isPlaybackPlaying()));
+
+    // Frame editing
+    elements.editFramesCheckbox.addEventListener('change', () => {
+        if (elements.editFramesCheckbox.checked) {
+            startFrameEditing();
+        } else {
+            stopFrameEditing();
+        }
+    });
 
     // Action buttons
     elements.generateBtn.addEventListener('click', handleGenerate);
     elements.downloadAtlasBtn.addEventListener('click', handleDownloadAtlas);
     elements.downloadJsonBtn.addEventListener('click', handleDownloadJson);
+    elements.downloadBundleBtn.addEventListener('click', handleDownloadBundle);
     elements.downloadAllSpritesBtn.addEventListener('click', handleDownloadAllSprites);
+    elements.cancelTaskBtn.addEventListener('click', () => {
+        if (taskAbortController) taskAbortController.abort();
+    });
     elements.clearFilesBtn.addEventListener('click', handleClearFiles);
 
     // Initialize settings from defaults
     syncSettingsToUI();
+    syncSliceSettingsToUI();
+    syncPlaybackSettingsToUI();
 
     // Initial UI state
     updateUIForMode();
@@ -104,10 +393,14 @@ export function initUI() {
 function switchMode(mode) {
     if (state.getMode() === mode) return;
 
+    stopFrameEditing();
+    if (taskAbortController) taskAbortController.abort();
+    releasePackWorker();
     state.setMode(mode);
     updateUIForMode();
-    clearCanvas();
+    renderPreview();
     updateFileListDisplay();
+    updateAnimationDisplay();
 
     logInfo(`Switched to ${mode.toUpperCase()} mode.`);
 }
@@ -123,35 +416,98 @@ function updateUIForMode() {
     elements.modePackBtn.classList.toggle('active', isPack);
     elements.modeUnpackBtn.classList.toggle('active', !isPack);
 
-    // Show/hide settings panel (only for pack mode)
-    elements.settingsPanel.style.display = isPack ? 'block' : 'none';
+    // Show the settings panel for the current mode
+    elements.settingsPanel.style.display = isPack ? 'flex' : 'none';
+    elements.unpackSettingsPanel.style.display = isPack ? 'none' : 'flex';
 
     // Update generate button text
     elements.generateBtn.textContent = isPack ? 'Generate Atlas' : 'Extract Sprites';
 
     // Show/hide download buttons
     elements.downloadAtlasBtn.style.display = isPack ? 'inline-block' : 'none';
-    elements.downloadJsonBtn.style.display = isPack ? 'inline-block' : 'none';
+    elements.downloadJsonBtn.style.display = 'inline-block';
+    elements.downloadBundleBtn.style.display = isPack ? 'inline-block' : 'none';
     elements.downloadAllSpritesBtn.style.display = isPack ? 'none' : 'inline-block';
+    elements.frameProperties.style.display = state.getFrameEditing() ? 'flex' : 'none';
 
     // Update drop zone text
     const dropZoneText = elements.dropZone.querySelector('.drop-zone-text');
     if (dropZoneText) {
         dropZoneText.textContent = isPack
-            ? 'Drop sprite images here or click to select'
-            : 'Drop atlas image and JSON here or click to select';
+            ? 'Drop sprite images or ZIP archives here or click to select'
+            : 'Drop atlas image(s) and metadata (JSON, XML, .atlas, .plist) here or click to select';
+    }
+}
+
+/**
+ * Fills a select element with options
+ * @param {HTMLSelectElement} select
+ * @param {{ id: string, name: string, description: string }[]} items
+ */
+function populateSelect(select, items) {
+    select.innerHTML = '';
+    for (const item of items) {
+        const option = document.createElement('option');
+        option.value = item.id;
+        option.textContent = item.name;
+        option.title = item.description;
+        select.appendChild(option);
     }
 }
 
+/**
+ * Shows settings that only apply to the selected algorithm or enabled options
+ */
+function updateAlgorithmSettingsVisibility() {
+    elements.heuristicGroup.style.display = elements.algorithmSelect.value === 'maxrects' ? 'flex' : 'none';
+    elements.alphaThresholdGroup.style.display = elements.trimCheckbox.checked ? 'flex' : 'none';
+    // Premultiplied pages keep transparent pixels black, so bleeding has no effect
+    elements.alphaBleedGroup.style.display = elements.premultiplyCheckbox.checked ? 'none' : 'flex';
+    elements.scaleFilterGroup.style.display = elements.scalesInput.value.trim() ? 'flex' : 'none';
+    elements.ditherGroup.style.display = parseInt(elements.pngColorsInput.value, 10) > 0 ? 'flex' : 'none';
+}
+
+/**
+ * Switches the sort strategy to the new algorithm's preferred order
+ */
+function handleAlgorithmChange() {
+    const algorithm = getAvailableAlgorithms().find(a => a.id === elements.algorithmSelect.value);
+    if (algorithm) {
+        elements.sortSelect.value = algorithm.defaultSort;
+    }
+    updateSettingsFromUI();
+}
+
 /**
  * Updates settings state from UI inputs
  */
 function updateSettingsFromUI() {
+    // A palette needs at least 2 entries; 0 keeps full RGBA
+    const pngColors = Math.min(256, Math.max(0, parseInt(elements.pngColorsInput.value, 10) || 0));
+
     state.updateSettings({
+        algorithm: elements.algorithmSelect.value,
+        maxRectsHeuristic: elements.heuristicSelect.value,
+        sortBy: elements.sortSelect.value,
         padding: parseInt(elements.paddingInput.value, 10) || 0,
+        extrude: Math.min(16, Math.max(0, parseInt(elements.extrudeInput.value, 10) || 0)),
         maxAtlasSize: parseInt(elements.maxSizeSelect.value, 10) || 1024,
-        powerOfTwo: elements.powerOfTwoCheckbox.checked
+        powerOfTwo: elements.powerOfTwoCheckbox.checked,
+        multiPage: elements.multiPageCheckbox.checked,
+        trim: elements.trimCheckbox.checked,
+        alphaThreshold: Math.min(254, Math.max(0, parseInt(elements.alphaThresholdInput.value, 10) || 0)),
+        allowRotation: elements.rotationCheckbox.checked,
+        dedupe: elements.dedupeCheckbox.checked,
+        alphaBleed: elements.alphaBleedCheckbox.checked,
+        premultiplyAlpha: elements.premultiplyCheckbox.checked,
+        scales: parseScaleList(elements.scalesInput.value),
+        scaleFilter: elements.scaleFilterSelect.value,
+        stripCommonPrefix: elements.stripPrefixCheckbox.checked,
+        exportFormat: elements.exportFormatSelect.value,
+        pngColors: pngColors === 1 ? 2 : pngColors,
+        pngDither: elements.ditherCheckbox.checked
     });
+    updateAlgorithmSettingsVisibility();
 }
 
 /**
@@ -159,9 +515,141 @@ function updateSettingsFromUI() {
  */
 function syncSettingsToUI() {
     const settings = state.getSettings();
+    elements.algorithmSelect.value = settings.algorithm;
+    elements.heuristicSelect.value = settings.maxRectsHeuristic;
+    elements.sortSelect.value = settings.sortBy;
     elements.paddingInput.value = settings.padding;
+    elements.extrudeInput.value = settings.extrude;
     elements.maxSizeSelect.value = settings.maxAtlasSize;
     elements.powerOfTwoCheckbox.checked = settings.powerOfTwo;
+    elements.multiPageCheckbox.checked = settings.multiPage;
+    elements.trimCheckbox.checked = settings.trim;
+    elements.alphaThresholdInput.value = settings.alphaThreshold;
+    elements.rotationCheckbox.checked = settings.allowRotation;
+    elements.dedupeCheckbox.checked = settings.dedupe;
+    elements.alphaBleedCheckbox.checked = settings.alphaBleed;
+    elements.premultiplyCheckbox.checked = settings.premultiplyAlpha;
+    elements.scalesInput.value = settings.scales ? settings.scales.join(', ') : '';
+    elements.scaleFilterSelect.value = settings.scaleFilter;
+    elements.stripPrefixCheckbox.checked = settings.stripCommonPrefix;
+    elements.exportFormatSelect.value = settings.exportFormat;
+    elements.pngColorsInput.value = settings.pngColors;
+    elements.ditherCheckbox.checked = settings.pngDither;
+    updateAlgorithmSettingsVisibility();
+}
+
+/**
+ * Shows the settings that apply to the selected slice source and grid mode
+ */
+function updateSliceSettingsVisibility() {
+    const source = elements.sliceSourceSelect.value;
+    elements.gridSettings.style.display = source === 'grid' ? 'flex' : 'none';
+    elements.detectSettings.style.display = source === 'auto' ? 'flex' : 'none';
+    elements.gridSizeGroup.style.display = elements.gridModeSelect.value === 'size' ? 'grid' : 'none';
+    elements.gridCountGroup.style.display = elements.gridModeSelect.value === 'count' ? 'grid' : 'none';
+}
+
+/**
+ * Updates slicing settings state from UI inputs and re-slices the grid
+ */
+function updateSliceSettingsFromUI() {
+    state.updateSliceSettings({
+        source: elements.sliceSourceSelect.value,
+        gridMode: elements.gridModeSelect.value,
+        cellWidth: parseInt(elements.cellWidthInput.value, 10) || 1,
+        cellHeight: parseInt(elements.cellHeightInput.value, 10) || 1,
+        columns: parseInt(elements.columnsInput.value, 10) || 1,
+        rows: parseInt(elements.rowsInput.value, 10) || 1,
+        margin: Math.max(0, parseInt(elements.gridMarginInput.value, 10) || 0),
+        spacing: Math.max(0, parseInt(elements.gridSpacingInput.value, 10) || 0),
+        nameTemplate: elements.nameTemplateInput.value || '{base}_{row}_{col}',
+        skipEmpty: elements.skipEmptyCheckbox.checked,
+        detectAlphaThreshold: Math.min(254, Math.max(0, parseInt(elements.detectAlphaInput.value, 10) || 0)),
+        mergeDistance: Math.max(0, parseInt(elements.mergeDistanceInput.value, 10) || 0),
+        minRegionSize: Math.max(1, parseInt(elements.minRegionInput.value, 10) || 1)
+    });
+    if (state.getSliceSettings().source !== 'metadata') {
+        stopFrameEditing();
+    }
+    updateSliceSettingsVisibility();
+    updateUIForMode();
+    updateSlices();
+    updateFileListDisplay();
+    renderPreview();
+}
+
+/**
+ * Syncs slicing inputs to match state
+ */
+function syncSliceSettingsToUI() {
+    const settings = state.getSliceSettings();
+    elements.sliceSourceSelect.value = settings.source;
+    elements.gridModeSelect.value = settings.gridMode;
+    elements.cellWidthInput.value = settings.cellWidth;
+    elements.cellHeightInput.value = settings.cellHeight;
+    elements.columnsInput.value = settings.columns;
+    elements.rowsInput.value = settings.rows;
+    elements.gridMarginInput.value = settings.margin;
+    elements.gridSpacingInput.value = settings.spacing;
+    elements.nameTemplateInput.value = settings.nameTemplate;
+    elements.skipEmptyCheckbox.checked = settings.skipEmpty;
+    elements.detectAlphaInput.value = settings.detectAlphaThreshold;
+    elements.mergeDistanceInput.value = settings.mergeDistance;
+    elements.minRegionInput.value = settings.minRegionSize;
+    updateSliceSettingsVisibility();
+}
+
+/**
+ * Rebuilds the grid or auto-detected frames for the first loaded atlas image
+ */
+function updateSlices() {
+    const settings = state.getSliceSettings();
+    const atlasImages = state.getAtlasImages();
+
+    if (settings.source === 'metadata' || atlasImages.length === 0) {
+        state.setSlicedMetadata(null);
+        return;
+    }
+
+    const { name, pixels } = atlasImages[0];
+    const result = settings.source === 'auto'
+        ? detectSprites(pixels, {
+            alphaThreshold: settings.detectAlphaThreshold,
+            mergeDistance: settings.mergeDistance,
+            minSize: settings.minRegionSize,
+            imageName: name
+        })
+        : sliceGrid(pixels, {
+            mode: settings.gridMode,
+            cellWidth: settings.cellWidth,
+            cellHeight: settings.cellHeight,
+            columns: settings.columns,
+            rows: settings.rows,
+            margin: settings.margin,
+            spacing: settings.spacing,
+            nameTemplate: settings.nameTemplate,
+            imageName: name,
+            skipEmpty: settings.skipEmpty
+        });
+
+    if (!result.success) {
+        state.setSlicedMetadata(null);
+        logError(result.error);
+        return;
+    }
+
+    state.setSlicedMetadata(result.result);
+    logInfo(settings.source === 'auto'
+        ? `Detected ${result.result.frames.length} sprite(s) in ${name}.`
+        : `Grid sliced ${name} into ${result.result.frames.length} frame(s).`);
+}
+
+/**
+ * Gets the metadata unpack mode extracts with: the loaded file, the grid slices or the detected sprites
+ * @returns {import('../core/imageLoader.js').AtlasMetadata|null}
+ */
+function getUnpackMetadata() {
+    return state.getSliceSettings().source === 'metadata' ? state.getMetadata() : state.getSlicedMetadata();
 }
 
 /**
@@ -172,17 +660,33 @@ function handleSpritesLoaded(sprites) {
     state.addLoadedSprites(sprites);
     updateFileListDisplay();
     logInfo(`Loaded ${sprites.length} sprite(s). Total: ${state.getLoadedSprites().length}`);
+
+    // Hand-edited groups are kept; newly detected sequences are added alongside them
+    const before = Object.keys(state.getAnimations()).length;
+    const names = state.getLoadedSprites().map(sprite => sprite.name);
+    state.setAnimations(mergeAnimations(detectAnimations(names), state.getAnimations()));
+    updateAnimationDisplay();
+
+    const added = Object.keys(state.getAnimations()).length - before;
+    if (added > 0) {
+        logInfo(`Found ${added} animation sequence(s).`);
+    }
 }
 
 /**
  * Handler for loaded atlas image (unpack mode)
  * @param {HTMLImageElement} image
+ * @param {string} name - Source filename
+ * @param {import('../utils/raster.js').Raster} pixels - Decoded pixels of the image
  */
-function handleAtlasLoaded(image) {
-    state.setAtlasImage(image);
+function handleAtlasLoaded(image, name, pixels) {
+    state.addAtlasImage(name, image, pixels);
+    logInfo(`Atlas image loaded: ${name} (${image.naturalWidth}×${image.naturalHeight})`);
+    if (state.getAtlasImages().length === 1) {
+        updateSlices();
+    }
     updateFileListDisplay();
-    renderAtlasImage(image);
-    logInfo(`Atlas image loaded: ${image.naturalWidth}×${image.naturalHeight}`);
+    renderPreview();
 }
 
 /**
@@ -192,7 +696,20 @@ function handleAtlasLoaded(image) {
 function handleMetadataLoaded(metadata) {
     state.setMetadata(metadata);
     updateFileListDisplay();
-    logInfo(`Metadata loaded: ${metadata.frames.length} frame(s)`);
+    renderPreview();
+
+    const pageCount = metadata.meta.pages ? metadata.meta.pages.length : 1;
+    const animationCount = metadata.animations ? Object.keys(metadata.animations).length : 0;
+    logInfo(`Metadata loaded: ${metadata.frames.length} frame(s)` +
+        (pageCount > 1 ? ` on ${pageCount} pages` : '') +
+        (animationCount > 0 ? `, ${animationCount} animation(s)` : ''));
+}
+
+/**
+ * Updates the animation editor with the current groups and sprite names
+ */
+function updateAnimationDisplay() {
+    updateAnimationList(state.getAnimations(), state.getLoadedSprites().map(sprite => sprite.name));
 }
 
 /**
@@ -204,8 +721,403 @@ function updateFileListDisplay() {
     if (mode === 'pack') {
         updateSpriteList(elements.fileList, state.getLoadedSprites());
     } else {
-        updateUnpackFileList(elements.fileList, state.getAtlasImage(), state.getMetadata());
+        updateUnpackFileList(elements.fileList, state.getAtlasImages(), getUnpackMetadata());
+        updateFrameSelector(getUnpackMetadata(), state.getExcludedFrames());
+    }
+}
+
+/**
+ * Gets the atlas pages the preview can show
+ * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata - Current metadata
+ * @returns {{ labels: string[], getPage: function(number): (HTMLCanvasElement|HTMLImageElement|null) }}
+ */
+function getPreviewPages(metadata) {
+    const metaPages = metadata && metadata.meta.pages && metadata.meta.pages.length > 1
+        ? metadata.meta.pages
+        : null;
+
+    if (state.getMode() === 'pack') {
+        const canvases = state.getGeneratedAtlases();
+        return {
+            labels: metaPages ? metaPages.map(page => page.image) : canvases.map(() => 'atlas.png'),
+            getPage: (index) => canvases[index] || null
+        };
+    }
+
+    // Multi-page metadata decides the tabs; otherwise show each loaded image
+    const images = state.getAtlasImages();
+    return {
+        labels: metaPages ? metaPages.map(page => page.image) : images.map(entry => entry.name),
+        getPage: (index) => {
+            const entry = metaPages
+                ? images.find(e => e.name === metaPages[index].image)
+                : images[index];
+            return entry ? entry.image : null;
+        }
+    };
+}
+
+/**
+ * Renders the active page of the current atlas and the page tabs,
+ * or plays the selected frame sequence
+ */
+function renderPreview() {
+    const metadata = state.getMode() === 'pack' ? state.getMetadata() : getUnpackMetadata();
+    const { labels, getPage } = getPreviewPages(metadata);
+
+    updatePlaybackSourceOptions(metadata);
+    if (state.getPlaybackSettings().source !== 'atlas') {
+        updatePageTabs([], 0, null);
+        renderPlayback(metadata, getPage);
+        return;
+    }
+    stopPlayback();
+
+    const activePage = Math.min(state.getActivePage(), Math.max(labels.length - 1, 0));
+    state.setActivePage(activePage);
+    updatePageTabs(labels, activePage, selectPage);
+
+    const page = labels.length > 0 ? getPage(activePage) : null;
+    const frames = metadata
+        ? metadata.frames.filter(frame => (frame.page || 0) === activePage)
+        : [];
+
+    if (!page) {
+        clearCanvas();
+    } else if (page instanceof HTMLImageElement) {
+        renderAtlasImage(page, frames);
+    } else {
+        renderAtlas(page, frames);
+    }
+}
+
+/**
+ * Plays the selected animation or frames in the preview
+ * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata - Current metadata
+ * @param {function(number): (HTMLCanvasElement|HTMLImageElement|null)} getPage - Page lookup
+ */
+function renderPlayback(metadata, getPage) {
+    const settings = state.getPlaybackSettings();
+    const frameByName = new Map(metadata ? metadata.frames.map(frame => [frame.name, frame]) : []);
+    let names = [];
+
+    if (settings.source === 'animation') {
+        const group = metadata && metadata.animations && metadata.animations[settings.animation];
+        names = group ? group.frames : [];
+    } else {
+        names = selectPlaybackFrames(settings.frames, [...frameByName.keys()]);
+    }
+
+    const sequence = [];
+    for (const name of names) {
+        const frame = frameByName.get(name);
+        const source = frame ? getPage(frame.page || 0) : null;
+        if (source) {
+            sequence.push({ frame, source });
+        }
+    }
+
+    showPlayback(sequence, {
+        fps: settings.fps,
+        loop: settings.loop,
+        onionSkin: settings.onionSkin,
+        onUpdate: updatePlaybackStatus
+    });
+}
+
+/**
+ * Picks frames for playback. Entries are comma-separated; each is an exact frame name,
+ * a pattern with `*`, or otherwise a name prefix ("hero/run_" plays hero/run_1, hero/run_2, ...).
+ *
+ * @param {string} text
+ * @param {string[]} names - Frame names in the atlas
+ * @returns {string[]}
+ */
+function selectPlaybackFrames(text, names) {
+    const frames = [];
+
+    for (const token of text.split(',').map(part => part.trim()).filter(Boolean)) {
+        const pattern = names.includes(token) || token.includes('*') ? token : `${token}*`;
+        frames.push(...expandFramePattern(pattern, names));
     }
+
+    return frames;
+}
+
+/**
+ * Shows the playback position and play state next to the controls
+ * @param {import('./previewCanvas.js').PlaybackStatus} status
+ */
+function updatePlaybackStatus(status) {
+    elements.playbackPlayBtn.textContent = status.playing ? 'Pause' : 'Play';
+    elements.playbackFrameLabel.textContent = status.count > 0
+        ? `${status.index + 1}/${status.count} ${status.name}`
+        : (state.getMode() === 'pack' && !state.getMetadata() ? 'Generate the atlas first' : 'No matching frames');
+}
+
+/**
+ * Lists the current metadata's animations in the playback source select.
+ * Falls back to the whole atlas when the selected animation is gone.
+ *
+ * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata
+ */
+function updatePlaybackSourceOptions(metadata) {
+    const animationNames = metadata && metadata.animations ? Object.keys(metadata.animations) : [];
+    const select = elements.playbackSourceSelect;
+
+    for (const option of [...select.options]) {
+        if (option.value.startsWith('animation:')) option.remove();
+    }
+    for (const name of animationNames) {
+        select.appendChild(new Option(`Animation: ${name}`, `animation:${name}`));
+    }
+
+    const settings = state.getPlaybackSettings();
+    if (settings.source === 'animation' && !animationNames.includes(settings.animation)) {
+        state.updatePlaybackSettings({ source: 'atlas', animation: '' });
+    }
+    syncPlaybackSettingsToUI();
+}
+
+/**
+ * Takes the fps and loop mode of a newly picked animation, when it has them
+ */
+function handlePlaybackSourceChange() {
+    const value = elements.playbackSourceSelect.value;
+    const metadata = state.getMode() === 'pack' ? state.getMetadata() : getUnpackMetadata();
+
+    if (value.startsWith('animation:') && metadata && metadata.animations) {
+        const group = metadata.animations[value.slice('animation:'.length)];
+        if (group && group.fps) elements.playbackFpsInput.value = group.fps;
+        if (group && group.loop) elements.playbackLoopSelect.value = group.loop;
+    }
+    updatePlaybackSettingsFromUI();
+}
+
+/**
+ * Updates playback settings state from UI inputs and redraws the preview
+ */
+function updatePlaybackSettingsFromUI() {
+    const value = elements.playbackSourceSelect.value;
+    const isAnimation = value.startsWith('animation:');
+
+    state.updatePlaybackSettings({
+        source: isAnimation ? 'animation' : value,
+        animation: isAnimation ? value.slice('animation:'.length) : '',
+        frames: elements.playbackFramesInput.value.trim(),
+        fps: Math.min(120, Math.max(1, parseFloat(elements.playbackFpsInput.value) || 12)),
+        loop: elements.playbackLoopSelect.value,
+        onionSkin: elements.playbackOnionCheckbox.checked
+    });
+    if (state.getPlaybackSettings().source !== 'atlas') {
+        stopFrameEditing();
+    }
+    renderPreview();
+}
+
+/**
+ * Syncs playback inputs to match state
+ */
+function syncPlaybackSettingsToUI() {
+    const settings = state.getPlaybackSettings();
+    elements.playbackSourceSelect.value = settings.source === 'animation'
+        ? `animation:${settings.animation}`
+        : settings.source;
+    elements.playbackFramesInput.value = settings.frames;
+    elements.playbackFpsInput.value = settings.fps;
+    elements.playbackLoopSelect.value = settings.loop;
+    elements.playbackOnionCheckbox.checked = settings.onionSkin;
+
+    elements.playbackFramesInput.style.display = settings.source === 'frames' ? 'inline-block' : 'none';
+    elements.playbackControls.style.display = settings.source === 'atlas' ? 'none' : 'flex';
+}
+
+/**
+ * Shows another atlas page in the preview
+ * @param {number} index
+ */
+function selectPage(index) {
+    state.setActivePage(index);
+    renderPreview();
+}
+
+/**
+ * Preview callbacks for the frame properties, used in both modes
+ * @type {import('./previewCanvas.js').FrameEditCallbacks}
+ */
+const framePropertyCallbacks = {
+    onPivot: (name, pivot) => applyFrameProperties([name], { pivot }),
+    onSelect: () => updateFramePropertiesDisplay()
+};
+
+/**
+ * Preview callbacks that apply frame edits to the loaded metadata (unpack mode)
+ * @type {import('./previewCanvas.js').FrameEditCallbacks}
+ */
+const frameEditCallbacks = {
+    ...framePropertyCallbacks,
+    onUpdate: (name, rect) => applyFrameEdit(updateFrameRect(state.getMetadata(), name, rect), name),
+    onCreate: (rect) => {
+        const metadata = state.getMetadata();
+        const pages = metadata.meta.pages;
+        const name = createUniqueFrameName(metadata.frames.map(frame => frame.name));
+        const page = pages && pages.length > 1 ? state.getActivePage() : 0;
+        applyFrameEdit(addFrame(metadata, name, rect, page), name);
+    },
+    onDelete: (name) => applyFrameEdit(removeFrame(state.getMetadata(), name), null),
+    onRename: (oldName, newName) => applyFrameEdit(renameFrame(state.getMetadata(), oldName, newName), newName)
+};
+
+/**
+ * Starts editing frames on the preview. In pack mode only the pivots and 9-slice borders
+ * of the generated frames can be edited. In unpack mode grid slices and detected frames
+ * become the metadata being edited; without any metadata, editing starts from an empty frame list.
+ */
+function startFrameEditing() {
+    if (state.getMode() === 'pack') {
+        if (!state.getMetadata()) {
+            logError('Generate the atlas before editing frames.');
+            elements.editFramesCheckbox.checked = false;
+            return;
+        }
+
+        state.setFrameEditing(true);
+        state.updatePlaybackSettings({ source: 'atlas' });
+        setFrameEditing(framePropertyCallbacks);
+        updateUIForMode();
+        renderPreview();
+        updateFramePropertiesDisplay();
+        return;
+    }
+
+    const images = state.getAtlasImages();
+    if (images.length === 0) {
+        logError('Load an atlas image before editing frames.');
+        elements.editFramesCheckbox.checked = false;
+        return;
+    }
+
+    const sliceSettings = state.getSliceSettings();
+    if (sliceSettings.source !== 'metadata') {
+        const sliced = state.getSlicedMetadata();
+        if (sliced) {
+            state.setMetadata(sliced);
+            logInfo(`Editing ${sliced.frames.length} ${sliceSettings.source === 'grid' ? 'grid' : 'detected'} ` +
+                'frame(s) as metadata.');
+        }
+        state.setSlicedMetadata(null);
+        state.updateSliceSettings({ source: 'metadata' });
+        syncSliceSettingsToUI();
+    }
+
+    if (!state.getMetadata()) {
+        const { name, image } = images[0];
+        state.setMetadata(createEmptyMetadata(name, { w: image.naturalWidth, h: image.naturalHeight }));
+        logInfo('No metadata loaded. Drag on the atlas to add frames.');
+    }
+
+    state.setFrameEditing(true);
+    state.updatePlaybackSettings({ source: 'atlas' });
+    setFrameEditing(frameEditCallbacks);
+    updateUIForMode();
+    updateFileListDisplay();
+    renderPreview();
+    updateFramePropertiesDisplay();
+
+    const outside = state.getMetadata().frames.filter(frame => {
+        const size = getPageSize(frame.page || 0);
+        return size && getFrameBoundsError(frame, size);
+    }).length;
+    if (outside > 0) {
+        logWarning(`${outside} frame(s) extend beyond the atlas and are marked in red.`);
+    }
+}
+
+/**
+ * Stops editing frames; the edited metadata stays loaded
+ */
+function stopFrameEditing() {
+    if (!state.getFrameEditing()) return;
+
+    state.setFrameEditing(false);
+    setFrameEditing(null);
+    elements.editFramesCheckbox.checked = false;
+    elements.frameProperties.style.display = 'none';
+}
+
+/**
+ * Stores an edited copy of the metadata and redraws
+ * @param {{ success: boolean, result?: import('../core/imageLoader.js').AtlasMetadata, error?: string }} edit
+ * @param {string|null} selectName - Frame to select afterwards
+ */
+function applyFrameEdit(edit, selectName) {
+    if (!edit.success) {
+        logError(edit.error);
+        return;
+    }
+
+    state.setMetadata(edit.result);
+    updateFileListDisplay();
+    renderPreview();
+    selectFrame(selectName);
+    updateFramePropertiesDisplay();
+
+    const frame = selectName ? edit.result.frames.find(f => f.name === selectName) : null;
+    const size = frame && state.getMode() === 'unpack' ? getPageSize(frame.page || 0) : null;
+    const error = size ? getFrameBoundsError(frame, size) : null;
+    if (error) {
+        logWarning(`${error}.`);
+    }
+}
+
+/**
+ * Sets the pivot and 9-slice borders of frames. In pack mode they are also kept
+ * for the next time the atlas is generated.
+ * @param {string[]} names
+ * @param {import('../core/frameEditor.js').FrameProperties} properties
+ */
+function applyFrameProperties(names, properties) {
+    const metadata = state.getMetadata();
+    const edit = setFrameProperties(metadata, names, properties);
+
+    if (edit.success && state.getMode() === 'pack') {
+        // Kept at source scale: the previewed metadata may be a scale variant
+        state.setFrameProperties(recordFrameProperties(
+            state.getFrameProperties(), metadata, edit.result, names, getPackSourceSizes()));
+    }
+
+    applyFrameEdit(edit, getSelectedFrameName());
+
+    if (edit.success && names.length > 1) {
+        logInfo(`Updated the pivot and 9-slice borders of ${names.length} frames.`);
+    }
+}
+
+/**
+ * Gets the size of each loaded sprite by the name it is packed under
+ * @returns {Map<string, { w: number, h: number }>}
+ */
+function getPackSourceSizes() {
+    const sprites = state.getLoadedSprites();
+    const named = state.getSettings().stripCommonPrefix ? stripCommonPathPrefix(sprites) : sprites;
+    return new Map(named.map(sprite => [sprite.name, { w: sprite.width, h: sprite.height }]));
+}
+
+/**
+ * Shows the selected frame's pivot and 9-slice borders in the frame properties panel
+ */
+function updateFramePropertiesDisplay() {
+    updateFramePropertiesPanel(state.getMetadata(), getSelectedFrameName());
+}
+
+/**
+ * Gets the size of a loaded unpack page image
+ * @param {number} page - Page index
+ * @returns {{ w: number, h: number }|null} Null when the page image isn't loaded
+ */
+function getPageSize(page) {
+    const image = getPreviewPages(getUnpackMetadata()).getPage(page);
+    return image ? { w: image.naturalWidth, h: image.naturalHeight } : null;
 }
 
 /**
@@ -235,41 +1147,181 @@ async function generateAtlas() {
     logInfo('Generating atlas...');
 
     const settings = state.getSettings();
-    const result = packAtlas(sprites, settings);
+    let packSprites = sprites;
+    let animations = state.getAnimations();
+
+    if (settings.stripCommonPrefix) {
+        // Animation frames refer to the full names, so rename them along with the sprites
+        packSprites = stripCommonPathPrefix(sprites);
+        const renamed = new Map(sprites.map((sprite, i) => [sprite.name, packSprites[i].name]));
+        animations = Object.fromEntries(Object.entries(animations).map(([name, group]) =>
+            [name, { ...group, frames: group.frames.map(frame => renamed.get(frame) || frame) }]
+        ));
+    }
+
+    // The editor already holds the detected groups, so detection isn't repeated here
+    const options = {
+        ...settings,
+        detectAnimations: false,
+        animations,
+        frameProperties: state.getFrameProperties()
+    };
+    let result;
+
+    if (packSprites.length >= WORKER_PACK_THRESHOLD && isWorkerPackingSupported()) {
+        taskAbortController = new AbortController();
+        elements.generateBtn.disabled = true;
+        updateTaskProgress(0, packSprites.length);
+        elements.taskProgress.style.display = 'flex';
+
+        result = await packAtlasInWorker(packSprites, options, {
+            onProgress: ({ stage, completed, total }) => updateTaskProgress(completed, total, PACK_STAGE_NAMES[stage]),
+            signal: taskAbortController.signal
+        });
+
+        const cancelled = taskAbortController.signal.aborted;
+        taskAbortController = null;
+        elements.generateBtn.disabled = false;
+        elements.taskProgress.style.display = 'none';
+
+        if (cancelled) {
+            logWarning('Packing cancelled.');
+            return;
+        }
+
+        // The worker may fail to start or crash where packing on the main thread still works;
+        // errors packAtlas reported would only come back again, so they are shown as they are
+        if (!result.success && result.workerFailed) {
+            logWarning(`Background packing failed (${result.error}); packing on the main thread instead.`);
+            result = packAtlas(packSprites, options);
+        }
+    } else {
+        result = packAtlas(packSprites, options);
+    }
 
     if (!result.success) {
         logError(result.error);
         return;
     }
 
-    state.setGeneratedAtlas(result.result.canvas);
-    state.setMetadata(result.result.metadata);
+    const { images, blobs, metadata, variants } = result.result;
+    const canvases = images.map(image => rasterToCanvas(image));
+
+    // The preview shows the first scale; the others are only kept for downloading
+    state.setGeneratedAtlases(canvases, images, blobs);
+    state.setScaleVariants(variants.slice(1).map(variant => ({
+        scale: variant.scale,
+        metadata: variant.metadata,
+        pixels: variant.images,
+        blobs: variant.blobs || [],
+        indexedBlobs: {}
+    })));
+    state.setMetadata(metadata);
+    state.setActivePage(0);
+
+    renderPreview();
+    if (state.getFrameEditing()) {
+        updateFramePropertiesDisplay();
+    }
+
+    if (canvases.length > 1) {
+        const sizes = canvases.map(canvas => `${canvas.width}×${canvas.height}`).join(', ');
+        logInfo(`Atlas generated! Pages: ${canvases.length} (${sizes}), Sprites: ${metadata.frames.length}`);
+    } else {
+        logInfo(`Atlas generated! Size: ${canvases[0].width}×${canvases[0].height}, Sprites: ${metadata.frames.length}`);
+    }
+
+    if (settings.scales) {
+        const sizes = variants.map(variant =>
+            `@${variant.scale}x (${variant.images.map(image => `${image.width}×${image.height}`).join(', ')})`
+        );
+        logInfo(`Scale variants: ${sizes.join(', ')}. The preview shows @${variants[0].scale}x.`);
+    }
 
-    renderAtlas(result.result.canvas);
+    const rotatedCount = metadata.frames.filter(frame => frame.rotated).length;
+    if (rotatedCount > 0) {
+        logInfo(`Rotated ${rotatedCount} sprite(s) 90° to fit better.`);
+    }
 
-    logInfo(`Atlas generated! Size: ${result.result.canvas.width}×${result.result.canvas.height}, Sprites: ${result.result.metadata.frames.length}`);
+    const aliasFrames = metadata.frames.filter(frame => frame.aliasOf);
+    if (aliasFrames.length > 0) {
+        const savedPixels = aliasFrames.reduce((sum, frame) => sum + frame.w * frame.h, 0);
+        logInfo(`Merged ${aliasFrames.length} duplicate frame(s), saving ${savedPixels.toLocaleString()} pixels of atlas space.`);
+    }
+
+    if (settings.trim) {
+        const trimmedCount = metadata.frames.filter(frame => frame.trimmed).length;
+        logInfo(`Trimmed transparent borders from ${trimmedCount} sprite(s).`);
+    }
+
+    if (metadata.animations) {
+        logInfo(`Animations: ${Object.keys(metadata.animations).join(', ')}`);
+    }
 }
 
 /**
  * Extracts sprites from atlas (unpack mode)
  */
 async function extractSprites() {
-    const atlasImage = state.getAtlasImage();
-    const metadata = state.getMetadata();
+    const atlasImages = state.getAtlasImages();
+    const metadata = getUnpackMetadata();
 
-    if (!atlasImage) {
+    if (atlasImages.length === 0) {
         logError('No atlas image loaded. Please select an atlas PNG.');
         return;
     }
 
     if (!metadata) {
-        logError('No metadata loaded. Please select a JSON metadata file.');
+        const source = state.getSliceSettings().source;
+        if (source === 'metadata') {
+            logError('No metadata loaded. Please select a metadata file (JSON, XML, .atlas or .plist).');
+        } else {
+            logError(source === 'grid'
+                ? 'No grid slices. Check the grid settings.'
+                : 'No sprites detected. Check the detection settings.');
+        }
+        return;
+    }
+
+    // Extraction reads the decoded pixels, so PNG colors come out exactly as stored
+    const pageImages = resolvePageImages(atlasImages.map(entry => ({ name: entry.name, image: entry.pixels })), metadata);
+
+    if (!pageImages.success) {
+        logError(pageImages.error);
+        return;
+    }
+
+    // Extract everything unless frames were unticked in the frame list
+    const excluded = state.getExcludedFrames();
+    const names = metadata.frames.map(frame => frame.name).filter(name => !excluded.has(name));
+    if (names.length === 0) {
+        logError('No frames selected. Tick the frames to extract in the frame list.');
         return;
     }
+    const options = names.length < metadata.frames.length ? { names } : {};
+
+    logInfo(`Extracting ${names.length} sprite(s)...`);
+
+    taskAbortController = new AbortController();
+    elements.generateBtn.disabled = true;
+    updateTaskProgress(0, names.length);
+    elements.taskProgress.style.display = 'flex';
+
+    const result = await unpackAtlas(pageImages.result, metadata, {
+        ...options,
+        onProgress: ({ completed, total }) => updateTaskProgress(completed, total),
+        signal: taskAbortController.signal
+    });
 
-    logInfo('Extracting sprites...');
+    const cancelled = taskAbortController.signal.aborted;
+    taskAbortController = null;
+    elements.generateBtn.disabled = false;
+    elements.taskProgress.style.display = 'none';
 
-    const result = await unpackAtlas(atlasImage, metadata);
+    if (cancelled) {
+        logWarning('Extraction cancelled.');
+        return;
+    }
 
     if (!result.success) {
         logError(result.error);
@@ -282,43 +1334,178 @@ async function extractSprites() {
 }
 
 /**
- * Downloads the generated atlas as PNG
+ * Shows the progress of packing or extraction
+ * @param {number} completed - Items done so far
+ * @param {number} total - Items to do
+ * @param {string} [stage] - Name of the current step, shown before the count
+ */
+function updateTaskProgress(completed, total, stage) {
+    elements.taskProgressBar.max = total;
+    elements.taskProgressBar.value = completed;
+    elements.taskProgressLabel.textContent = stage ? `${stage} ${completed}/${total}` : `${completed}/${total}`;
+}
+
+/**
+ * Gets every generated scale variant, the previewed one first. Pivots and 9-slice borders
+ * edited on the preview are copied onto the others.
+ * @returns {import('./uiState.js').GeneratedScaleVariant[]}
+ */
+function getGeneratedVariants() {
+    const metadata = state.getMetadata();
+    const previewed = {
+        scale: metadata.meta.scale || 1,
+        metadata,
+        pixels: state.getGeneratedAtlasPixels(),
+        blobs: state.getGeneratedAtlasBlobs(),
+        indexedBlobs: state.getGeneratedAtlasIndexedBlobs()
+    };
+
+    return [previewed, ...state.getScaleVariants().map(variant => ({
+        ...variant,
+        metadata: copyFrameProperties(metadata, variant.metadata)
+    }))];
+}
+
+/**
+ * Gets the PNG of a generated page, encoding it on first use unless the worker already did
+ * @param {import('./uiState.js').GeneratedScaleVariant} variant
+ * @param {number} pageIndex
+ * @returns {Blob}
+ */
+function getAtlasPageBlob(variant, pageIndex) {
+    if (!variant.blobs[pageIndex]) {
+        variant.blobs[pageIndex] = rasterToBlob(variant.pixels[pageIndex]);
+    }
+    return variant.blobs[pageIndex];
+}
+
+/**
+ * Gets the PNG to save for a generated page: the RGBA page, or an indexed PNG when a palette
+ * size is set. Indexed pages are quantized once per palette setting and log their size against
+ * the RGBA version when first encoded.
+ * @param {import('./uiState.js').GeneratedScaleVariant} variant
+ * @param {number} pageIndex
+ * @returns {Blob}
+ * @throws {Error} If quantizing fails
+ */
+function getExportPageBlob(variant, pageIndex) {
+    const rgbaBlob = getAtlasPageBlob(variant, pageIndex);
+    const { pngColors, pngDither } = state.getSettings();
+    if (pngColors === 0) return rgbaBlob;
+
+    const key = `${pngColors}${pngDither ? '-dither' : ''}`;
+    const indexedBlobs = variant.indexedBlobs[key] || (variant.indexedBlobs[key] = []);
+
+    if (!indexedBlobs[pageIndex]) {
+        const indexedBlob = rasterToIndexedBlob(variant.pixels[pageIndex], { colors: pngColors, dither: pngDither });
+        const change = Math.round((1 - indexedBlob.size / rgbaBlob.size) * 100);
+        logInfo(`${variant.metadata.meta.pages[pageIndex].image}: ${formatByteSize(indexedBlob.size)} as a ${pngColors}-colour ` +
+            `indexed PNG vs ${formatByteSize(rgbaBlob.size)} RGBA (${change >= 0 ? `${change}% smaller` : `${-change}% larger`})`);
+        indexedBlobs[pageIndex] = indexedBlob;
+    }
+    return indexedBlobs[pageIndex];
+}
+
+/**
+ * Downloads the generated atlas pages of every scale variant as PNG
  */
 async function handleDownloadAtlas() {
-    const atlas = state.getGeneratedAtlas();
+    const canvases = state.getGeneratedAtlases();
+    const metadata = state.getMetadata();
 
-    if (!atlas) {
+    if (canvases.length === 0 || !metadata) {
         logError('No atlas generated. Please generate an atlas first.');
         return;
     }
 
     try {
-        const blob = await canvasToBlob(atlas);
-        downloadBlob(blob, 'atlas.png');
-        logInfo('Atlas PNG downloaded.');
+        let count = 0;
+        for (const variant of getGeneratedVariants()) {
+            for (let i = 0; i < variant.pixels.length; i++) {
+                downloadBlob(getExportPageBlob(variant, i), variant.metadata.meta.pages[i].image);
+                count++;
+            }
+        }
+        logInfo(count > 1 ? `${count} atlas pages downloaded.` : 'Atlas PNG downloaded.');
     } catch (error) {
         logError('Failed to download atlas: ' + error.message);
     }
 }
 
 /**
- * Downloads the metadata as JSON
+ * Downloads the metadata of every scale variant as JSON in the selected export format.
+ * In unpack mode this saves the grid or auto-detected frames in the native format,
+ * so the sheet can be unpacked again without re-slicing.
  */
 function handleDownloadJson() {
-    const metadata = state.getMetadata();
+    const isPack = state.getMode() === 'pack';
+    const metadata = isPack ? state.getMetadata() : getUnpackMetadata();
 
     if (!metadata) {
-        logError('No metadata available. Please generate an atlas first.');
+        logError(isPack
+            ? 'No metadata available. Please generate an atlas first.'
+            : 'No frames available. Load an atlas image and check the slicing settings.');
+        return;
+    }
+
+    const files = [];
+    for (const variantMetadata of isPack ? getGeneratedVariants().map(variant => variant.metadata) : [metadata]) {
+        const exported = exportMetadata(variantMetadata, isPack ? state.getSettings().exportFormat : 'native');
+
+        if (!exported.success) {
+            logError(exported.error);
+            return;
+        }
+        files.push(...exported.result);
+    }
+
+    for (const file of files) {
+        downloadJSON(file.data, file.filename);
+    }
+
+    logInfo(`Metadata JSON downloaded: ${files.map(file => file.filename).join(', ')}`);
+}
+
+/**
+ * Downloads the atlas pages and metadata (in the selected export format) of every scale variant as one ZIP
+ */
+async function handleDownloadBundle() {
+    const canvases = state.getGeneratedAtlases();
+    const metadata = state.getMetadata();
+
+    if (canvases.length === 0 || !metadata) {
+        logError('No atlas generated. Please generate an atlas first.');
         return;
     }
 
-    downloadJSON(metadata, 'metadata.json');
-    logInfo('Metadata JSON downloaded.');
+    try {
+        const entries = [];
+        for (const variant of getGeneratedVariants()) {
+            const exported = exportMetadata(variant.metadata, state.getSettings().exportFormat);
+
+            if (!exported.success) {
+                logError(exported.error);
+                return;
+            }
+
+            for (let i = 0; i < variant.pixels.length; i++) {
+                entries.push({ name: variant.metadata.meta.pages[i].image, data: getExportPageBlob(variant, i) });
+            }
+            for (const file of exported.result) {
+                entries.push({ name: file.filename, data: JSON.stringify(file.data, null, 2) });
+            }
+        }
+
+        await downloadZip(entries, 'atlas.zip');
+        logInfo(`Bundle downloaded: atlas.zip (${entries.map(entry => entry.name).join(', ')})`);
+    } catch (error) {
+        logError('Failed to create bundle: ' + error.message);
+    }
 }
 
 /**
- * Downloads all extracted sprites
- * TODO: Implement ZIP download for better UX
+ * Downloads all extracted sprites as one ZIP.
+ * Folder paths in frame names (e.g. "hero/walk_0") become folders in the archive.
  */
 async function handleDownloadAllSprites() {
     const sprites = state.getExtractedSprites();
@@ -328,15 +1515,22 @@ async function handleDownloadAllSprites() {
         return;
     }
 
-    logInfo(`Downloading ${sprites.length} sprite(s)...`);
+    logInfo(`Zipping ${sprites.length} sprite(s)...`);
+
+    const entries = sprites.map(sprite => ({ name: `${sprite.name}.png`, data: sprite.blob }));
+    const metadata = getUnpackMetadata();
 
-    // Download each sprite individually
-    // TODO: Use JSZip for bundled download
-    for (const sprite of sprites) {
-        downloadBlob(sprite.blob, `${sprite.name}.png`);
+    // Keep the animation groups next to the sprites they refer to
+    if (metadata && metadata.animations) {
+        entries.push({ name: 'animations.json', data: JSON.stringify(metadata.animations, null, 2) });
     }
 
-    logInfo('All sprites downloaded.');
+    try {
+        await downloadZip(entries, 'sprites.zip');
+        logInfo('All sprites downloaded as sprites.zip.');
+    } catch (error) {
+        logError('Failed to create ZIP: ' + error.message);
+    }
 }
 
 /**
@@ -345,17 +1539,28 @@ async function handleDownloadAllSprites() {
 function handleClearFiles() {
     const mode = state.getMode();
 
+    if (taskAbortController) taskAbortController.abort();
+    stopFrameEditing();
+
     if (mode === 'pack') {
+        releasePackWorker();
         state.clearLoadedSprites();
-        state.setGeneratedAtlas(null);
+        state.setGeneratedAtlases([]);
+        state.setScaleVariants([]);
         state.setMetadata(null);
+        state.setAnimations({});
+        state.setFrameProperties({});
+        updateAnimationDisplay();
     } else {
-        state.setAtlasImage(null);
+        state.clearAtlasImages();
         state.setMetadata(null);
+        state.setSlicedMetadata(null);
         state.setExtractedSprites([]);
+        state.setExcludedFrames(new Set());
     }
+    state.setActivePage(0);
 
     updateFileListDisplay();
-    clearCanvas();
+    renderPreview();
     logInfo('Files cleared.');
 }
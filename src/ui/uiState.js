@@ -10,19 +10,95 @@
 /**
  * @typedef {Object} PackSettings
  * @property {number} padding - Padding between sprites (px)
+ * @property {number} extrude - Edge pixels repeated around each sprite (px)
  * @property {number} maxAtlasSize - Maximum atlas dimension
  * @property {boolean} powerOfTwo - Force power-of-two dimensions
+ * @property {string} algorithm - Packing algorithm id
+ * @property {string} maxRectsHeuristic - MaxRects placement heuristic id
+ * @property {string} sortBy - Sprite sort strategy id
+ * @property {boolean} multiPage - Spill sprites onto extra pages when one is full
+ * @property {boolean} trim - Trim transparent sprite borders
+ * @property {number} alphaThreshold - Alpha at or below which a pixel is trimmed away
+ * @property {boolean} allowRotation - Let the packer rotate sprites 90°
+ * @property {boolean} dedupe - Pack pixel-identical sprites once
+ * @property {boolean} alphaBleed - Fill transparent pixels with the nearest visible colour
+ * @property {boolean} premultiplyAlpha - Write pages with premultiplied alpha
+ * @property {number[]|null} scales - Scale variants drawn from one layout, or null for source size only
+ * @property {string} scaleFilter - Resampling filter id for scale variants
+ * @property {boolean} stripCommonPrefix - Drop the folder path shared by all sprite names when packing
+ * @property {string} exportFormat - Metadata export format id
+ * @property {number} pngColors - Palette size for indexed PNG pages, or 0 for full RGBA
+ * @property {boolean} pngDither - Dither pages when quantizing them to the palette
+ */
+
+/**
+ * @typedef {Object} SliceSettings
+ * @property {'metadata' | 'grid' | 'auto'} source - Where unpack mode gets its frames from
+ * @property {'size' | 'count'} gridMode - Define grid cells by size or by count
+ * @property {number} cellWidth - Grid cell width (px)
+ * @property {number} cellHeight - Grid cell height (px)
+ * @property {number} columns - Grid column count
+ * @property {number} rows - Grid row count
+ * @property {number} margin - Border around the grid (px)
+ * @property {number} spacing - Gap between grid cells (px)
+ * @property {string} nameTemplate - Frame name template for grid cells
+ * @property {boolean} skipEmpty - Leave out fully transparent cells
+ * @property {number} detectAlphaThreshold - Alpha at or below which auto-detection sees background
+ * @property {number} mergeDistance - Auto-detected regions this close (px) are merged
+ * @property {number} minRegionSize - Auto-detected regions smaller than this on both sides are dropped
+ */
+
+/**
+ * @typedef {Object} PlaybackSettings
+ * @property {'atlas' | 'animation' | 'frames'} source - Show the atlas, play an animation group or play frames picked by name
+ * @property {string} animation - Animation group to play
+ * @property {string} frames - Name prefix, pattern or comma-separated frame names to play
+ * @property {number} fps - Playback speed
+ * @property {import('../core/animationGrouper.js').LoopMode} loop - Loop mode
+ * @property {boolean} onionSkin - Show the previous frame faintly
+ */
+
+/**
+ * @typedef {Object} NamedImage
+ * @property {string} name - Source filename
+ * @property {HTMLImageElement} image - Loaded image element, for display
+ * @property {import('../utils/raster.js').Raster} pixels - Decoded pixels, for slicing and extraction
+ */
+
+/**
+ * @typedef {Object} GeneratedScaleVariant
+ * @property {number} scale - Size factor relative to the source sprites
+ * @property {import('../core/imageLoader.js').AtlasMetadata} metadata - Metadata as generated; pivots and
+ *   9-slice borders edited afterwards are copied over from the previewed variant on download
+ * @property {import('../utils/raster.js').Raster[]} pixels - Page pixels
+ * @property {Blob[]} blobs - PNGs of the pages, filled in as they are encoded
+ * @property {Object<string, Blob[]>} indexedBlobs - Indexed PNGs of the pages by palette settings
+ *   (e.g. "64" or "64-dither"), filled in as they are encoded
  */
 
 /**
  * @typedef {Object} UIState
  * @property {AppMode} mode - Current application mode
  * @property {import('../core/imageLoader.js').SpriteInput[]} loadedSprites - Loaded sprites for packing
- * @property {HTMLImageElement|null} atlasImage - Loaded atlas image for unpacking
+ * @property {NamedImage[]} atlasImages - Loaded atlas page images for unpacking
  * @property {import('../core/imageLoader.js').AtlasMetadata|null} metadata - Loaded/generated metadata
- * @property {HTMLCanvasElement|null} generatedAtlas - Generated atlas canvas
+ * @property {import('../core/imageLoader.js').AtlasMetadata|null} slicedMetadata - Metadata built by grid slicing or auto-detection
+ * @property {HTMLCanvasElement[]} generatedAtlases - Generated atlas page canvases
+ * @property {import('../utils/raster.js').Raster[]} generatedAtlasPixels - Pixels of the generated pages
+ * @property {Blob[]} generatedAtlasBlobs - PNGs of the generated pages, filled in as they are encoded
+ * @property {Object<string, Blob[]>} generatedAtlasIndexedBlobs - Indexed PNGs of the generated pages
+ *   by palette settings, filled in as they are encoded
+ * @property {GeneratedScaleVariant[]} scaleVariants - Scale variants generated besides the previewed one
+ * @property {number} activePage - Page index shown in the preview
  * @property {import('../core/atlasUnpacker.js').ExtractedSprite[]} extractedSprites - Extracted sprites
+ * @property {import('../core/animationGrouper.js').AnimationMap} animations - Animation groups for packing
+ * @property {Object<string, import('../core/frameEditor.js').FrameProperties>} frameProperties - Pivots and
+ *   9-slice borders set in pack mode, by frame name; kept when the atlas is generated again
+ * @property {boolean} frameEditing - Whether frames are being edited on the preview
+ * @property {Set<string>} excludedFrames - Frame names unpack mode leaves out when extracting
  * @property {PackSettings} settings - Pack mode settings
+ * @property {SliceSettings} sliceSettings - Unpack mode slicing settings
+ * @property {PlaybackSettings} playbackSettings - Preview playback settings
  */
 
 /**
@@ -30,8 +106,56 @@
  */
 const DEFAULT_SETTINGS = {
     padding: 1,
+    extrude: 0,
     maxAtlasSize: 1024,
-    powerOfTwo: false
+    powerOfTwo: false,
+    algorithm: 'shelf',
+    maxRectsHeuristic: 'best-short-side',
+    sortBy: 'name',
+    multiPage: true,
+    trim: false,
+    alphaThreshold: 0,
+    allowRotation: false,
+    dedupe: true,
+    alphaBleed: true,
+    premultiplyAlpha: false,
+    scales: null,
+    scaleFilter: 'bilinear',
+    stripCommonPrefix: false,
+    exportFormat: 'native',
+    pngColors: 0,
+    pngDither: false
+};
+
+/**
+ * Default unpack slicing settings
+ */
+const DEFAULT_SLICE_SETTINGS = {
+    source: 'metadata',
+    gridMode: 'size',
+    cellWidth: 32,
+    cellHeight: 32,
+    columns: 4,
+    rows: 4,
+    margin: 0,
+    spacing: 0,
+    nameTemplate: '{base}_{row}_{col}',
+    skipEmpty: true,
+    detectAlphaThreshold: 0,
+    mergeDistance: 0,
+    minRegionSize: 2
+};
+
+/**
+ * Default preview playback settings
+ */
+const DEFAULT_PLAYBACK_SETTINGS = {
+    source: 'atlas',
+    animation: '',
+    frames: '',
+    fps: 12,
+    loop: 'loop',
+    onionSkin: false
 };
 
 /**
@@ -41,11 +165,23 @@ const DEFAULT_SETTINGS = {
 const state = {
     mode: 'pack',
     loadedSprites: [],
-    atlasImage: null,
+    atlasImages: [],
     metadata: null,
-    generatedAtlas: null,
+    slicedMetadata: null,
+    generatedAtlases: [],
+    generatedAtlasPixels: [],
+    generatedAtlasBlobs: [],
+    generatedAtlasIndexedBlobs: {},
+    scaleVariants: [],
+    activePage: 0,
     extractedSprites: [],
-    settings: { ...DEFAULT_SETTINGS }
+    animations: {},
+    frameProperties: {},
+    frameEditing: false,
+    excludedFrames: new Set(),
+    settings: { ...DEFAULT_SETTINGS },
+    sliceSettings: { ...DEFAULT_SLICE_SETTINGS },
+    playbackSettings: { ...DEFAULT_PLAYBACK_SETTINGS }
 };
 
 /**
@@ -64,13 +200,24 @@ export function setMode(mode) {
     state.mode = mode;
     // Clear mode-specific state when switching
     if (mode === 'pack') {
-        state.atlasImage = null;
+        state.atlasImages = [];
         state.extractedSprites = [];
     } else {
         state.loadedSprites = [];
-        state.generatedAtlas = null;
+        state.generatedAtlases = [];
+        state.generatedAtlasPixels = [];
+        state.generatedAtlasBlobs = [];
+        state.generatedAtlasIndexedBlobs = {};
+        state.scaleVariants = [];
+        state.animations = {};
+        state.frameProperties = {};
     }
     state.metadata = null;
+    state.slicedMetadata = null;
+    state.activePage = 0;
+    state.frameEditing = false;
+    state.excludedFrames = new Set();
+    state.playbackSettings = { ...state.playbackSettings, source: 'atlas' };
 }
 
 /**
@@ -105,19 +252,28 @@ export function clearLoadedSprites() {
 }
 
 /**
- * Gets the atlas image (for unpack mode)
- * @returns {HTMLImageElement|null}
+ * Gets the loaded atlas page images (for unpack mode)
+ * @returns {NamedImage[]}
+ */
+export function getAtlasImages() {
+    return state.atlasImages;
+}
+
+/**
+ * Adds an atlas page image, replacing any earlier image with the same filename
+ * @param {string} name - Source filename
+ * @param {HTMLImageElement} image
+ * @param {import('../utils/raster.js').Raster} pixels - Decoded pixels of the image
  */
-export function getAtlasImage() {
-    return state.atlasImage;
+export function addAtlasImage(name, image, pixels) {
+    state.atlasImages = [...state.atlasImages.filter(entry => entry.name !== name), { name, image, pixels }];
 }
 
 /**
- * Sets the atlas image
- * @param {HTMLImageElement|null} image
+ * Clears all loaded atlas images
  */
-export function setAtlasImage(image) {
-    state.atlasImage = image;
+export function clearAtlasImages() {
+    state.atlasImages = [];
 }
 
 /**
@@ -137,19 +293,96 @@ export function setMetadata(metadata) {
 }
 
 /**
- * Gets the generated atlas canvas
- * @returns {HTMLCanvasElement|null}
+ * Gets the metadata built by grid slicing or auto-detection
+ * @returns {import('../core/imageLoader.js').AtlasMetadata|null}
+ */
+export function getSlicedMetadata() {
+    return state.slicedMetadata;
+}
+
+/**
+ * Sets the metadata built by grid slicing or auto-detection
+ * @param {import('../core/imageLoader.js').AtlasMetadata|null} metadata
+ */
+export function setSlicedMetadata(metadata) {
+    state.slicedMetadata = metadata;
+}
+
+/**
+ * Gets the generated atlas page canvases
+ * @returns {HTMLCanvasElement[]}
+ */
+export function getGeneratedAtlases() {
+    return state.generatedAtlases;
+}
+
+/**
+ * Gets the pixels of the generated pages
+ * @returns {import('../utils/raster.js').Raster[]}
+ */
+export function getGeneratedAtlasPixels() {
+    return state.generatedAtlasPixels;
+}
+
+/**
+ * Gets the PNGs encoded for the generated pages
+ * @returns {Blob[]} Blobs by page index; pages not encoded yet have no entry
+ */
+export function getGeneratedAtlasBlobs() {
+    return state.generatedAtlasBlobs;
+}
+
+/**
+ * Gets the indexed PNGs encoded for the generated pages
+ * @returns {Object<string, Blob[]>} Blobs by palette settings key, then page index
+ */
+export function getGeneratedAtlasIndexedBlobs() {
+    return state.generatedAtlasIndexedBlobs;
+}
+
+/**
+ * Sets the generated atlas pages
+ * @param {HTMLCanvasElement[]} canvases - Page canvases for the preview
+ * @param {import('../utils/raster.js').Raster[]} [pixels=[]] - Page pixels the PNGs are encoded from
+ * @param {Blob[]} [blobs=[]] - PNGs already encoded for the pages
+ */
+export function setGeneratedAtlases(canvases, pixels = [], blobs = []) {
+    state.generatedAtlases = canvases;
+    state.generatedAtlasPixels = pixels;
+    state.generatedAtlasBlobs = blobs;
+    state.generatedAtlasIndexedBlobs = {};
+}
+
+/**
+ * Gets the scale variants generated besides the previewed one
+ * @returns {GeneratedScaleVariant[]}
+ */
+export function getScaleVariants() {
+    return state.scaleVariants;
+}
+
+/**
+ * Sets the scale variants generated besides the previewed one
+ * @param {GeneratedScaleVariant[]} variants
+ */
+export function setScaleVariants(variants) {
+    state.scaleVariants = variants;
+}
+
+/**
+ * Gets the page index shown in the preview
+ * @returns {number}
  */
-export function getGeneratedAtlas() {
-    return state.generatedAtlas;
+export function getActivePage() {
+    return state.activePage;
 }
 
 /**
- * Sets the generated atlas canvas
- * @param {HTMLCanvasElement|null} canvas
+ * Sets the page index shown in the preview
+ * @param {number} page
  */
-export function setGeneratedAtlas(canvas) {
-    state.generatedAtlas = canvas;
+export function setActivePage(page) {
+    state.activePage = page;
 }
 
 /**
@@ -168,6 +401,70 @@ export function setExtractedSprites(sprites) {
     state.extractedSprites = sprites;
 }
 
+/**
+ * Gets the animation groups used for packing
+ * @returns {import('../core/animationGrouper.js').AnimationMap}
+ */
+export function getAnimations() {
+    return state.animations;
+}
+
+/**
+ * Sets the animation groups used for packing
+ * @param {import('../core/animationGrouper.js').AnimationMap} animations
+ */
+export function setAnimations(animations) {
+    state.animations = animations;
+}
+
+/**
+ * Gets the pivots and 9-slice borders used for packing
+ * @returns {Object<string, import('../core/frameEditor.js').FrameProperties>}
+ */
+export function getFrameProperties() {
+    return state.frameProperties;
+}
+
+/**
+ * Sets the pivots and 9-slice borders used for packing
+ * @param {Object<string, import('../core/frameEditor.js').FrameProperties>} properties - By frame name
+ */
+export function setFrameProperties(properties) {
+    state.frameProperties = properties;
+}
+
+/**
+ * Checks whether frames are being edited on the preview
+ * @returns {boolean}
+ */
+export function getFrameEditing() {
+    return state.frameEditing;
+}
+
+/**
+ * Turns frame editing on or off
+ * @param {boolean} editing
+ */
+export function setFrameEditing(editing) {
+    state.frameEditing = editing;
+}
+
+/**
+ * Gets the frame names left out when extracting
+ * @returns {Set<string>}
+ */
+export function getExcludedFrames() {
+    return state.excludedFrames;
+}
+
+/**
+ * Sets the frame names left out when extracting
+ * @param {Set<string>} names
+ */
+export function setExcludedFrames(names) {
+    state.excludedFrames = names;
+}
+
 /**
  * Gets current pack settings
  * @returns {PackSettings}
@@ -184,15 +481,59 @@ export function updateSettings(updates) {
     state.settings = { ...state.settings, ...updates };
 }
 
+/**
+ * Gets current unpack slicing settings
+ * @returns {SliceSettings}
+ */
+export function getSliceSettings() {
+    return { ...state.sliceSettings };
+}
+
+/**
+ * Updates unpack slicing settings
+ * @param {Partial<SliceSettings>} updates
+ */
+export function updateSliceSettings(updates) {
+    state.sliceSettings = { ...state.sliceSettings, ...updates };
+}
+
+/**
+ * Gets current preview playback settings
+ * @returns {PlaybackSettings}
+ */
+export function getPlaybackSettings() {
+    return { ...state.playbackSettings };
+}
+
+/**
+ * Updates preview playback settings
+ * @param {Partial<PlaybackSettings>} updates
+ */
+export function updatePlaybackSettings(updates) {
+    state.playbackSettings = { ...state.playbackSettings, ...updates };
+}
+
 /**
  * Resets all state to defaults
  */
 export function resetState() {
     state.mode = 'pack';
     state.loadedSprites = [];
-    state.atlasImage = null;
+    state.atlasImages = [];
     state.metadata = null;
-    state.generatedAtlas = null;
+    state.slicedMetadata = null;
+    state.generatedAtlases = [];
+    state.generatedAtlasPixels = [];
+    state.generatedAtlasBlobs = [];
+    state.generatedAtlasIndexedBlobs = {};
+    state.scaleVariants = [];
+    state.activePage = 0;
     state.extractedSprites = [];
+    state.animations = {};
+    state.frameProperties = {};
+    state.frameEditing = false;
+    state.excludedFrames = new Set();
     state.settings = { ...DEFAULT_SETTINGS };
+    state.sliceSettings = { ...DEFAULT_SLICE_SETTINGS };
+    state.playbackSettings = { ...DEFAULT_PLAYBACK_SETTINGS };
 }
@@ -0,0 +1,42 @@
+/**
+ * CRC-32 checksum (as used by ZIP and PNG)
+ * @module utils/crc32
+ */
+
+/**
+ * Lookup table for polynomial 0xEDB88320, built on first use
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Builds the CRC lookup table
+ * @returns {Uint32Array}
+ */
+function getTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    return crcTable;
+}
+
+/**
+ * Computes the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    const table = getTable();
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
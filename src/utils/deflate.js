@@ -0,0 +1,731 @@
+/**
+ * Deflate compression and decompression in plain JavaScript.
+ * Unlike CompressionStream, the compressed bytes are the same in every browser and in Node.js.
+ * @module utils/deflate
+ */
+
+/**
+ * Base match lengths and extra bits of length symbols 257-285
+ */
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+/**
+ * Base distances and extra bits of distance symbols 0-29
+ */
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+/**
+ * Order in which code length code lengths are stored in a dynamic block header
+ */
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_SIZE = 1 << 15;
+
+/**
+ * How many earlier positions are tried per match; more compresses better but slower
+ */
+const MAX_CHAIN = 64;
+
+/**
+ * Matches at least this long are taken without checking whether the next position matches longer
+ */
+const LAZY_LIMIT = 32;
+
+/**
+ * Literal/length and distance symbols collected before a block is written
+ */
+const BLOCK_SYMBOLS = 1 << 16;
+
+/**
+ * Compresses bytes into a raw deflate stream
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function deflateRaw(bytes) {
+    const writer = createBitWriter(bytes.length / 4 + 64);
+    const length = bytes.length;
+    const head = new Int32Array(HASH_SIZE).fill(-1);
+    const prev = new Int32Array(WINDOW_SIZE);
+
+    // Symbols: literals are 0-255; matches store the length in the high bits and the distance below
+    const symbols = new Uint32Array(BLOCK_SYMBOLS);
+    let symbolCount = 0;
+
+    const hashAt = (pos) => ((bytes[pos] << 10) ^ (bytes[pos + 1] << 5) ^ bytes[pos + 2]) & (HASH_SIZE - 1);
+
+    const insert = (pos) => {
+        if (pos + MIN_MATCH > length) return;
+        const hash = hashAt(pos);
+        prev[pos & (WINDOW_SIZE - 1)] = head[hash];
+        head[hash] = pos;
+    };
+
+    const findMatch = (pos) => {
+        let bestLength = 0;
+        let bestDistance = 0;
+        if (pos + MIN_MATCH > length) return { length: 0, distance: 0 };
+
+        const maxLength = Math.min(MAX_MATCH, length - pos);
+        let candidate = head[hashAt(pos)];
+        let chain = MAX_CHAIN;
+
+        while (candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain-- > 0) {
+            if (bytes[candidate + bestLength] === bytes[pos + bestLength]) {
+                let matched = 0;
+                while (matched < maxLength && bytes[candidate + matched] === bytes[pos + matched]) matched++;
+                if (matched > bestLength) {
+                    bestLength = matched;
+                    bestDistance = pos - candidate;
+                    if (matched === maxLength) break;
+                }
+            }
+
+            const next = prev[candidate & (WINDOW_SIZE - 1)];
+            // The slot may already hold a newer position once the chain runs past the window
+            if (next >= candidate) break;
+            candidate = next;
+        }
+
+        return bestLength >= MIN_MATCH ? { length: bestLength, distance: bestDistance } : { length: 0, distance: 0 };
+    };
+
+    let pos = 0;
+    while (pos < length) {
+        const match = findMatch(pos);
+        insert(pos);
+
+        if (match.length > 0 && match.length < LAZY_LIMIT && findMatch(pos + 1).length > match.length) {
+            // A longer match starts at the next byte: emit this one as a literal
+            symbols[symbolCount++] = bytes[pos];
+            pos++;
+        } else if (match.length > 0) {
+            symbols[symbolCount++] = (match.length << 16) | match.distance;
+            for (let i = 1; i < match.length; i++) insert(pos + i);
+            pos += match.length;
+        } else {
+            symbols[symbolCount++] = bytes[pos];
+            pos++;
+        }
+
+        if (symbolCount === BLOCK_SYMBOLS) {
+            writeBlock(writer, symbols.subarray(0, symbolCount), pos >= length);
+            symbolCount = 0;
+        }
+    }
+
+    if (symbolCount > 0 || length === 0) {
+        writeBlock(writer, symbols.subarray(0, symbolCount), true);
+    }
+
+    return writer.finish();
+}
+
+/**
+ * Decompresses a raw deflate stream
+ * @param {Uint8Array} bytes
+ * @param {number} [sizeHint=0] - Expected output size, to avoid growing the buffer
+ * @returns {Uint8Array}
+ * @throws {Error} If the stream is malformed or truncated
+ */
+export function inflateRaw(bytes, sizeHint = 0) {
+    const reader = createBitReader(bytes);
+    let output = new Uint8Array(Math.max(sizeHint, bytes.length * 4, 1024));
+    let outLength = 0;
+
+    const ensure = (extra) => {
+        if (outLength + extra <= output.length) return;
+        const grown = new Uint8Array(Math.max(output.length * 2, outLength + extra));
+        grown.set(output.subarray(0, outLength));
+        output = grown;
+    };
+
+    let fixedTables = null;
+    let last = 0;
+
+    while (!last) {
+        last = reader.bits(1);
+        const type = reader.bits(2);
+
+        if (type === 0) {
+            reader.alignToByte();
+            const blockLength = reader.bits(16);
+            const check = reader.bits(16);
+            if ((blockLength ^ 0xffff) !== check) {
+                throw new Error('Invalid deflate data: stored block length mismatch');
+            }
+            ensure(blockLength);
+            output.set(reader.readBytes(blockLength), outLength);
+            outLength += blockLength;
+            continue;
+        }
+
+        let tables;
+        if (type === 1) {
+            fixedTables = fixedTables || buildFixedTables();
+            tables = fixedTables;
+        } else if (type === 2) {
+            tables = readDynamicTables(reader);
+        } else {
+            throw new Error('Invalid deflate data: unknown block type');
+        }
+
+        for (;;) {
+            const symbol = decodeSymbol(reader, tables.literals);
+            if (symbol < 256) {
+                ensure(1);
+                output[outLength++] = symbol;
+                continue;
+            }
+            if (symbol === 256) break;
+
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= LENGTH_BASE.length) {
+                throw new Error('Invalid deflate data: bad length symbol');
+            }
+            const matchLength = LENGTH_BASE[lengthIndex] + reader.bits(LENGTH_EXTRA[lengthIndex]);
+
+            const distSymbol = decodeSymbol(reader, tables.distances);
+            if (distSymbol >= DIST_BASE.length) {
+                throw new Error('Invalid deflate data: bad distance symbol');
+            }
+            const distance = DIST_BASE[distSymbol] + reader.bits(DIST_EXTRA[distSymbol]);
+            if (distance > outLength) {
+                throw new Error('Invalid deflate data: distance too far back');
+            }
+
+            ensure(matchLength);
+            for (let i = 0; i < matchLength; i++) {
+                output[outLength] = output[outLength - distance];
+                outLength++;
+            }
+        }
+    }
+
+    return output.slice(0, outLength);
+}
+
+/**
+ * Compresses bytes into a zlib stream (deflate with a header and Adler-32 checksum), as used by PNG
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function deflateZlib(bytes) {
+    const compressed = deflateRaw(bytes);
+    const output = new Uint8Array(compressed.length + 6);
+
+    // 32K window, deflate; the check bits make the header a multiple of 31
+    output[0] = 0x78;
+    output[1] = 0x9c;
+    output.set(compressed, 2);
+
+    const checksum = adler32(bytes);
+    const end = compressed.length + 2;
+    output[end] = checksum >>> 24;
+    output[end + 1] = (checksum >>> 16) & 0xff;
+    output[end + 2] = (checksum >>> 8) & 0xff;
+    output[end + 3] = checksum & 0xff;
+
+    return output;
+}
+
+/**
+ * Decompresses a zlib stream
+ * @param {Uint8Array} bytes
+ * @param {number} [sizeHint=0] - Expected output size
+ * @returns {Uint8Array}
+ * @throws {Error} If the stream is malformed or its checksum doesn't match
+ */
+export function inflateZlib(bytes, sizeHint = 0) {
+    if (bytes.length < 6 || (bytes[0] & 0x0f) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+        throw new Error('Invalid zlib data: bad header');
+    }
+    if (bytes[1] & 0x20) {
+        throw new Error('Invalid zlib data: preset dictionaries are not supported');
+    }
+
+    const output = inflateRaw(bytes.subarray(2), sizeHint);
+    const end = bytes.length - 4;
+    const expected = ((bytes[end] << 24) | (bytes[end + 1] << 16) | (bytes[end + 2] << 8) | bytes[end + 3]) >>> 0;
+
+    if (adler32(output) !== expected) {
+        throw new Error('Invalid zlib data: checksum mismatch');
+    }
+
+    return output;
+}
+
+/**
+ * Computes the Adler-32 checksum used by zlib
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    let i = 0;
+
+    while (i < bytes.length) {
+        // 5552 bytes is the most that can be summed before the 32-bit sums could overflow
+        const end = Math.min(i + 5552, bytes.length);
+        for (; i < end; i++) {
+            a += bytes[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Creates a writer that packs bit fields least significant bit first
+ * @param {number} capacity - Initial buffer size in bytes
+ */
+function createBitWriter(capacity) {
+    let buffer = new Uint8Array(Math.max(Math.ceil(capacity), 64));
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const pushByte = (byte) => {
+        if (length === buffer.length) {
+            const grown = new Uint8Array(buffer.length * 2);
+            grown.set(buffer);
+            buffer = grown;
+        }
+        buffer[length++] = byte;
+    };
+
+    return {
+        /**
+         * @param {number} value
+         * @param {number} count - Number of bits (at most 16)
+         */
+        write(value, count) {
+            bitBuffer |= value << bitCount;
+            bitCount += count;
+            while (bitCount >= 8) {
+                pushByte(bitBuffer & 0xff);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        },
+
+        /**
+         * @returns {Uint8Array} The written bytes, with the last one padded with zero bits
+         */
+        finish() {
+            if (bitCount > 0) {
+                pushByte(bitBuffer & 0xff);
+                bitBuffer = 0;
+                bitCount = 0;
+            }
+            return buffer.slice(0, length);
+        }
+    };
+}
+
+/**
+ * Creates a reader for bit fields stored least significant bit first
+ * @param {Uint8Array} bytes
+ */
+function createBitReader(bytes) {
+    let pos = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    return {
+        /**
+         * @param {number} count - Number of bits (at most 16)
+         * @returns {number}
+         */
+        bits(count) {
+            while (bitCount < count) {
+                if (pos >= bytes.length) {
+                    throw new Error('Invalid deflate data: unexpected end of stream');
+                }
+                bitBuffer |= bytes[pos++] << bitCount;
+                bitCount += 8;
+            }
+            const value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        },
+
+        alignToByte() {
+            bitBuffer = 0;
+            bitCount = 0;
+        },
+
+        /**
+         * Reads whole bytes; only valid right after alignToByte
+         * @param {number} count
+         * @returns {Uint8Array}
+         */
+        readBytes(count) {
+            if (pos + count > bytes.length) {
+                throw new Error('Invalid deflate data: unexpected end of stream');
+            }
+            pos += count;
+            return bytes.subarray(pos - count, pos);
+        }
+    };
+}
+
+/**
+ * @typedef {Object} HuffmanDecoder
+ * @property {Uint16Array} counts - Number of codes of each length
+ * @property {Uint16Array} symbols - Symbols ordered by code
+ */
+
+/**
+ * Builds a canonical Huffman decoder from code lengths
+ * @param {ArrayLike<number>} lengths - Code length of each symbol (0 = unused)
+ * @returns {HuffmanDecoder}
+ */
+function buildDecoder(lengths) {
+    const counts = new Uint16Array(16);
+    for (let i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let len = 1; len < 16; len++) offsets[len] = offsets[len - 1] + counts[len - 1];
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        if (lengths[i]) symbols[offsets[lengths[i]]++] = i;
+    }
+
+    return { counts, symbols };
+}
+
+/**
+ * Reads one Huffman-coded symbol
+ * @param {ReturnType<typeof createBitReader>} reader
+ * @param {HuffmanDecoder} decoder
+ * @returns {number}
+ */
+function decodeSymbol(reader, decoder) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+
+    for (let len = 1; len < 16; len++) {
+        code |= reader.bits(1);
+        const count = decoder.counts[len];
+        if (code - first < count) {
+            return decoder.symbols[index + code - first];
+        }
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+    }
+
+    throw new Error('Invalid deflate data: bad Huffman code');
+}
+
+/**
+ * Builds the decoders for fixed-Huffman blocks
+ * @returns {{ literals: HuffmanDecoder, distances: HuffmanDecoder }}
+ */
+function buildFixedTables() {
+    const lengths = getFixedLiteralLengths();
+    return { literals: buildDecoder(lengths), distances: buildDecoder(new Uint8Array(30).fill(5)) };
+}
+
+/**
+ * Gets the code lengths of the fixed literal/length code
+ * @returns {Uint8Array}
+ */
+function getFixedLiteralLengths() {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    return lengths;
+}
+
+/**
+ * Reads the code tables at the start of a dynamic-Huffman block
+ * @param {ReturnType<typeof createBitReader>} reader
+ * @returns {{ literals: HuffmanDecoder, distances: HuffmanDecoder }}
+ */
+function readDynamicTables(reader) {
+    const literalCount = reader.bits(5) + 257;
+    const distanceCount = reader.bits(5) + 1;
+    const codeLengthCount = reader.bits(4) + 4;
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+    }
+    const codeLengthDecoder = buildDecoder(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+
+    while (index < lengths.length) {
+        const symbol = decodeSymbol(reader, codeLengthDecoder);
+        let value = symbol;
+        let repeat = 1;
+
+        if (symbol === 16) {
+            if (index === 0) throw new Error('Invalid deflate data: repeat with no previous length');
+            value = lengths[index - 1];
+            repeat = 3 + reader.bits(2);
+        } else if (symbol === 17) {
+            value = 0;
+            repeat = 3 + reader.bits(3);
+        } else if (symbol === 18) {
+            value = 0;
+            repeat = 11 + reader.bits(7);
+        }
+
+        if (index + repeat > lengths.length) {
+            throw new Error('Invalid deflate data: too many code lengths');
+        }
+        lengths.fill(value, index, index + repeat);
+        index += repeat;
+    }
+
+    return {
+        literals: buildDecoder(lengths.subarray(0, literalCount)),
+        distances: buildDecoder(lengths.subarray(literalCount))
+    };
+}
+
+/**
+ * Finds the length or distance symbol for a value
+ * @param {number[]} bases - LENGTH_BASE or DIST_BASE
+ * @param {number} value
+ * @returns {number} Index into bases
+ */
+function findBaseIndex(bases, value) {
+    let index = bases.length - 1;
+    while (bases[index] > value) index--;
+    return index;
+}
+
+/**
+ * Computes Huffman code lengths no longer than maxBits. When the optimal code is too
+ * deep, the frequencies are halved (keeping them above zero) and the code is rebuilt.
+ * Ties are broken by symbol, so the result only depends on the frequencies.
+ *
+ * @param {Uint32Array} frequencies
+ * @param {number} maxBits
+ * @returns {Uint8Array} Code length per symbol; 0 for unused symbols
+ */
+function buildCodeLengths(frequencies, maxBits) {
+    const lengths = new Uint8Array(frequencies.length);
+    const used = [];
+    for (let i = 0; i < frequencies.length; i++) {
+        if (frequencies[i] > 0) used.push(i);
+    }
+
+    // A code needs two symbols to be complete; pair a lone symbol with an unused one
+    if (used.length < 2) {
+        const symbol = used.length === 1 ? used[0] : 0;
+        lengths[symbol] = 1;
+        lengths[symbol === 0 ? 1 : 0] = 1;
+        return lengths;
+    }
+
+    const weights = Array.from(frequencies);
+
+    for (;;) {
+        const leaves = used
+            .map(symbol => ({ weight: weights[symbol], symbol, children: null }))
+            .sort((a, b) => a.weight - b.weight || a.symbol - b.symbol);
+
+        // Two-queue Huffman construction: merged nodes come out in weight order
+        const merged = [];
+        let leafIndex = 0;
+        let mergedIndex = 0;
+        const takeSmallest = () => {
+            if (mergedIndex >= merged.length ||
+                (leafIndex < leaves.length && leaves[leafIndex].weight <= merged[mergedIndex].weight)) {
+                return leaves[leafIndex++];
+            }
+            return merged[mergedIndex++];
+        };
+
+        for (let i = 1; i < leaves.length; i++) {
+            const a = takeSmallest();
+            const b = takeSmallest();
+            merged.push({ weight: a.weight + b.weight, symbol: -1, children: [a, b] });
+        }
+
+        let maxDepth = 0;
+        const stack = [{ node: merged[merged.length - 1], depth: 0 }];
+        while (stack.length > 0) {
+            const { node, depth } = stack.pop();
+            if (node.children) {
+                stack.push({ node: node.children[0], depth: depth + 1 }, { node: node.children[1], depth: depth + 1 });
+            } else {
+                lengths[node.symbol] = depth;
+                maxDepth = Math.max(maxDepth, depth);
+            }
+        }
+
+        if (maxDepth <= maxBits) return lengths;
+
+        for (const symbol of used) {
+            weights[symbol] = (weights[symbol] + 1) >> 1;
+        }
+    }
+}
+
+/**
+ * Assigns canonical codes to code lengths, bit-reversed for LSB-first writing
+ * @param {Uint8Array} lengths
+ * @returns {Uint16Array}
+ */
+function buildCodes(lengths) {
+    const counts = new Uint16Array(16);
+    for (let i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+    counts[0] = 0;
+
+    const nextCode = new Uint16Array(16);
+    let code = 0;
+    for (let len = 1; len < 16; len++) {
+        code = (code + counts[len - 1]) << 1;
+        nextCode[len] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        const len = lengths[i];
+        if (!len) continue;
+
+        let value = nextCode[len]++;
+        let reversed = 0;
+        for (let bit = 0; bit < len; bit++) {
+            reversed = (reversed << 1) | (value & 1);
+            value >>= 1;
+        }
+        codes[i] = reversed;
+    }
+
+    return codes;
+}
+
+/**
+ * Run-length encodes the code lengths of a dynamic block header with symbols 16-18
+ * @param {Uint8Array} lengths - Literal/length lengths followed by distance lengths
+ * @returns {{ symbol: number, extra: number, extraBits: number }[]}
+ */
+function encodeCodeLengths(lengths) {
+    const runs = [];
+    let i = 0;
+
+    while (i < lengths.length) {
+        const value = lengths[i];
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+        if (value === 0 && run >= 3) {
+            const count = Math.min(run, 138);
+            runs.push(count >= 11
+                ? { symbol: 18, extra: count - 11, extraBits: 7 }
+                : { symbol: 17, extra: count - 3, extraBits: 3 });
+            i += count;
+        } else if (value !== 0 && run >= 4) {
+            // The first length is written as is, then repeated 3-6 times
+            const count = Math.min(run - 1, 6);
+            runs.push({ symbol: value, extra: 0, extraBits: 0 }, { symbol: 16, extra: count - 3, extraBits: 2 });
+            i += count + 1;
+        } else {
+            runs.push({ symbol: value, extra: 0, extraBits: 0 });
+            i++;
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Writes one dynamic-Huffman block
+ * @param {ReturnType<typeof createBitWriter>} writer
+ * @param {Uint32Array} symbols - Literals and (length << 16 | distance) matches
+ * @param {boolean} last - Whether this is the final block
+ */
+function writeBlock(writer, symbols, last) {
+    const literalFrequencies = new Uint32Array(286);
+    const distanceFrequencies = new Uint32Array(30);
+
+    for (let i = 0; i < symbols.length; i++) {
+        const value = symbols[i];
+        if (value < 256) {
+            literalFrequencies[value]++;
+        } else {
+            literalFrequencies[257 + findBaseIndex(LENGTH_BASE, value >>> 16)]++;
+            distanceFrequencies[findBaseIndex(DIST_BASE, value & 0xffff)]++;
+        }
+    }
+    literalFrequencies[256] = 1;
+
+    const literalLengths = buildCodeLengths(literalFrequencies, 15);
+    const distanceLengths = buildCodeLengths(distanceFrequencies, 15);
+
+    let literalCount = 286;
+    while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+    let distanceCount = 30;
+    while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+
+    const allLengths = new Uint8Array(literalCount + distanceCount);
+    allLengths.set(literalLengths.subarray(0, literalCount));
+    allLengths.set(distanceLengths.subarray(0, distanceCount), literalCount);
+    const runs = encodeCodeLengths(allLengths);
+
+    const codeLengthFrequencies = new Uint32Array(19);
+    for (const run of runs) codeLengthFrequencies[run.symbol]++;
+    const codeLengthLengths = buildCodeLengths(codeLengthFrequencies, 7);
+    const codeLengthCodes = buildCodes(codeLengthLengths);
+
+    let codeLengthCount = 19;
+    while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) codeLengthCount--;
+
+    writer.write(last ? 1 : 0, 1);
+    writer.write(2, 2);
+    writer.write(literalCount - 257, 5);
+    writer.write(distanceCount - 1, 5);
+    writer.write(codeLengthCount - 4, 4);
+    for (let i = 0; i < codeLengthCount; i++) {
+        writer.write(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+    }
+    for (const run of runs) {
+        writer.write(codeLengthCodes[run.symbol], codeLengthLengths[run.symbol]);
+        if (run.extraBits) writer.write(run.extra, run.extraBits);
+    }
+
+    const literalCodes = buildCodes(literalLengths);
+    const distanceCodes = buildCodes(distanceLengths);
+
+    for (let i = 0; i < symbols.length; i++) {
+        const value = symbols[i];
+        if (value < 256) {
+            writer.write(literalCodes[value], literalLengths[value]);
+            continue;
+        }
+
+        const matchLength = value >>> 16;
+        const distance = value & 0xffff;
+        const lengthIndex = findBaseIndex(LENGTH_BASE, matchLength);
+        const distIndex = findBaseIndex(DIST_BASE, distance);
+
+        writer.write(literalCodes[257 + lengthIndex], literalLengths[257 + lengthIndex]);
+        if (LENGTH_EXTRA[lengthIndex]) writer.write(matchLength - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+        writer.write(distanceCodes[distIndex], distanceLengths[distIndex]);
+        if (DIST_EXTRA[distIndex]) writer.write(distance - DIST_BASE[distIndex], DIST_EXTRA[distIndex]);
+    }
+
+    writer.write(literalCodes[256], literalLengths[256]);
+}
@@ -3,6 +3,9 @@
  * @module utils/download
  */
 
+import { crc32 } from './crc32.js';
+import { deflateRaw } from './deflate.js';
+
 /**
  * Triggers a browser download for a Blob
  * @param {Blob} blob - The blob to download
@@ -26,6 +29,17 @@ export function downloadBlob(blob, filename) {
     }, 100);
 }
 
+/**
+ * Formats a file size for log messages, e.g. "812 B", "14.2 KB" or "1.3 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatByteSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 /**
  * Downloads a JavaScript object as a JSON file
  * @param {Object} data - Data to serialize as JSON
@@ -36,3 +50,161 @@ export function downloadJSON(data, filename) {
     const blob = new Blob([jsonString], { type: 'application/json' });
     downloadBlob(blob, filename);
 }
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive; '/' separates folders
+ * @property {Blob|Uint8Array|string} data - File contents
+ */
+
+/**
+ * @typedef {Object} ZipOptions
+ * @property {'store'|'deflate'} [compression='deflate'] - Deflate falls back to store for files
+ *   that compressing doesn't make smaller
+ */
+
+/**
+ * Converts entry data to bytes
+ * @param {Blob|Uint8Array|string} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    return new Uint8Array(await data.arrayBuffer());
+}
+
+/**
+ * Cleans an archive path: forward slashes, no leading slash, no '.' or '..' segments
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeZipPath(name) {
+    return name
+        .replace(/\\/g, '/')
+        .split('/')
+        .filter(segment => segment !== '' && segment !== '.' && segment !== '..')
+        .join('/');
+}
+
+/**
+ * Encodes a date as MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive without external libraries.
+ * Filenames are stored as UTF-8. ZIP64 isn't supported, so archives are limited
+ * to 65535 files of under 4 GB in total.
+ *
+ * @param {ZipEntry[]} entries - Files to add, in order
+ * @param {ZipOptions} [options={}]
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createZip(entries, options = {}) {
+    const { compression = 'deflate' } = options;
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const parts = [];
+    const centralParts = [];
+    const usedNames = new Set();
+    let offset = 0;
+
+    if (entries.length > 0xffff) {
+        throw new Error(`Too many files for a ZIP archive (${entries.length}, max 65535)`);
+    }
+
+    for (const entry of entries) {
+        const path = normalizeZipPath(entry.name);
+        if (!path) {
+            throw new Error(`Invalid file name in archive: "${entry.name}"`);
+        }
+        if (usedNames.has(path)) {
+            throw new Error(`Duplicate file name in archive: "${path}"`);
+        }
+        usedNames.add(path);
+
+        const nameBytes = encoder.encode(path);
+        const bytes = await toBytes(entry.data);
+        const crc = crc32(bytes);
+        let method = 0;
+        let stored = bytes;
+
+        // Raw deflate is the ZIP method 8 stream format
+        if (compression === 'deflate') {
+            const deflated = deflateRaw(bytes);
+            if (deflated.length < bytes.length) {
+                method = 8;
+                stored = deflated;
+            }
+        }
+
+        // Local file header
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);              // Version needed to extract
+        header.setUint16(6, 0x0800, true);          // Flags: UTF-8 names
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, stored.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);              // Extra field length
+
+        // Central directory record
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);             // Version made by
+        central.setUint16(6, 20, true);             // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, stored.length, true);
+        central.setUint32(24, bytes.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);        // Local header offset; other fields stay 0
+
+        parts.push(header, nameBytes, stored);
+        centralParts.push(central, nameBytes);
+        offset += 30 + nameBytes.length + stored.length;
+
+        if (offset > 0xffffffff) {
+            throw new Error('ZIP archive is too large (over 4 GB)');
+        }
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * Builds a ZIP archive and downloads it
+ * @param {ZipEntry[]} entries - Files to add
+ * @param {string} filename - Desired filename (should end with .zip)
+ * @param {ZipOptions} [options]
+ * @returns {Promise<void>}
+ */
+export async function downloadZip(entries, filename, options) {
+    const blob = await createZip(entries, options);
+    downloadBlob(blob, filename);
+}
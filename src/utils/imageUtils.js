@@ -3,6 +3,14 @@
  * @module utils/imageUtils
  */
 
+import { isRaster } from './raster.js';
+import { isPng, decodePng, encodePng, encodeIndexedPng } from './pngCodec.js';
+import { quantizeRaster } from './quantize.js';
+
+/**
+ * @typedef {import('./raster.js').Raster} Raster
+ */
+
 /**
  * Creates an offscreen canvas with the specified dimensions
  * @param {number} width - Canvas width in pixels
@@ -17,6 +25,23 @@ export function createCanvas(width, height) {
     return { canvas, ctx };
 }
 
+/**
+ * Reads the RGBA pixels of an image or canvas. Rasters are returned as they are,
+ * so code that only reads pixels works without a DOM when given rasters.
+ *
+ * @param {CanvasImageSource|Raster} image - Source image (HTMLImageElement, canvas or raster)
+ * @returns {Raster} Pixel data at the image's natural size
+ */
+export function getImagePixels(image) {
+    if (isRaster(image)) return image;
+
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const { ctx } = createCanvas(width, height);
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, width, height);
+}
+
 /**
  * Rounds a number up to the nearest power of two
  * @param {number} n - Input number
@@ -34,23 +59,6 @@ export function nextPowerOfTwo(n) {
     return power;
 }
 
-/**
- * Converts a canvas to a PNG Blob
- * @param {HTMLCanvasElement} canvas - Source canvas
- * @returns {Promise<Blob>} PNG blob
- */
-export function canvasToBlob(canvas) {
-    return new Promise((resolve, reject) => {
-        canvas.toBlob((blob) => {
-            if (blob) {
-                resolve(blob);
-            } else {
-                reject(new Error('Failed to convert canvas to blob'));
-            }
-        }, 'image/png');
-    });
-}
-
 /**
  * Loads an image from a Blob or File
  * @param {Blob|File} blob - Image blob or file
@@ -74,3 +82,50 @@ export function loadImageFromBlob(blob) {
         img.src = url;
     });
 }
+
+/**
+ * Loads the pixels of an image file. PNGs are decoded in JavaScript, which keeps
+ * semi-transparent colors exact (a canvas would premultiply them); other formats
+ * are decoded by the browser.
+ *
+ * @param {Blob|File} blob - Image file
+ * @returns {Promise<Raster>}
+ */
+export async function loadImagePixels(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    if (isPng(bytes)) {
+        return decodePng(bytes);
+    }
+    return getImagePixels(await loadImageFromBlob(blob));
+}
+
+/**
+ * Draws a raster onto a new canvas, for display
+ * @param {Raster} raster
+ * @returns {HTMLCanvasElement}
+ */
+export function rasterToCanvas(raster) {
+    const { canvas, ctx } = createCanvas(raster.width, raster.height);
+    ctx.putImageData(new ImageData(raster.data, raster.width, raster.height), 0, 0);
+    return canvas;
+}
+
+/**
+ * Encodes a raster as a PNG Blob (see utils/pngCodec)
+ * @param {Raster} raster
+ * @returns {Blob} PNG blob
+ */
+export function rasterToBlob(raster) {
+    return new Blob([encodePng(raster)], { type: 'image/png' });
+}
+
+/**
+ * Quantizes a raster to a palette and encodes it as an indexed PNG Blob (see utils/quantize)
+ * @param {Raster} raster
+ * @param {import('./quantize.js').QuantizeOptions} options
+ * @returns {Blob} PNG blob
+ * @throws {Error} If the palette size is out of range
+ */
+export function rasterToIndexedBlob(raster, options) {
+    return new Blob([encodeIndexedPng(quantizeRaster(raster, options))], { type: 'image/png' });
+}
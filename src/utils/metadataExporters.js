@@ -0,0 +1,298 @@
+/**
+ * Metadata exporters - convert atlas metadata to engine formats
+ * @module utils/metadataExporters
+ */
+
+/**
+ * @typedef {import('../core/imageLoader.js').AtlasMetadata} AtlasMetadata
+ * @typedef {import('../core/imageLoader.js').PackedFrame} PackedFrame
+ */
+
+/**
+ * @typedef {Object} ExportedFile
+ * @property {string} filename - Suggested filename
+ * @property {Object} data - JSON-serializable content
+ */
+
+/**
+ * @typedef {Object} MetadataExporter
+ * @property {string} id - Unique format id
+ * @property {string} name - Display name
+ * @property {string} description - Short description for the UI
+ * @property {function(AtlasMetadata): ExportedFile[]} export - Converts metadata into one or more files
+ */
+
+/**
+ * Registered exporters keyed by id
+ * @type {Map<string, MetadataExporter>}
+ */
+const exporters = new Map();
+
+/**
+ * Registers a metadata exporter, replacing any exporter with the same id
+ * @param {MetadataExporter} exporter
+ */
+export function registerMetadataExporter(exporter) {
+    exporters.set(exporter.id, exporter);
+}
+
+/**
+ * Gets the list of registered export formats
+ * @returns {{ id: string, name: string, description: string }[]}
+ */
+export function getMetadataExporters() {
+    return Array.from(exporters.values(), ({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Converts metadata with the given exporter
+ * @param {AtlasMetadata} metadata - Native atlas metadata
+ * @param {string} formatId - Exporter id
+ * @returns {{ success: boolean, result?: ExportedFile[], error?: string }}
+ */
+export function exportMetadata(metadata, formatId) {
+    const exporter = exporters.get(formatId);
+
+    if (!exporter) {
+        return {
+            success: false,
+            error: `Unknown export format "${formatId}".`
+        };
+    }
+
+    try {
+        return {
+            success: true,
+            result: exporter.export(metadata)
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: `Failed to export metadata as ${exporter.name}: ${error.message}`
+        };
+    }
+}
+
+/**
+ * Gets the atlas pages, falling back to a single page for older metadata
+ * @param {AtlasMetadata} metadata
+ * @returns {import('../core/imageLoader.js').AtlasPage[]}
+ */
+function getPages(metadata) {
+    return metadata.meta.pages || [{ image: 'atlas.png', size: metadata.meta.size }];
+}
+
+/**
+ * Adds the `@<scale>x` suffix of a scale variant to a filename
+ * @param {string} filename - e.g. 'atlas.json'
+ * @param {AtlasMetadata} metadata
+ * @returns {string} e.g. 'atlas@0.5x.json', or the filename itself without `meta.scale`
+ */
+function withScaleSuffix(filename, metadata) {
+    if (metadata.meta.scale === undefined) return filename;
+    return filename.replace(/(\.[^/.]+)?$/, `@${metadata.meta.scale}x$1`);
+}
+
+/**
+ * Replaces an image filename's extension with .json
+ * @param {string} imageName
+ * @returns {string}
+ */
+function toJsonName(imageName) {
+    return imageName.replace(/\.[^/.]+$/, '') + '.json';
+}
+
+/**
+ * Converts a frame to the TexturePacker frame layout.
+ * TexturePacker stores the upright size in `frame` and lets the loader swap
+ * w/h for rotated frames, while our frames store the size as it sits in the atlas.
+ * The pivot is written as TexturePacker's `pivot`, which Phaser reads.
+ *
+ * @param {PackedFrame} frame
+ * @returns {Object} TexturePacker frame data (without the name)
+ */
+function toTexturePackerFrame(frame) {
+    const w = frame.rotated ? frame.h : frame.w;
+    const h = frame.rotated ? frame.w : frame.h;
+
+    const data = {
+        frame: { x: frame.x, y: frame.y, w, h },
+        rotated: !!frame.rotated,
+        trimmed: !!frame.trimmed,
+        spriteSourceSize: frame.spriteSourceSize
+            ? { ...frame.spriteSourceSize }
+            : { x: 0, y: 0, w, h },
+        sourceSize: frame.sourceSize
+            ? { ...frame.sourceSize }
+            : { w, h }
+    };
+
+    if (frame.pivot) {
+        data.pivot = { ...frame.pivot };
+    }
+
+    return data;
+}
+
+/**
+ * Adds the PixiJS spellings of the pivot (`anchor`) and 9-slice borders (`borders`)
+ * to a TexturePacker frame
+ * @param {PackedFrame} frame
+ * @returns {Object} TexturePacker frame data (without the name)
+ */
+function toPixiFrame(frame) {
+    const data = toTexturePackerFrame(frame);
+
+    if (frame.pivot) {
+        data.anchor = { ...frame.pivot };
+    }
+    if (frame.nineSlice) {
+        data.borders = { ...frame.nineSlice };
+    }
+
+    return data;
+}
+
+/**
+ * Adds Phaser's `scale9Borders` (the center rectangle of the untrimmed sprite) to a TexturePacker frame
+ * @param {PackedFrame} frame
+ * @returns {Object} TexturePacker frame data (without the name)
+ */
+function toPhaserFrame(frame) {
+    const data = toTexturePackerFrame(frame);
+
+    if (frame.nineSlice) {
+        const { left, top, right, bottom } = frame.nineSlice;
+        data.scale9Borders = {
+            x: left,
+            y: top,
+            w: data.sourceSize.w - left - right,
+            h: data.sourceSize.h - top - bottom
+        };
+    }
+
+    return data;
+}
+
+/**
+ * Builds the TexturePacker `meta` block for one page
+ * @param {AtlasMetadata} metadata
+ * @param {import('../core/imageLoader.js').AtlasPage} page
+ * @returns {Object}
+ */
+function toTexturePackerMeta(metadata, page) {
+    return {
+        app: metadata.meta.app,
+        version: metadata.meta.version,
+        image: page.image,
+        format: 'RGBA8888',
+        size: { ...page.size },
+        scale: String(metadata.meta.scale || 1)
+    };
+}
+
+/**
+ * Converts animation groups to PixiJS spritesheet animations (name → frame names)
+ * @param {import('../core/animationGrouper.js').AnimationMap} [animations]
+ * @param {Set<string>} pageFrameNames - Frames on the page being written
+ * @returns {Object<string, string[]>|null} Animations whose frames are all on the page, or null if none
+ */
+function toPixiAnimations(animations, pageFrameNames) {
+    if (!animations) return null;
+
+    const result = {};
+    for (const [name, group] of Object.entries(animations)) {
+        if (group.frames.every(frame => pageFrameNames.has(frame))) {
+            result[name] = [...group.frames];
+        }
+    }
+    return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Builds one TexturePacker file per page.
+ * Multi-page atlases link their files through `related_multi_packs`, which PixiJS follows.
+ * Animations are written as PixiJS `animations` (frame name lists) into the file of the
+ * page holding all their frames; fps and loop mode have no TexturePacker equivalent.
+ *
+ * @param {AtlasMetadata} metadata
+ * @param {function(PackedFrame[]): Object} buildFrames - Converts a page's frames to the format's `frames` value
+ * @returns {ExportedFile[]}
+ */
+function exportTexturePacker(metadata, buildFrames) {
+    const pages = getPages(metadata);
+    const filenames = pages.length > 1
+        ? pages.map(page => toJsonName(page.image))
+        : [withScaleSuffix('atlas.json', metadata)];
+
+    return pages.map((page, pageIndex) => {
+        const meta = toTexturePackerMeta(metadata, page);
+
+        if (pages.length > 1) {
+            meta.related_multi_packs = filenames.filter((_, i) => i !== pageIndex);
+        }
+
+        const pageFrames = metadata.frames.filter(frame => (frame.page || 0) === pageIndex);
+        const data = { frames: buildFrames(pageFrames), meta };
+        const animations = toPixiAnimations(metadata.animations, new Set(pageFrames.map(frame => frame.name)));
+
+        if (animations) {
+            data.animations = animations;
+        }
+
+        return { filename: filenames[pageIndex], data };
+    });
+}
+
+registerMetadataExporter({
+    id: 'native',
+    name: 'Sprite Atlas Tool JSON',
+    description: 'This tool\'s own format, readable in UNPACK mode',
+    export: (metadata) => [{ filename: withScaleSuffix('metadata.json', metadata), data: metadata }]
+});
+
+registerMetadataExporter({
+    id: 'texturepacker-hash',
+    name: 'TexturePacker JSON (Hash)',
+    description: 'Frames keyed by name; loads in PixiJS and Phaser',
+    export: (metadata) => exportTexturePacker(metadata, (frames) => {
+        const result = {};
+        for (const frame of frames) {
+            result[frame.name] = toPixiFrame(frame);
+        }
+        return result;
+    })
+});
+
+registerMetadataExporter({
+    id: 'texturepacker-array',
+    name: 'TexturePacker JSON (Array)',
+    description: 'Frames as an ordered list; loads in PixiJS and Phaser',
+    export: (metadata) => exportTexturePacker(metadata, (frames) =>
+        frames.map(frame => ({ filename: frame.name, ...toPixiFrame(frame) }))
+    )
+});
+
+registerMetadataExporter({
+    id: 'phaser3-multiatlas',
+    name: 'Phaser 3 Multi-Atlas',
+    description: 'Single JSON for all pages, for Phaser\'s load.multiatlas',
+    export: (metadata) => [{
+        filename: withScaleSuffix('atlas.json', metadata),
+        data: {
+            textures: getPages(metadata).map((page, pageIndex) => ({
+                image: page.image,
+                format: 'RGBA8888',
+                size: { ...page.size },
+                scale: metadata.meta.scale || 1,
+                frames: metadata.frames
+                    .filter(frame => (frame.page || 0) === pageIndex)
+                    .map(frame => ({ filename: frame.name, ...toPhaserFrame(frame) }))
+            })),
+            meta: {
+                app: metadata.meta.app,
+                version: metadata.meta.version
+            }
+        }
+    }]
+});
@@ -0,0 +1,435 @@
+/**
+ * PNG encoding and decoding in plain JavaScript. Encoding is deterministic, so the
+ * browser tool and the command-line tool write identical files for identical pixels.
+ * @module utils/pngCodec
+ */
+
+import { crc32 } from './crc32.js';
+import { deflateZlib, inflateZlib } from './deflate.js';
+import { createRaster } from './raster.js';
+
+/**
+ * @typedef {import('./raster.js').Raster} Raster
+ */
+
+/**
+ * @typedef {Object} IndexedRaster
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Uint8Array} palette - RGBA palette entries, 4 bytes each, at most 256 entries
+ * @property {Uint8Array} indices - Palette index of each pixel, row by row
+ */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Samples per pixel for each PNG color type
+ */
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Allowed bit depths for each PNG color type
+ */
+const BIT_DEPTHS = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+/**
+ * Adam7 interlacing passes: [startX, startY, stepX, stepY]
+ */
+const ADAM7_PASSES = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * Checks for the PNG file signature
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isPng(bytes) {
+    return bytes.length >= 8 && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Encodes a raster as an 8-bit RGBA PNG. Each row uses the filter that gives
+ * the smallest sum of absolute differences.
+ *
+ * @param {Raster} raster
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodePng(raster) {
+    const { width, height, data } = raster;
+    const stride = width * 4;
+    const filtered = new Uint8Array(height * (stride + 1));
+    const candidates = Array.from({ length: 5 }, () => new Uint8Array(stride));
+
+    for (let y = 0; y < height; y++) {
+        const row = data.subarray(y * stride, (y + 1) * stride);
+        const above = y > 0 ? data.subarray((y - 1) * stride, y * stride) : null;
+
+        let bestFilter = 0;
+        let bestScore = Infinity;
+
+        for (let filter = 0; filter < 5; filter++) {
+            const out = candidates[filter];
+            let score = 0;
+
+            for (let i = 0; i < stride; i++) {
+                const left = i >= 4 ? row[i - 4] : 0;
+                const up = above ? above[i] : 0;
+                const upLeft = above && i >= 4 ? above[i - 4] : 0;
+                const value = (row[i] - predict(filter, left, up, upLeft)) & 0xff;
+                out[i] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+
+            if (score < bestScore) {
+                bestScore = score;
+                bestFilter = filter;
+            }
+        }
+
+        const offset = y * (stride + 1);
+        filtered[offset] = bestFilter;
+        filtered.set(candidates[bestFilter], offset + 1);
+    }
+
+    return assemblePng([
+        createChunk('IHDR', createHeader(width, height, 8, 6)),
+        createChunk('IDAT', deflateZlib(filtered)),
+        createChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Encodes a palette image as an indexed PNG, with a tRNS chunk for the entries' alpha.
+ * Palettes of up to 2, 4 or 16 entries are stored with 1, 2 or 4 bits per pixel. Rows are
+ * left unfiltered, as the PNG specification recommends for palette images.
+ *
+ * @param {IndexedRaster} image
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodeIndexedPng(image) {
+    const { width, height, palette, indices } = image;
+    const entryCount = palette.length / 4;
+    const bitDepth = entryCount <= 2 ? 1 : entryCount <= 4 ? 2 : entryCount <= 16 ? 4 : 8;
+    const pixelsPerByte = 8 / bitDepth;
+    const stride = Math.ceil(width / pixelsPerByte);
+    const rows = new Uint8Array(height * (stride + 1));
+
+    // Each row starts with filter type 0; pixels are packed from the high bits down
+    for (let y = 0; y < height; y++) {
+        const offset = y * (stride + 1) + 1;
+        for (let x = 0; x < width; x++) {
+            const shift = 8 - bitDepth * (x % pixelsPerByte + 1);
+            rows[offset + Math.floor(x / pixelsPerByte)] |= indices[y * width + x] << shift;
+        }
+    }
+
+    const colors = new Uint8Array(entryCount * 3);
+    let alphaCount = 0;
+    for (let i = 0; i < entryCount; i++) {
+        colors.set(palette.subarray(i * 4, i * 4 + 3), i * 3);
+        if (palette[i * 4 + 3] !== 255) alphaCount = i + 1;
+    }
+
+    // tRNS only needs to reach the last entry that isn't opaque
+    const alphas = new Uint8Array(alphaCount);
+    for (let i = 0; i < alphaCount; i++) alphas[i] = palette[i * 4 + 3];
+
+    return assemblePng([
+        createChunk('IHDR', createHeader(width, height, bitDepth, 3)),
+        createChunk('PLTE', colors),
+        ...(alphaCount > 0 ? [createChunk('tRNS', alphas)] : []),
+        createChunk('IDAT', deflateZlib(rows)),
+        createChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Decodes a PNG file of any standard color type, bit depth and interlacing.
+ * 16-bit samples are reduced to 8 bits; transparency from tRNS becomes alpha.
+ *
+ * @param {Uint8Array} bytes - PNG file bytes
+ * @returns {Raster}
+ * @throws {Error} If the file isn't a valid PNG
+ */
+export function decodePng(bytes) {
+    if (!isPng(bytes)) {
+        throw new Error('Invalid PNG: missing PNG signature');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const dataChunks = [];
+    let offset = 8;
+
+    while (offset < bytes.length) {
+        if (offset + 12 > bytes.length) {
+            throw new Error('Invalid PNG: truncated chunk');
+        }
+
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const end = offset + 8 + length;
+        if (end + 4 > bytes.length) {
+            throw new Error(`Invalid PNG: truncated ${type} chunk`);
+        }
+        if (crc32(bytes.subarray(offset + 4, end)) !== view.getUint32(end)) {
+            throw new Error(`Invalid PNG: ${type} chunk is corrupt`);
+        }
+
+        const content = bytes.subarray(offset + 8, end);
+        offset = end + 4;
+
+        if (type === 'IHDR') {
+            header = readHeader(content);
+        } else if (type === 'PLTE') {
+            palette = content;
+        } else if (type === 'tRNS') {
+            transparency = content;
+        } else if (type === 'IDAT') {
+            dataChunks.push(content);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) {
+        throw new Error('Invalid PNG: missing IHDR chunk');
+    }
+    if (dataChunks.length === 0) {
+        throw new Error('Invalid PNG: missing image data');
+    }
+    if (header.colorType === 3 && !palette) {
+        throw new Error('Invalid PNG: missing palette');
+    }
+
+    const compressed = new Uint8Array(dataChunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of dataChunks) {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    }
+
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const bitsPerPixel = CHANNELS[colorType] * bitDepth;
+    const passes = interlace ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    const passSizes = passes.map(([x0, y0, dx, dy]) => ({
+        width: Math.ceil((width - x0) / dx),
+        height: Math.ceil((height - y0) / dy)
+    }));
+    const expectedSize = passSizes.reduce((sum, size) => (size.width > 0 && size.height > 0
+        ? sum + size.height * (1 + Math.ceil(size.width * bitsPerPixel / 8))
+        : sum), 0);
+
+    let inflated;
+    try {
+        inflated = inflateZlib(compressed, expectedSize);
+    } catch (error) {
+        throw new Error(`Invalid PNG: ${error.message}`);
+    }
+    if (inflated.length < expectedSize) {
+        throw new Error('Invalid PNG: image data is too short');
+    }
+
+    const raster = createRaster(width, height);
+    const readPixel = createPixelReader(header, palette, transparency);
+    let dataOffset = 0;
+
+    passes.forEach(([x0, y0, dx, dy], index) => {
+        const size = passSizes[index];
+        if (size.width <= 0 || size.height <= 0) return;
+
+        const rowBytes = Math.ceil(size.width * bitsPerPixel / 8);
+        const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+        let previous = new Uint8Array(rowBytes);
+
+        for (let py = 0; py < size.height; py++) {
+            const filter = inflated[dataOffset];
+            const row = inflated.slice(dataOffset + 1, dataOffset + 1 + rowBytes);
+            dataOffset += rowBytes + 1;
+
+            if (filter > 4) {
+                throw new Error(`Invalid PNG: unknown filter type ${filter}`);
+            }
+            for (let i = 0; i < rowBytes; i++) {
+                const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+                const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+                row[i] = (row[i] + predict(filter, left, previous[i], upLeft)) & 0xff;
+            }
+
+            const y = y0 + py * dy;
+            for (let px = 0; px < size.width; px++) {
+                readPixel(row, px, raster.data, (y * width + x0 + px * dx) * 4);
+            }
+            previous = row;
+        }
+    });
+
+    return raster;
+}
+
+/**
+ * Predicts a byte from its neighbors with one of the five PNG filters
+ * @param {number} filter - 0 None, 1 Sub, 2 Up, 3 Average, 4 Paeth
+ * @param {number} left
+ * @param {number} up
+ * @param {number} upLeft
+ * @returns {number}
+ */
+function predict(filter, left, up, upLeft) {
+    switch (filter) {
+        case 1: return left;
+        case 2: return up;
+        case 3: return (left + up) >> 1;
+        case 4: {
+            const estimate = left + up - upLeft;
+            const toLeft = Math.abs(estimate - left);
+            const toUp = Math.abs(estimate - up);
+            const toUpLeft = Math.abs(estimate - upLeft);
+            if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+            return toUp <= toUpLeft ? up : upLeft;
+        }
+        default: return 0;
+    }
+}
+
+/**
+ * Builds the IHDR content for a non-interlaced image
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth
+ * @param {number} colorType - 3 palette, 6 RGBA
+ * @returns {Uint8Array}
+ */
+function createHeader(width, height, bitDepth, colorType) {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = colorType;
+    return header;
+}
+
+/**
+ * Joins the signature and chunks into a PNG file
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+function assemblePng(chunks) {
+    const output = new Uint8Array(8 + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    output.set(PNG_SIGNATURE);
+    let offset = 8;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+/**
+ * Builds a PNG chunk: length, type, content and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} content
+ * @returns {Uint8Array}
+ */
+function createChunk(type, content) {
+    const chunk = new Uint8Array(content.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, content.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(content, 8);
+    view.setUint32(content.length + 8, crc32(chunk.subarray(4, content.length + 8)));
+    return chunk;
+}
+
+/**
+ * Reads and validates the IHDR chunk
+ * @param {Uint8Array} content
+ * @returns {{ width: number, height: number, bitDepth: number, colorType: number, interlace: number }}
+ */
+function readHeader(content) {
+    if (content.length !== 13) {
+        throw new Error('Invalid PNG: bad IHDR chunk');
+    }
+
+    const view = new DataView(content.buffer, content.byteOffset, content.byteLength);
+    const header = {
+        width: view.getUint32(0),
+        height: view.getUint32(4),
+        bitDepth: content[8],
+        colorType: content[9],
+        interlace: content[12]
+    };
+
+    if (header.width === 0 || header.height === 0) {
+        throw new Error('Invalid PNG: image has no pixels');
+    }
+    if (!BIT_DEPTHS[header.colorType] || !BIT_DEPTHS[header.colorType].includes(header.bitDepth)) {
+        throw new Error(`Unsupported PNG: color type ${header.colorType} with bit depth ${header.bitDepth}`);
+    }
+    if (content[10] !== 0 || content[11] !== 0 || header.interlace > 1) {
+        throw new Error('Unsupported PNG: unknown compression, filter or interlace method');
+    }
+
+    return header;
+}
+
+/**
+ * Creates a function that converts one pixel of an unfiltered row to RGBA
+ * @param {{ bitDepth: number, colorType: number }} header
+ * @param {Uint8Array|null} palette - PLTE contents
+ * @param {Uint8Array|null} transparency - tRNS contents
+ * @returns {function(Uint8Array, number, Uint8ClampedArray, number): void}
+ */
+function createPixelReader({ bitDepth, colorType }, palette, transparency) {
+    const channels = CHANNELS[colorType];
+    const maxValue = (1 << bitDepth) - 1;
+
+    // Sample n of pixel x at its full bit depth
+    const sample = (row, x, n) => {
+        if (bitDepth === 16) {
+            const i = (x * channels + n) * 2;
+            return (row[i] << 8) | row[i + 1];
+        }
+        if (bitDepth === 8) return row[x * channels + n];
+
+        const bit = x * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    };
+    const to8Bit = value => (bitDepth === 16 ? value >> 8 : Math.round(value * 255 / maxValue));
+
+    const key = transparency && transparency.length >= 2 && (colorType === 0 || colorType === 2)
+        ? Array.from({ length: colorType === 0 ? 1 : 3 }, (_, n) => (transparency[n * 2] << 8) | transparency[n * 2 + 1])
+        : null;
+
+    return (row, x, out, offset) => {
+        if (colorType === 3) {
+            const index = sample(row, x, 0);
+            out[offset] = palette[index * 3];
+            out[offset + 1] = palette[index * 3 + 1];
+            out[offset + 2] = palette[index * 3 + 2];
+            out[offset + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            return;
+        }
+
+        if (colorType === 0 || colorType === 4) {
+            const gray = sample(row, x, 0);
+            out[offset] = out[offset + 1] = out[offset + 2] = to8Bit(gray);
+            out[offset + 3] = colorType === 4 ? to8Bit(sample(row, x, 1)) : (key && gray === key[0] ? 0 : 255);
+            return;
+        }
+
+        const red = sample(row, x, 0);
+        const green = sample(row, x, 1);
+        const blue = sample(row, x, 2);
+        out[offset] = to8Bit(red);
+        out[offset + 1] = to8Bit(green);
+        out[offset + 2] = to8Bit(blue);
+        out[offset + 3] = colorType === 6
+            ? to8Bit(sample(row, x, 3))
+            : (key && red === key[0] && green === key[1] && blue === key[2] ? 0 : 255);
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * Palette quantization - reduces an image to at most 256 colours for indexed PNGs
+ * @module utils/quantize
+ */
+
+/**
+ * @typedef {import('./raster.js').Raster} Raster
+ * @typedef {import('./pngCodec.js').IndexedRaster} IndexedRaster
+ */
+
+/**
+ * @typedef {Object} QuantizeOptions
+ * @property {number} colors - Largest palette size, 2 to 256
+ * @property {boolean} [dither=false] - Spread each pixel's colour error to its neighbours (Floyd–Steinberg)
+ */
+
+/**
+ * Reduces a raster to a palette of at most `colors` entries by median cut: the colour box
+ * holding the most pixels times its widest channel range is split at its median until the
+ * palette is full. Images with few enough colours keep them exactly. Fully transparent pixels
+ * share one transparent entry, so their colour (e.g. from alpha bleeding) is not kept.
+ * Entries with transparency come first, which keeps the PNG tRNS chunk short.
+ *
+ * @param {Raster} raster
+ * @param {QuantizeOptions} options
+ * @returns {IndexedRaster}
+ * @throws {Error} If the palette size is out of range
+ */
+export function quantizeRaster(raster, options) {
+    const { colors, dither = false } = options;
+    if (!Number.isInteger(colors) || colors < 2 || colors > 256) {
+        throw new Error('Palette size must be a whole number from 2 to 256.');
+    }
+
+    const { width, height, data } = raster;
+    const histogram = buildHistogram(data);
+    const hasTransparent = histogram.delete(0);
+
+    const entries = medianCut(histogram, colors - (hasTransparent ? 1 : 0));
+    if (hasTransparent) {
+        entries.push([0, 0, 0, 0]);
+    }
+
+    // Entries with transparency first, each group keeping its order
+    entries.sort((a, b) => (a[3] === 255) - (b[3] === 255));
+
+    const palette = new Uint8Array(entries.length * 4);
+    entries.forEach((entry, i) => palette.set(entry, i * 4));
+
+    // Only the shared transparent entry has an alpha of 0; box means of visible colours never do
+    const transparentIndex = entries.findIndex(entry => entry[3] === 0);
+    const indices = dither
+        ? mapDithered(raster, palette, transparentIndex)
+        : mapExact(data, palette, transparentIndex);
+
+    return { width, height, palette, indices };
+}
+
+/**
+ * Counts the pixels of each colour; every fully transparent pixel counts as colour 0
+ * @param {Uint8ClampedArray} data - RGBA bytes
+ * @returns {Map<number, number>} Pixel count by packed RGBA value
+ */
+function buildHistogram(data) {
+    const histogram = new Map();
+
+    for (let i = 0; i < data.length; i += 4) {
+        const key = toKey(data, i);
+        histogram.set(key, (histogram.get(key) || 0) + 1);
+    }
+    return histogram;
+}
+
+/**
+ * Packs a pixel into one unsigned number, or 0 when it is fully transparent
+ * @param {ArrayLike<number>} data
+ * @param {number} offset - Index of the pixel's red byte
+ * @returns {number}
+ */
+function toKey(data, offset) {
+    if (data[offset + 3] === 0) return 0;
+    return ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+}
+
+/**
+ * Splits the colours into at most `count` boxes and averages each
+ * @param {Map<number, number>} histogram - Pixel count by packed colour
+ * @param {number} count - Number of boxes wanted
+ * @returns {number[][]} RGBA palette entries
+ */
+function medianCut(histogram, count) {
+    const size = histogram.size;
+    if (size === 0) return [];
+
+    const channels = [new Uint8Array(size), new Uint8Array(size), new Uint8Array(size), new Uint8Array(size)];
+    const weights = new Float64Array(size);
+    let n = 0;
+    for (const [key, weight] of histogram) {
+        channels[0][n] = key >>> 24;
+        channels[1][n] = (key >>> 16) & 0xff;
+        channels[2][n] = (key >>> 8) & 0xff;
+        channels[3][n] = key & 0xff;
+        weights[n++] = weight;
+    }
+
+    // Boxes are ranges of this list, which is reordered as boxes are split
+    const order = Array.from({ length: size }, (_, i) => i);
+    const boxes = [describeBox(order, 0, size, channels, weights)];
+
+    while (boxes.length < count) {
+        let target = -1;
+        for (let i = 0; i < boxes.length; i++) {
+            if (boxes[i].end - boxes[i].start > 1 && (target === -1 || boxes[i].priority > boxes[target].priority)) {
+                target = i;
+            }
+        }
+        if (target === -1) break;
+
+        const { start, end, channel } = boxes[target];
+        const values = channels[channel];
+        const sorted = order.slice(start, end).sort((a, b) => values[a] - values[b]);
+        for (let i = 0; i < sorted.length; i++) order[start + i] = sorted[i];
+
+        // Split at the weighted median, keeping at least one colour on each side
+        const half = boxes[target].weight / 2;
+        let split = start + 1;
+        let accumulated = weights[order[start]];
+        while (split < end - 1 && accumulated + weights[order[split]] <= half) {
+            accumulated += weights[order[split++]];
+        }
+
+        boxes.splice(target, 1,
+            describeBox(order, start, split, channels, weights),
+            describeBox(order, split, end, channels, weights));
+    }
+
+    return boxes.map(box => box.mean);
+}
+
+/**
+ * Measures a box of colours: total weight, widest channel, split priority and mean colour
+ * @param {number[]} order
+ * @param {number} start
+ * @param {number} end
+ * @param {Uint8Array[]} channels
+ * @param {Float64Array} weights
+ * @returns {{ start: number, end: number, weight: number, channel: number, priority: number, mean: number[] }}
+ */
+function describeBox(order, start, end, channels, weights) {
+    const min = [255, 255, 255, 255];
+    const max = [0, 0, 0, 0];
+    const sums = [0, 0, 0, 0];
+    let weight = 0;
+
+    for (let i = start; i < end; i++) {
+        const index = order[i];
+        const w = weights[index];
+        weight += w;
+        for (let c = 0; c < 4; c++) {
+            const value = channels[c][index];
+            if (value < min[c]) min[c] = value;
+            if (value > max[c]) max[c] = value;
+            sums[c] += value * w;
+        }
+    }
+
+    let channel = 0;
+    for (let c = 1; c < 4; c++) {
+        if (max[c] - min[c] > max[channel] - min[channel]) channel = c;
+    }
+
+    return {
+        start,
+        end,
+        weight,
+        channel,
+        priority: weight * (max[channel] - min[channel]),
+        mean: sums.map(sum => Math.round(sum / weight))
+    };
+}
+
+/**
+ * Finds the palette entry closest to a colour
+ * @param {Uint8Array} palette - RGBA entries
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @param {number} a
+ * @returns {number} Entry index
+ */
+function findNearest(palette, r, g, b, a) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < palette.length; i += 4) {
+        const dr = r - palette[i];
+        const dg = g - palette[i + 1];
+        const db = b - palette[i + 2];
+        const da = a - palette[i + 3];
+        const distance = dr * dr + dg * dg + db * db + da * da;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i / 4;
+        }
+    }
+    return best;
+}
+
+/**
+ * Maps every pixel to its closest palette entry
+ * @param {Uint8ClampedArray} data
+ * @param {Uint8Array} palette
+ * @param {number} transparentIndex - Entry for fully transparent pixels, or -1
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function mapExact(data, palette, transparentIndex) {
+    const indices = new Uint8Array(data.length / 4);
+    const cache = new Map();
+
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        const key = toKey(data, i);
+        if (key === 0 && transparentIndex >= 0) {
+            indices[p] = transparentIndex;
+            continue;
+        }
+
+        let index = cache.get(key);
+        if (index === undefined) {
+            index = findNearest(palette, data[i], data[i + 1], data[i + 2], data[i + 3]);
+            cache.set(key, index);
+        }
+        indices[p] = index;
+    }
+    return indices;
+}
+
+/**
+ * Maps every pixel to a palette entry with Floyd–Steinberg error diffusion. Fully transparent
+ * pixels stay transparent and neither take nor pass on error, so sprites don't dither into
+ * their padding.
+ * @param {Raster} raster
+ * @param {Uint8Array} palette
+ * @param {number} transparentIndex - Entry for fully transparent pixels, or -1
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function mapDithered(raster, palette, transparentIndex) {
+    const { width, height, data } = raster;
+    const indices = new Uint8Array(width * height);
+
+    // Nearest entries by 5-bit-per-channel colour, as dithered colours are rarely repeated exactly
+    const cache = new Int16Array(1 << 20).fill(-1);
+    let current = new Float32Array((width + 2) * 4);
+    let next = new Float32Array((width + 2) * 4);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const from = p * 4;
+            const e = (x + 1) * 4;
+
+            if (data[from + 3] === 0 && transparentIndex >= 0) {
+                indices[p] = transparentIndex;
+                continue;
+            }
+
+            const r = clampByte(data[from] + current[e]);
+            const g = clampByte(data[from + 1] + current[e + 1]);
+            const b = clampByte(data[from + 2] + current[e + 2]);
+            const a = clampByte(data[from + 3] + current[e + 3]);
+
+            const key = ((r >> 3) << 15) | ((g >> 3) << 10) | ((b >> 3) << 5) | (a >> 3);
+            let index = cache[key];
+            if (index < 0) {
+                index = findNearest(palette, r, g, b, a);
+                cache[key] = index;
+            }
+            indices[p] = index;
+
+            const errors = [r - palette[index * 4], g - palette[index * 4 + 1], b - palette[index * 4 + 2], a - palette[index * 4 + 3]];
+            for (let c = 0; c < 4; c++) {
+                current[e + 4 + c] += errors[c] * 7 / 16;
+                next[e - 4 + c] += errors[c] * 3 / 16;
+                next[e + c] += errors[c] * 5 / 16;
+                next[e + 4 + c] += errors[c] / 16;
+            }
+        }
+
+        [current, next] = [next, current];
+        next.fill(0);
+    }
+    return indices;
+}
+
+/**
+ * Rounds and clamps a channel value to 0-255
+ * @param {number} value
+ * @returns {number}
+ */
+function clampByte(value) {
+    return value <= 0 ? 0 : value >= 255 ? 255 : Math.round(value);
+}
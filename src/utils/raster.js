@@ -0,0 +1,206 @@
+/**
+ * Raster images - plain RGBA pixel buffers that behave the same in browsers, workers and Node.js
+ * @module utils/raster
+ */
+
+/**
+ * @typedef {Object} Raster
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Uint8ClampedArray} data - RGBA bytes row by row, not premultiplied (the ImageData layout)
+ */
+
+/**
+ * @typedef {'none'|'cw'|'ccw'} RasterRotation
+ */
+
+/**
+ * Creates a fully transparent raster
+ * @param {number} width
+ * @param {number} height
+ * @returns {Raster}
+ */
+export function createRaster(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+/**
+ * Checks whether a value is a raster (ImageData counts as one)
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isRaster(value) {
+    return Boolean(value) && value.data instanceof Uint8ClampedArray &&
+        Number.isInteger(value.width) && Number.isInteger(value.height);
+}
+
+/**
+ * Copies a rectangle of pixels from one raster into another, optionally turned 90°.
+ * Pixels are replaced, not blended. With 'cw' the source's top-left lands at the
+ * top-right of the target area (which is h wide and w tall); with 'ccw' at its bottom-left.
+ * Pixels that would fall outside either raster are skipped.
+ *
+ * @param {Raster} source
+ * @param {{ x: number, y: number, w: number, h: number }} rect - Area of the source to copy
+ * @param {Raster} target
+ * @param {number} dx - Left edge of the target area
+ * @param {number} dy - Top edge of the target area
+ * @param {RasterRotation} [rotation='none']
+ */
+export function copyRasterRect(source, rect, target, dx, dy, rotation = 'none') {
+    const src = source.data;
+    const dst = target.data;
+
+    if (rotation === 'none') {
+        // Whole rows at a time, clipped to both rasters
+        const left = Math.max(0, -rect.x, -dx);
+        const right = Math.min(rect.w, source.width - rect.x, target.width - dx);
+        if (right <= left) return;
+
+        for (let v = 0; v < rect.h; v++) {
+            const sy = rect.y + v;
+            const ty = dy + v;
+            if (sy < 0 || sy >= source.height || ty < 0 || ty >= target.height) continue;
+
+            const from = (sy * source.width + rect.x + left) * 4;
+            dst.set(src.subarray(from, from + (right - left) * 4), (ty * target.width + dx + left) * 4);
+        }
+        return;
+    }
+
+    for (let v = 0; v < rect.h; v++) {
+        const sy = rect.y + v;
+        if (sy < 0 || sy >= source.height) continue;
+
+        for (let u = 0; u < rect.w; u++) {
+            const sx = rect.x + u;
+            if (sx < 0 || sx >= source.width) continue;
+
+            const tx = rotation === 'cw' ? dx + rect.h - 1 - v : dx + v;
+            const ty = rotation === 'cw' ? dy + u : dy + rect.w - 1 - u;
+            if (tx < 0 || ty < 0 || tx >= target.width || ty >= target.height) continue;
+
+            const from = (sy * source.width + sx) * 4;
+            const to = (ty * target.width + tx) * 4;
+            dst[to] = src[from];
+            dst[to + 1] = src[from + 1];
+            dst[to + 2] = src[from + 2];
+            dst[to + 3] = src[from + 3];
+        }
+    }
+}
+
+/**
+ * Repeats the edge pixels of a rectangle outward by the given amount, so texture filtering
+ * at the rectangle's border samples its own colours instead of the neighbours'.
+ * Corners get the corner pixels; anything outside the raster is skipped.
+ *
+ * @param {Raster} raster
+ * @param {{ x: number, y: number, w: number, h: number }} rect - Area whose edges are extruded
+ * @param {number} amount - Pixels to add on every side
+ */
+export function extrudeRasterEdges(raster, rect, amount) {
+    if (amount <= 0 || rect.w <= 0 || rect.h <= 0) return;
+
+    const data = raster.data;
+    const rowStart = Math.max(0, rect.x - amount);
+    const rowEnd = Math.min(raster.width, rect.x + rect.w + amount);
+    if (rowEnd <= rowStart) return;
+
+    // Left and right of each sprite row
+    for (let y = Math.max(0, rect.y); y < Math.min(raster.height, rect.y + rect.h); y++) {
+        const row = y * raster.width;
+        const left = (row + rect.x) * 4;
+        const right = (row + rect.x + rect.w - 1) * 4;
+
+        for (let x = rowStart; x < rowEnd; x++) {
+            if (x >= rect.x && x < rect.x + rect.w) continue;
+            const from = x < rect.x ? left : right;
+            data.copyWithin((row + x) * 4, from, from + 4);
+        }
+    }
+
+    // Whole extended rows above and below, corners included
+    for (let y = Math.max(0, rect.y - amount); y < Math.min(raster.height, rect.y + rect.h + amount); y++) {
+        if (y >= rect.y && y < rect.y + rect.h) continue;
+        const sourceRow = y < rect.y ? rect.y : rect.y + rect.h - 1;
+        if (sourceRow < 0 || sourceRow >= raster.height) continue;
+
+        data.copyWithin((y * raster.width + rowStart) * 4, (sourceRow * raster.width + rowStart) * 4, (sourceRow * raster.width + rowEnd) * 4);
+    }
+}
+
+/**
+ * Fills the colour of every fully transparent pixel with that of the nearest visible pixel,
+ * leaving alpha at 0. Filtering or mipmapping then blends edges towards the sprite's own
+ * colours instead of black. A raster without visible pixels is left as it is.
+ *
+ * @param {Raster} raster
+ */
+export function bleedRasterAlpha(raster) {
+    const { width, height, data } = raster;
+    const pixelCount = width * height;
+
+    // Breadth-first from every visible pixel at once, so each transparent pixel is
+    // reached from (one of) the closest ones and copies its colour
+    const queue = new Int32Array(pixelCount);
+    const reached = new Uint8Array(pixelCount);
+    let head = 0;
+    let tail = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+        if (data[i * 4 + 3] > 0) {
+            reached[i] = 1;
+            queue[tail++] = i;
+        }
+    }
+
+    while (head < tail) {
+        const from = queue[head++];
+        const x = from % width;
+
+        for (const to of [from - width, from + width, x > 0 ? from - 1 : -1, x < width - 1 ? from + 1 : -1]) {
+            if (to < 0 || to >= pixelCount || reached[to]) continue;
+
+            reached[to] = 1;
+            data.copyWithin(to * 4, from * 4, from * 4 + 3);
+            queue[tail++] = to;
+        }
+    }
+}
+
+/**
+ * Multiplies every pixel's colour by its alpha, in place
+ * @param {Raster} raster
+ */
+export function premultiplyRasterAlpha(raster) {
+    const data = raster.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha === 255) continue;
+
+        data[i] = Math.round(data[i] * alpha / 255);
+        data[i + 1] = Math.round(data[i + 1] * alpha / 255);
+        data[i + 2] = Math.round(data[i + 2] * alpha / 255);
+    }
+}
+
+/**
+ * Divides every pixel's colour by its alpha, in place - the reverse of premultiplyRasterAlpha,
+ * up to the precision premultiplying loses at low alpha
+ * @param {Raster} raster
+ */
+export function unpremultiplyRasterAlpha(raster) {
+    const data = raster.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha === 255 || alpha === 0) continue;
+
+        // Uint8ClampedArray caps colours that were never premultiplied at 255
+        data[i] = Math.round(data[i] * 255 / alpha);
+        data[i + 1] = Math.round(data[i + 1] * 255 / alpha);
+        data[i + 2] = Math.round(data[i + 2] * 255 / alpha);
+    }
+}
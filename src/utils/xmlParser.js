@@ -0,0 +1,110 @@
+/**
+ * Minimal XML parser - enough for Starling atlases and Apple property lists
+ * @module utils/xmlParser
+ */
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} tag - Element name
+ * @property {Object<string, string>} attributes - Attribute values
+ * @property {XmlElement[]} children - Child elements
+ * @property {string} text - Concatenated text content
+ */
+
+/**
+ * Decodes the predefined and numeric XML entities
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+        const lower = entity.toLowerCase();
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+        if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }[lower];
+    });
+}
+
+/**
+ * Parses an XML document into an element tree. Comments, processing instructions and
+ * the doctype are skipped; there is no namespace or DTD support.
+ * @param {string} text
+ * @returns {XmlElement} Root element
+ * @throws {Error} If tags are mismatched or left open
+ */
+export function parseXml(text) {
+    const root = { tag: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const [, cdata, closeTag, openTag, attributeText, selfClosing, textContent] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (closeTag) {
+            if (current.tag !== closeTag) {
+                throw new Error(`Mismatched closing tag </${closeTag}>`);
+            }
+            stack.pop();
+        } else if (openTag) {
+            const element = { tag: openTag, attributes: {}, children: [], text: '' };
+            let attribute;
+            attributePattern.lastIndex = 0;
+            while ((attribute = attributePattern.exec(attributeText)) !== null) {
+                element.attributes[attribute[1]] = decodeXmlEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        } else if (textContent !== undefined) {
+            current.text += decodeXmlEntities(textContent);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Unclosed tag <${stack[stack.length - 1].tag}>`);
+    }
+
+    return root;
+}
+
+/**
+ * Converts a plist value element to a JavaScript value
+ * @param {XmlElement} element
+ * @returns {any}
+ * @throws {Error} If a dictionary's keys and values don't alternate
+ */
+export function plistToValue(element) {
+    switch (element.tag) {
+        case 'dict': {
+            const result = {};
+            for (let i = 0; i < element.children.length; i += 2) {
+                const key = element.children[i];
+                const value = element.children[i + 1];
+                if (key.tag !== 'key' || !value) {
+                    throw new Error('Malformed plist dictionary');
+                }
+                result[key.text] = plistToValue(value);
+            }
+            return result;
+        }
+        case 'array':
+            return element.children.map(plistToValue);
+        case 'string':
+            return element.text;
+        case 'integer':
+        case 'real':
+            return Number(element.text);
+        case 'true':
+            return true;
+        case 'false':
+            return false;
+        default:
+            return element.text;
+    }
+}
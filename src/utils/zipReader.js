@@ -0,0 +1,127 @@
+/**
+ * ZIP archive reading without external libraries
+ * @module utils/zipReader
+ */
+
+import { crc32 } from './crc32.js';
+import { inflateRaw } from './deflate.js';
+
+/**
+ * @typedef {Object} ZipFileEntry
+ * @property {string} name - Path inside the archive ('/' separates folders)
+ * @property {number} size - Uncompressed size in bytes
+ * @property {boolean} isDirectory - Entry is a folder, not a file
+ * @property {function(): Promise<Uint8Array>} read - Decompresses the entry; rejects if it is corrupt
+ */
+
+/**
+ * End of central directory record signature
+ */
+const EOCD_SIGNATURE = 0x06054b50;
+
+/**
+ * Finds the end of central directory record, which sits behind an optional comment
+ * @param {DataView} view
+ * @returns {number} Offset of the record
+ */
+function findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+            return offset;
+        }
+    }
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+}
+
+/**
+ * Reads the file list of a ZIP archive.
+ * Entries are decompressed lazily through `read()`, so one corrupt entry
+ * doesn't prevent reading the others. Stored and deflated entries are supported;
+ * ZIP64 and encrypted archives are not.
+ *
+ * @param {Blob} blob - The archive
+ * @returns {Promise<ZipFileEntry[]>}
+ */
+export async function readZip(blob) {
+    const buffer = await blob.arrayBuffer();
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    if (view.byteLength < 22) {
+        throw new Error('Not a ZIP archive (file too small)');
+    }
+
+    const eocd = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(eocd + 10, true);
+    const directoryOffset = view.getUint32(eocd + 16, true);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder('utf-8');
+    const entries = [];
+    let offset = directoryOffset;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt ZIP archive (bad central directory)');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.push({
+            name,
+            size,
+            isDirectory: name.endsWith('/'),
+            read: async () => {
+                if (flags & 0x1) {
+                    throw new Error(`"${name}" is encrypted`);
+                }
+                if (localOffset + 30 > view.byteLength || view.getUint32(localOffset, true) !== 0x04034b50) {
+                    throw new Error(`"${name}" has a corrupt header`);
+                }
+
+                // The local header's name and extra field lengths can differ from the central directory's
+                const dataStart = localOffset + 30 +
+                    view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                if (dataStart + compressedSize > view.byteLength) {
+                    throw new Error(`"${name}" is truncated`);
+                }
+
+                const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+                let data;
+                if (method === 0) {
+                    data = raw;
+                } else if (method === 8) {
+                    try {
+                        data = inflateRaw(raw, size);
+                    } catch (error) {
+                        throw new Error(`"${name}" could not be decompressed`);
+                    }
+                } else {
+                    throw new Error(`"${name}" uses unsupported compression method ${method}`);
+                }
+
+                if (data.length !== size || crc32(data) !== crc) {
+                    throw new Error(`"${name}" failed the checksum test`);
+                }
+                return data;
+            }
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
@@ -0,0 +1,54 @@
+/**
+ * Packing worker - packs, composites and encodes atlas pages off the main thread.
+ * Started by packWorkerClient as a module worker; see that module for the message protocol.
+ * @module workers/packWorker
+ */
+
+import { packAtlas } from '../core/atlasPacker.js';
+import { rasterToBlob } from '../utils/imageUtils.js';
+
+/**
+ * Sprite pixels from the last 'sprites' message, by sprite index
+ * @type {import('../utils/raster.js').Raster[]}
+ */
+let spriteImages = [];
+
+self.addEventListener('message', (event) => {
+    if (event.data.type === 'sprites') {
+        spriteImages = event.data.images;
+        return;
+    }
+    if (event.data.type !== 'pack') return;
+
+    try {
+        const sprites = event.data.sprites.map((sprite, i) => ({ ...sprite, image: spriteImages[i] }));
+        const result = packAtlas(sprites, {
+            ...event.data.options,
+            onProgress: progress => self.postMessage({ type: 'progress', ...progress })
+        });
+
+        if (!result.success) {
+            self.postMessage({ type: 'error', error: result.error });
+            return;
+        }
+
+        const total = result.result.variants.reduce((sum, variant) => sum + variant.images.length, 0);
+        let completed = 0;
+
+        const variants = result.result.variants.map(({ scale, images, metadata }) => ({
+            scale,
+            metadata,
+            pages: images.map(image => {
+                const blob = rasterToBlob(image);
+                self.postMessage({ type: 'progress', stage: 'encode', completed: ++completed, total });
+                return { blob, image };
+            })
+        }));
+
+        // The page pixels are handed over to the main thread instead of being copied
+        const buffers = variants.flatMap(variant => variant.pages.map(page => page.image.data.buffer));
+        self.postMessage({ type: 'result', variants }, buffers);
+    } catch (error) {
+        self.postMessage({ type: 'error', error: error.message, workerFailed: true });
+    }
+});
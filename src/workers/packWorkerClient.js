@@ -0,0 +1,185 @@
+/**
+ * Main-thread side of the packing worker.
+ *
+ * Message protocol (one worker, kept between jobs until a job is cancelled or the worker fails):
+ * - to the worker: { type: 'sprites', images } with one raster per sprite, their buffers transferred;
+ *   sent only when the sprite images differ from the ones the worker already holds
+ * - to the worker: { type: 'pack', sprites, options } with the sprites minus their `image`, in the
+ *   same order as the images
+ * - from the worker: { type: 'progress', stage, completed, total } any number of times, then either
+ *   { type: 'result', variants: [{ scale, metadata, pages: [{ blob, image }] }] } with the page
+ *   rasters transferred (one variant per scale, see PackerOptions.scales), or { type: 'error', error }
+ *   with `workerFailed: true` when the worker threw instead of packAtlas reporting the error
+ *
+ * @module workers/packWorkerClient
+ */
+
+import { getImagePixels } from '../utils/imageUtils.js';
+
+/**
+ * @typedef {import('../core/imageLoader.js').SpriteInput} SpriteInput
+ * @typedef {import('../core/atlasPacker.js').PackerOptions} PackerOptions
+ */
+
+/**
+ * @typedef {Object} WorkerPackProgress
+ * @property {'trim'|'pack'|'draw'|'encode'} stage - Step being worked on; 'encode' counts PNG-encoded pages
+ *   of all scale variants
+ * @property {number} completed - Items of the step done so far
+ * @property {number} total - Items the step covers
+ */
+
+/**
+ * @typedef {Object} WorkerPackOptions
+ * @property {function(WorkerPackProgress): void} [onProgress] - Called with each progress message
+ * @property {AbortSignal} [signal] - Stops the worker when aborted
+ */
+
+/**
+ * @typedef {import('../core/atlasPacker.js').ScaleVariant & { blobs: Blob[] }} WorkerScaleVariant
+ * A scale variant plus the PNG of each of its pages
+ */
+
+/**
+ * @typedef {import('../core/atlasPacker.js').PackerResult & { blobs: Blob[], variants: WorkerScaleVariant[] }} WorkerPackResult
+ * The packAtlas result plus the PNG of each page
+ */
+
+/**
+ * Worker kept between jobs, or null until the next job starts one
+ * @type {Worker|null}
+ */
+let packWorker = null;
+
+/**
+ * Sprite images whose pixels the worker holds, by sprite index
+ * @type {Array<SpriteInput['image']>}
+ */
+let workerImages = [];
+
+/**
+ * Checks whether the browser can pack in a worker
+ * @returns {boolean}
+ */
+export function isWorkerPackingSupported() {
+    return typeof Worker !== 'undefined';
+}
+
+/**
+ * Packs sprites like packAtlas, but composites and PNG-encodes the pages in a worker,
+ * leaving the main thread free while large atlases are built.
+ *
+ * @param {SpriteInput[]} sprites - Sprites to pack
+ * @param {Partial<PackerOptions>} [options={}] - Packing options; must not contain functions
+ * @param {WorkerPackOptions} [workerOptions={}]
+ * @returns {Promise<{ success: boolean, result?: WorkerPackResult, error?: string, workerFailed?: boolean }>}
+ *   `workerFailed` is set when the worker couldn't start or crashed, rather than packAtlas failing
+ */
+export async function packAtlasInWorker(sprites, options = {}, workerOptions = {}) {
+    const { onProgress, signal } = workerOptions;
+
+    if (!isWorkerPackingSupported()) {
+        return { success: false, error: 'This browser cannot pack in the background (Web Workers are required).' };
+    }
+
+    if (signal && signal.aborted) {
+        return { success: false, error: 'Packing cancelled.' };
+    }
+
+    if (!packWorker) {
+        packWorker = new Worker(new URL('./packWorker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = packWorker;
+
+    return new Promise(resolve => {
+        const finish = (outcome, keepWorker) => {
+            worker.removeEventListener('message', handleMessage);
+            worker.removeEventListener('error', handleError);
+            if (signal) signal.removeEventListener('abort', handleAbort);
+            if (!keepWorker) releasePackWorker();
+            resolve(outcome);
+        };
+
+        // Terminating is the only way to interrupt the synchronous packing in the worker
+        const handleAbort = () => finish({ success: false, error: 'Packing cancelled.' }, false);
+
+        const handleMessage = (event) => {
+            const message = event.data;
+
+            if (message.type === 'progress') {
+                if (onProgress) {
+                    onProgress({ stage: message.stage, completed: message.completed, total: message.total });
+                }
+            } else if (message.type === 'result') {
+                const variants = message.variants.map(({ scale, metadata, pages }) => ({
+                    scale,
+                    images: pages.map(page => page.image),
+                    blobs: pages.map(page => page.blob),
+                    metadata
+                }));
+                finish({
+                    success: true,
+                    result: {
+                        image: variants[0].images[0],
+                        images: variants[0].images,
+                        blobs: variants[0].blobs,
+                        metadata: variants[0].metadata,
+                        variants
+                    }
+                }, true);
+            } else if (message.type === 'error') {
+                finish(message.workerFailed
+                    ? { success: false, error: message.error, workerFailed: true }
+                    : { success: false, error: message.error }, !message.workerFailed);
+            }
+        };
+
+        const handleError = (event) => {
+            event.preventDefault();
+            finish({
+                success: false,
+                error: 'Packing worker failed: ' + (event.message || 'it could not be started.'),
+                workerFailed: true
+            }, false);
+        };
+
+        worker.addEventListener('message', handleMessage);
+        worker.addEventListener('error', handleError);
+        if (signal) signal.addEventListener('abort', handleAbort);
+
+        // Pixels go over once per sprite set and stay in the worker for the next generate
+        const images = sprites.map(sprite => sprite.image);
+        if (images.length !== workerImages.length || images.some((image, i) => image !== workerImages[i])) {
+            const rasters = images.map(toTransferableRaster);
+            worker.postMessage({ type: 'sprites', images: rasters }, rasters.map(raster => raster.data.buffer));
+            workerImages = images;
+        }
+
+        const payload = sprites.map(({ image, ...sprite }) => sprite);
+        worker.postMessage({ type: 'pack', sprites: payload, options });
+    });
+}
+
+/**
+ * Stops the worker and frees the sprite pixels it holds; the next job starts a new one
+ */
+export function releasePackWorker() {
+    if (packWorker) {
+        packWorker.terminate();
+        packWorker = null;
+    }
+    workerImages = [];
+}
+
+/**
+ * Copies a sprite image into a raster whose buffer can be transferred, leaving the
+ * sprite's own pixels usable on the main thread
+ * @param {SpriteInput['image']} image
+ * @returns {import('../utils/raster.js').Raster}
+ */
+function toTransferableRaster(image) {
+    const pixels = getImagePixels(image);
+    // Rasters are returned as they are, so their bytes are copied; canvas reads are already copies
+    const data = pixels === image ? pixels.data.slice() : pixels.data;
+    return { width: pixels.width, height: pixels.height, data };
+}
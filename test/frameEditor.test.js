@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { packAtlas } from '../src/core/atlasPacker.js';
+import { setFrameProperties, recordFrameProperties } from '../src/core/frameEditor.js';
+import { createRaster } from '../src/utils/raster.js';
+
+/**
+ * Opaque sprite of the given size
+ * @param {string} name
+ * @param {number} width
+ * @param {number} height
+ */
+function createSprite(name, width, height) {
+    const image = createRaster(width, height);
+    image.data.fill(255);
+    return { name, image, width, height };
+}
+
+const sprites = [createSprite('panel', 20, 10), createSprite('button', 16, 16)];
+const sourceSizes = new Map(sprites.map(sprite => [sprite.name, { w: sprite.width, h: sprite.height }]));
+
+/**
+ * Packs with the recorded frame properties and returns the metadata of each variant by scale
+ * @param {number[]} scales
+ * @param {Object} frameProperties
+ */
+function generate(scales, frameProperties) {
+    const result = packAtlas(sprites, { scales, frameProperties });
+    assert.equal(result.success, true, result.error);
+    return new Map(result.result.variants.map(variant => [variant.scale, variant.metadata]));
+}
+
+/**
+ * Finds a frame's 9-slice borders
+ * @param {Object} metadata
+ * @param {string} name
+ */
+function nineSliceOf(metadata, name) {
+    return metadata.frames.find(frame => frame.name === name).nineSlice;
+}
+
+test('borders edited on a half-scale preview are recorded at source scale', () => {
+    const preview = generate([0.5, 1], {}).get(0.5);
+    const edit = setFrameProperties(preview, ['panel'], { pivot: null, nineSlice: { left: 3, top: 2, right: 3, bottom: 2 } });
+    assert.equal(edit.success, true, edit.error);
+
+    const recorded = recordFrameProperties({}, preview, edit.result, ['panel'], sourceSizes);
+    assert.deepEqual(recorded.panel.nineSlice, { left: 6, top: 4, right: 6, bottom: 4 });
+
+    const variants = generate([0.5, 1], recorded);
+    assert.deepEqual(nineSliceOf(variants.get(0.5), 'panel'), { left: 3, top: 2, right: 3, bottom: 2 });
+    assert.deepEqual(nineSliceOf(variants.get(1), 'panel'), { left: 6, top: 4, right: 6, bottom: 4 });
+});
+
+test('borders stay the same over repeated pivot edits and regenerates', () => {
+    for (const scales of [[0.5, 1], [2], [0.3]]) {
+        let recorded = {};
+        let preview = generate(scales, recorded).get(scales[0]);
+        const edit = setFrameProperties(preview, ['panel'], { pivot: null, nineSlice: { left: 1, top: 1, right: 1, bottom: 1 } });
+        recorded = recordFrameProperties(recorded, preview, edit.result, ['panel'], sourceSizes);
+        const first = recorded.panel.nineSlice;
+
+        for (let round = 0; round < 3; round++) {
+            preview = generate(scales, recorded).get(scales[0]);
+            // The properties panel sends the borders back unchanged along with the new pivot
+            const pivotEdit = setFrameProperties(preview, ['panel'], {
+                pivot: { x: 0.5, y: round / 4 },
+                nineSlice: nineSliceOf(preview, 'panel')
+            });
+            recorded = recordFrameProperties(recorded, preview, pivotEdit.result, ['panel'], sourceSizes);
+        }
+
+        assert.deepEqual(recorded.panel.nineSlice, first, `scales ${scales.join(', ')}`);
+        assert.deepEqual(recorded.panel.pivot, { x: 0.5, y: 0.5 });
+    }
+});
+
+test('borders are clamped to the source sprite, not the scaled-back frame size', () => {
+    // 0.3 × 16 rounds to 5, which scales back to 17: larger than the source
+    const preview = generate([0.3], {}).get(0.3);
+    const edit = setFrameProperties(preview, ['button'], { pivot: null, nineSlice: { left: 5, top: 0, right: 0, bottom: 5 } });
+    const recorded = recordFrameProperties({}, preview, edit.result, ['button'], sourceSizes);
+
+    assert.deepEqual(recorded.button.nineSlice, { left: 16, top: 0, right: 0, bottom: 16 });
+    assert.equal(packAtlas(sprites, { scales: [0.3], frameProperties: recorded }).success, true);
+});